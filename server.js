@@ -4,9 +4,18 @@ import axios from 'axios';
 import mysql from 'mysql2/promise';
 import dotenv from 'dotenv';
 import path from 'path';
+import fs from 'fs';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import nodemailer from 'nodemailer';
 
 dotenv.config();
 
@@ -14,6 +23,16 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy req.ip is the proxy's address unless it is trusted.
+// TRUST_PROXY: a hop count, 'true', or addresses/subnets (e.g. 'loopback, 10.0.0.0/8').
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value.split(',').map(v => v.trim());
+};
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // CORS setup
 const allowedOrigins = [
   'http://localhost:5173',
@@ -31,8 +50,9 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET','POST','PUT','DELETE','OPTIONS'],
+  methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
   allowedHeaders: ['Content-Type','Authorization'],
+  exposedHeaders: ['X-Total-Count', 'X-Data-Resolution', 'Content-Disposition'],
   credentials: true
 }));
 
@@ -54,12 +74,39 @@ const db = await mysql.createPool({
   queueLimit: 0
 });
 
-/* ---------------- TOR CONFIG ---------------- */
-const TOR_BASE_URL = 'https://torapis.tor-iot.com';
-const TOR_USER = process.env.TOR_USER;
-const TOR_PASS = process.env.TOR_PASS;
+/* ---------------- SCHEMA ---------------- */
+// Tables added on top of the base schema (vehicles, vehicle_current, vehicle_rawdata,
+// users, customers, dealers). Each feature registers its DDL; it runs once at startup.
+const schemaSteps = [];
 
-let authToken = null;
+const defineTable = (ddl) => schemaSteps.push(() => db.query(ddl));
+
+// MySQL has no ADD COLUMN IF NOT EXISTS
+const defineColumn = (table, column, definition) => schemaSteps.push(async () => {
+  const [rows] = await db.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  if (!rows.length)
+    await db.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+});
+
+const defineIndex = (table, index, definition) => schemaSteps.push(async () => {
+  const [rows] = await db.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+
+  if (!rows.length)
+    await db.query(`ALTER TABLE \`${table}\` ADD ${definition}`);
+});
+
+const ensureSchema = async () => {
+  for (const step of schemaSteps) await step();
+};
 
 /* ---------------- HELPERS ---------------- */
 const getVal = (obj, keys, fallback = null) => {
@@ -67,42 +114,118 @@ const getVal = (obj, keys, fallback = null) => {
   return fallback;
 };
 
-const fetchAllPages = async (endpoint, payload = {}) => {
-  let all = [];
-  let pageNo = 1;
-  const pageSize = 1000;
+/* ---------------- TELEMETRY PROVIDERS ---------------- */
+// Every provider normalizes its packets to these fields, which are also the
+// vehicle_rawdata columns; the rest of the backend only reads this shape.
+const TELEMETRY_FIELDS = [
+  'HWID', 'ENTRYDATE', 'DeviceDate', 'ModelNumber', 'Latitude', 'Longitude',
+  'StateofCharge', 'TimetoCharge', 'DistancetoEmpty1', 'KeyOnSignal',
+  'BattTemp', 'BatteryVoltage', 'BatteryChargingIndication1',
+  'Odometer', 'Speed', 'RSSI', 'MachineStatus', 'Immobilization_status', 'ControllerTemperature'
+];
 
-  while (true) {
-    try {
-      const res = await axios.post(
-        `${TOR_BASE_URL}${endpoint}`,
-        { ...payload, pageNo, pageSize },
-        { headers: { Authorization: `Bearer ${authToken}` }, timeout: 60000 }
-      );
+const DEFAULT_PROVIDER = process.env.DEFAULT_TELEMETRY_PROVIDER || 'tor';
+
+defineColumn('vehicles', 'provider', `VARCHAR(30) NULL`);
+
+// A provider adapter implements:
+//   name                          unique key, stored in vehicles.provider
+//   authenticate()                throws when the vendor can't be reached/logged into
+//   fetchVehicleMeta()            Map of hwid -> { displayDeviceId, registrationNo }
+//   fetchLatest()                 latest raw packet per vehicle (omit for push-only vendors)
+//   fetchHistory(hwid, from, to)  raw packets of one vehicle in a range
+//   normalize(raw)                raw packet -> TELEMETRY_FIELDS object
+//   sendCommand(command)          optional, delivers immobilize/mobilize
+//   acceptsUnassigned             optional, also ingests vehicles with no provider set
+// The fetch methods throw on failure; an error carrying `partial` (the items read
+// before the failure) marks an incomplete fetch rather than a total one.
+const telemetryProviders = {};
+
+const registerTelemetryProvider = (adapter) => {
+  telemetryProviders[adapter.name] = adapter;
+};
 
-      const list = Array.isArray(res.data)
-        ? res.data
-        : Array.isArray(res.data?.data)
-        ? res.data.data
-        : Array.isArray(res.data?.result)
-        ? res.data.result
-        : [];
+const providerForVehicle = async (vehicleId) => {
+  const [rows] = await db.query('SELECT provider FROM vehicles WHERE vehicleId = ?', [vehicleId]);
+  return telemetryProviders[rows[0]?.provider || DEFAULT_PROVIDER] || null;
+};
 
-      if (!list.length) break;
+// Copies the canonical fields, trying vendor aliases for each
+const pickTelemetryFields = (raw, aliases = {}) => {
+  const packet = {};
+  for (const field of TELEMETRY_FIELDS) packet[field] = getVal(raw, [field, ...(aliases[field] || [])], null);
+  packet.HWID = packet.HWID === null ? '' : String(packet.HWID).trim();
+  return packet;
+};
 
-      all.push(...list);
-      if (list.length < pageSize) break;
-      pageNo++;
-    } catch (e) {
-      console.error(`❌ Error fetching ${endpoint}:`, e.message);
-      break;
-    }
+const toRawRow = (packet) => TELEMETRY_FIELDS.map(f => packet[f] ?? null);
+
+// The unique key allows any number of NULL DeviceDates, so a packet without a
+// parseable device time would be stored again on every sync
+const isStorablePacket = (packet) => Boolean(packet.HWID) && packetTime(packet) !== null;
+
+// (HWID, DeviceDate) identifies a packet, so replayed ranges and repeated
+// snapshots are dropped by the unique key instead of duplicated. Only duplicate keys
+// are ignored; any other bad value still fails the insert.
+const RAWDATA_INSERT = `INSERT INTO vehicle_rawdata (${TELEMETRY_FIELDS.join(', ')}) VALUES ?
+  ON DUPLICATE KEY UPDATE HWID = HWID`;
+const RAWDATA_BATCH_SIZE = 1000;
+
+const RAWDATA_UNIQUE_KEY = 'ALTER TABLE vehicle_rawdata ADD UNIQUE KEY uq_rawdata_packet (HWID, DeviceDate)';
+
+const hasRawdataUniqueKey = async () => {
+  const [index] = await db.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'vehicle_rawdata' AND INDEX_NAME = 'uq_rawdata_packet'`
+  );
+  return index.length > 0;
+};
+
+// Older databases may already hold duplicates, which block the unique key. Startup
+// leaves those alone; the one-off deduplication job (POST /api/rawdata/deduplicate)
+// removes them and adds the key.
+schemaSteps.push(async () => {
+  if (await hasRawdataUniqueKey()) return;
+
+  try {
+    await db.query(RAWDATA_UNIQUE_KEY);
+  } catch (e) {
+    if (e.code !== 'ER_DUP_ENTRY') throw e;
+    console.warn('⚠️ vehicle_rawdata holds duplicate packets; run POST /api/rawdata/deduplicate to remove them');
   }
+});
 
-  return all;
+// Returns how many rows were new. With FOUND_ROWS (the mysql2 default) a skipped
+// duplicate also counts as affected, so multi-row inserts are read from the
+// "Records: n  Duplicates: d" info instead.
+const insertRawRows = async (rows) => {
+  let inserted = 0;
+
+  for (const batch of chunk(rows, RAWDATA_BATCH_SIZE)) {
+    const [result] = await db.query(RAWDATA_INSERT, [batch]);
+    const info = String(result.info || '').match(/Records:\s*(\d+)\s+Duplicates:\s*(\d+)/);
+    inserted += info ? Number(info[1]) - Number(info[2]) : result.affectedRows;
+  }
+
+  return inserted;
 };
 
-/* ---------------- TOR AUTH ---------------- */
+/* ---------------- TOR PROVIDER ---------------- */
+const TOR_BASE_URL = 'https://torapis.tor-iot.com';
+const TOR_USER = process.env.TOR_USER;
+const TOR_PASS = process.env.TOR_PASS;
+
+let authToken = null;
+
+const TOR_PAGE_SIZE = 1000;
+const TOR_MAX_ATTEMPTS = 4;
+const TOR_BACKOFF_BASE_MS = 1000;
+const TOR_TOKEN_REFRESH_MARGIN_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Throws when the login fails; the error is flagged `torLogin` so a rejected login
+// is not mistaken for an expired token
 const getTorToken = async () => {
   try {
     const res = await axios.post(
@@ -112,723 +235,10109 @@ const getTorToken = async () => {
     );
 
     authToken = res.data?.token || res.data?.data?.token || res.data?.result?.token;
+    if (!authToken) throw new Error('TOR token missing');
+
     console.log('🔑 TOR token acquired');
     return authToken;
   } catch (e) {
     console.error('❌ TOR auth failed:', e.message);
     authToken = null;
-    return null;
+    e.torLogin = true;
+    throw e;
   }
 };
 
-const deriveVehicleStatus = (v) => {
-  const deviceTime = new Date(v.DeviceDate);
-  if (isNaN(deviceTime.getTime())) return 'Offline';
-
-  const diffMin = (Date.now() - deviceTime.getTime()) / 60000;
+// TOR tokens are JWTs; renew shortly before they expire instead of waiting for a 401
+const torTokenExpiring = () => {
+  const exp = jwt.decode(authToken)?.exp;
+  return !!exp && exp * 1000 - Date.now() < TOR_TOKEN_REFRESH_MARGIN_MS;
+};
 
-  // 24 hours = Non Communicating
-  if (diffMin > 1440) return 'Non-Communicating';
+const ensureTorToken = async () => {
+  if (!authToken || torTokenExpiring()) await getTorToken();
+};
 
-  if (diffMin > 15) return 'Offline';
+// Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx are not
+const isTransientError = (e) => {
+  const status = e.response?.status;
+  return !status || status === 429 || status >= 500;
+};
 
-  if (v.MachineStatus === 'On') return 'Online';
+// One TOR call: re-login once on 401/expired token, exponential backoff on transient failures
+const torRequest = async (endpoint, body, { timeout = 60000 } = {}) => {
+  let relogged = false;
 
-  if (v.isCharging === true || Number(v.BatteryChargingIndication1) > 0)
-    return 'Charging';
+  for (let attempt = 1; ; attempt++) {
+    try {
+      // Inside the retry loop, so a TOR login outage backs off like any other failure
+      await ensureTorToken();
 
-  if (Number(v.Speed) > 0) return 'Running';
+      return await axios.post(
+        `${TOR_BASE_URL}${endpoint}`,
+        body,
+        { headers: { Authorization: `Bearer ${authToken}` }, timeout }
+      );
+    } catch (e) {
+      if (e.response?.status === 401 && !e.torLogin && !relogged) {
+        console.warn('🔑 TOR token rejected, logging in again');
+        authToken = null;
+        relogged = true;
+        attempt--;
+        continue;
+      }
 
-  if (v.KeyOnSignal === '1') return 'Idle';
+      if (!isTransientError(e) || attempt >= TOR_MAX_ATTEMPTS) throw e;
 
-  return 'Off';
+      const delay = TOR_BACKOFF_BASE_MS * 2 ** (attempt - 1) + Math.random() * 250;
+      console.warn(`⏳ ${endpoint} failed (${e.message}), retry ${attempt}/${TOR_MAX_ATTEMPTS - 1} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
 };
 
+// Resolves only when every page was read. If a page still fails after retries it
+// throws, with the pages read so far on `error.partial`, so callers never mistake
+// a truncated fleet for a complete one.
+const fetchAllPages = async (endpoint, payload = {}) => {
+  let all = [];
+  let pageNo = 1;
+
+  while (true) {
+    let res;
 
-/* ---------------- TOR → VEHICLE SYNC ---------------- */
-const syncFleetFromTOR = async () => {
-  try {
-    if (!authToken && !(await getTorToken())) {
-      console.error('❌ TOR token missing, cannot sync fleet');
-      return;
+    try {
+      res = await torRequest(endpoint, { ...payload, pageNo, pageSize: TOR_PAGE_SIZE });
+    } catch (e) {
+      console.error(`❌ Error fetching ${endpoint} page ${pageNo}:`, e.message);
+
+      const err = new Error(`${endpoint} failed at page ${pageNo}: ${e.message}`);
+      err.partial = all;
+      throw err;
     }
 
-    console.log('🔄 TOR sync started');
+    const list = Array.isArray(res.data)
+      ? res.data
+      : Array.isArray(res.data?.data)
+      ? res.data.data
+      : Array.isArray(res.data?.result)
+      ? res.data.result
+      : [];
+
+    if (!list.length) break;
+
+    all.push(...list);
+    if (list.length < TOR_PAGE_SIZE) break;
+    pageNo++;
+  }
+
+  return all;
+};
+
+registerTelemetryProvider({
+  name: 'tor',
+
+  authenticate: ensureTorToken,
 
-    const payload = { hardwareId: "", equipmentCode: "" };
-    const metaList = await fetchAllPages('/EquipDetails/GetVehicleDetails', payload);
-    const telemetryList = await fetchAllPages('/MachineData/GetLatestMachineData', payload);
+  fetchVehicleMeta: async () => {
+    let metaList;
+    let failure = null;
+
+    try {
+      metaList = await fetchAllPages('/EquipDetails/GetVehicleDetails', { hardwareId: "", equipmentCode: "" });
+    } catch (e) {
+      metaList = e.partial || [];
+      failure = e;
+    }
 
     console.log(`META COUNT: ${metaList.length}`);
-    console.log(`TELEMETRY COUNT: ${telemetryList.length}`);
 
     const metaMap = new Map();
     metaList.forEach(m => {
       const hwid = String(getVal(m, ['HWID', 'hardwareId'], '')).trim();
-      if (hwid) metaMap.set(hwid, m);
+      if (hwid) metaMap.set(hwid, {
+        displayDeviceId: getVal(m, ['equipmentCode'], null),
+        registrationNo: getVal(m, ['vehicleRegNo'], null)
+      });
     });
 
-    const rawRows = [];
-    const currentRows = [];
-
-    for (const v of telemetryList) {
-      const hwid = String(getVal(v, ['HWID', 'hardwareId'], '')).trim();
-      if (!hwid) continue;
+    if (failure) {
+      failure.partial = metaMap;
+      throw failure;
+    }
 
-      const [existingVehicle] = await db.execute(
-        "SELECT vehicleId FROM vehicles WHERE vehicleId = ?",
-        [hwid]
-      );
+    return metaMap;
+  },
 
-      if (existingVehicle.length === 0) {
-        await db.execute(
-          `INSERT INTO vehicles (vehicleId)
-          VALUES (?)`,
-          [hwid]
-        );
+  fetchLatest: async () => {
+    const list = await fetchAllPages('/MachineData/GetLatestMachineData', { hardwareId: "", equipmentCode: "" });
+    console.log(`TELEMETRY COUNT: ${list.length}`);
+    return list;
+  },
 
-        console.log("🆕 Auto-added vehicle to vehicles table:", hwid);
-      }
+  fetchHistory: (hwid, from, to) => fetchAllPages(
+    '/MachineData/GetMachineHistoryData',
+    { hardwareId: hwid, fromDate: from, toDate: to }
+  ),
 
-      const meta = metaMap.get(hwid) || {};
+  normalize: (raw) => pickTelemetryFields(raw, { HWID: ['hardwareId'] }),
 
-      const vehicleData = {
-        vehicleId: hwid,
-        displayDeviceId: getVal(meta, ['equipmentCode'], hwid),
-        registrationNo: getVal(meta, ['vehicleRegNo'], '---'),
-        status: deriveVehicleStatus(v),
-        lat: Number(getVal(v, ['Latitude'], 0)),
-        lng: Number(getVal(v, ['Longitude'], 0)),
-        speed: Number(getVal(v, ['Speed'], 0)),
-        battery: Number(getVal(v, ['StateofCharge'], 0)),
-        odometer: Number(getVal(v, ['Odometer'], 0)),
-        lastUpdate: new Date(v.DeviceDate || Date.now())
-      };
+  sendCommand: async (command) => {
+    const endpoint = process.env.TOR_COMMAND_ENDPOINT;
+    if (!endpoint) throw new Error('TOR_COMMAND_ENDPOINT is not configured');
 
-      rawRows.push([
-        v.HWID,
-        v.ENTRYDATE,
-        v.DeviceDate,
-        v.ModelNumber,
-        v.Latitude,
-        v.Longitude,
-        v.StateofCharge,
-        v.TimetoCharge,
-        v.DistancetoEmpty1,
-        v.KeyOnSignal,
-        v.BattTemp,
-        v.BatteryVoltage,
-        v.BatteryChargingIndication1,
-        v.Odometer,
-        v.Speed,
-        v.RSSI,
-        v.MachineStatus,
-        v.Immobilization_status,
-        v.ControllerTemperature
-      ]);
-
-      currentRows.push([
-        vehicleData.vehicleId,
-        vehicleData.displayDeviceId,
-        vehicleData.registrationNo,
-        vehicleData.status,
-        vehicleData.lat,
-        vehicleData.lng,
-        vehicleData.speed,
-        vehicleData.battery,
-        vehicleData.odometer,
-        vehicleData.lastUpdate
-      ]);
-    }
-
-    // HISTORY INSERT
-    if (rawRows.length) {
-      await db.query(
-        `INSERT INTO vehicle_rawdata
-        (HWID, ENTRYDATE, DeviceDate, ModelNumber, Latitude, Longitude,
-        StateofCharge, TimetoCharge, DistancetoEmpty1, KeyOnSignal,
-        BattTemp, BatteryVoltage, BatteryChargingIndication1,
-        Odometer, Speed, RSSI, MachineStatus, Immobilization_status, ControllerTemperature)
-        VALUES ?`,
-        [rawRows]
-      );
-    }
+    const res = await torRequest(
+      endpoint,
+      {
+        hardwareId: command.vehicleId,
+        immobilize: command.command === 'immobilize' ? 1 : 0
+      },
+      { timeout: 30000 }
+    );
 
-    // CURRENT UPSERT
-    if (currentRows.length) {
-      await db.query(
-        `INSERT INTO vehicle_current
-         (vehicleId, displayDeviceId, registrationNo, status, lat, lng, speed, battery, odometer, lastUpdate)
-         VALUES ?
-         ON DUPLICATE KEY UPDATE
-         displayDeviceId = VALUES(displayDeviceId),
-         registrationNo = VALUES(registrationNo),
-         status = VALUES(status),
-         lat = VALUES(lat),
-         lng = VALUES(lng),
-         speed = VALUES(speed),
-         battery = VALUES(battery),
-         odometer = VALUES(odometer),
-         lastUpdate = VALUES(lastUpdate)`,
-        [currentRows]
-      );
-    }
+    return getVal(res.data, ['commandId', 'requestId', 'id'], null);
+  }
+});
 
-    console.log('✅ TOR sync completed');
+/* ---------------- VEHICLE STATUS ---------------- */
+// Models report at different intervals and tenants weigh signals differently, so
+// thresholds and precedence come from status rules. Unset columns use the defaults.
+defineTable(`
+  CREATE TABLE IF NOT EXISTS status_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    modelNumber VARCHAR(64) NULL,
+    customerId INT NULL,
+    dealerId INT NULL,
+    offlineMinutes INT NULL,
+    nonCommMinutes INT NULL,
+    minSpeedKmh DOUBLE NULL,
+    precedence JSON NULL,
+    isActive TINYINT(1) NOT NULL DEFAULT 1,
+    createdBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_rules_model (modelNumber)
+  )
+`);
+
+// One row per status period; the open period (endedAt NULL) is the current status
+defineTable(`
+  CREATE TABLE IF NOT EXISTS vehicle_status_history (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    vehicleId VARCHAR(64) NOT NULL,
+    status VARCHAR(30) NOT NULL,
+    previousStatus VARCHAR(30) NULL,
+    startedAt DATETIME NOT NULL,
+    endedAt DATETIME NULL,
+    ruleId INT NULL,
+    INDEX idx_status_history_vehicle (vehicleId, startedAt),
+    INDEX idx_status_history_open (vehicleId, endedAt)
+  )
+`);
+
+defineColumn('vehicles', 'modelNumber', 'VARCHAR(64) NULL');
+
+// Statuses set before history was kept open each vehicle's first period
+schemaSteps.push(() => db.query(`
+  INSERT INTO vehicle_status_history (vehicleId, status, startedAt)
+  SELECT c.vehicleId, c.status, COALESCE(c.lastUpdate, NOW())
+  FROM vehicle_current c
+  WHERE c.status IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM vehicle_status_history h WHERE h.vehicleId = c.vehicleId)
+`));
+
+const STATUS_OFFLINE_MINUTES = 15;
+const STATUS_NON_COMM_MINUTES = 1440;
+const STATUS_HISTORY_BATCH_SIZE = 500;
+
+// Signals a rule can map to a status, checked in the rule's precedence order
+const STATUS_SIGNALS = {
+  moving: (v, rule) => Number(v.Speed) > rule.minSpeedKmh,
+  charging: (v) => v.isCharging === true || Number(v.BatteryChargingIndication1) > 0,
+  machine_on: (v) => v.MachineStatus === 'On',
+  key_on: (v) => String(v.KeyOnSignal) === '1'
+};
 
-  } catch (e) {
-    console.error('❌ TOR sync failed:', e.message);
-  }
+const PRECEDENCE_STATUSES = ['Running', 'Charging', 'Online', 'Idle'];
+
+// A moving vehicle is Running even while its machine reports On
+const DEFAULT_STATUS_RULE = {
+  id: null,
+  offlineMinutes: STATUS_OFFLINE_MINUTES,
+  nonCommMinutes: STATUS_NON_COMM_MINUTES,
+  minSpeedKmh: 0,
+  precedence: [
+    { status: 'Running', signal: 'moving' },
+    { status: 'Charging', signal: 'charging' },
+    { status: 'Online', signal: 'machine_on' },
+    { status: 'Idle', signal: 'key_on' }
+  ]
 };
 
+const toStatusRule = (row) => ({
+  id: row.id,
+  modelNumber: row.modelNumber,
+  customerId: row.customerId,
+  dealerId: row.dealerId,
+  offlineMinutes: row.offlineMinutes ?? DEFAULT_STATUS_RULE.offlineMinutes,
+  nonCommMinutes: row.nonCommMinutes ?? DEFAULT_STATUS_RULE.nonCommMinutes,
+  minSpeedKmh: row.minSpeedKmh ?? DEFAULT_STATUS_RULE.minSpeedKmh,
+  precedence: parseJsonColumn(row.precedence) || DEFAULT_STATUS_RULE.precedence
+});
 
-let isSyncing = false;
+const loadStatusRules = async () => {
+  const [rows] = await db.query('SELECT * FROM status_rules WHERE isActive = 1 ORDER BY id DESC');
+  return rows.map(toStatusRule);
+};
 
-setInterval(async () => {
-  if (isSyncing) {
-    console.log("⏳ Previous sync still running...");
-    return;
-  }
+// The most specific rule wins: a model match outranks a tenant match and a customer
+// rule a dealer rule; among equally specific rules the newest applies
+const statusRuleFor = (rules, modelNumber, owner) => {
+  let best = DEFAULT_STATUS_RULE;
+  let bestScore = -1;
 
-  try {
-    isSyncing = true;
-    await syncFleetFromTOR();
-  } finally {
-    isSyncing = false;
+  for (const rule of rules) {
+    if (rule.modelNumber && String(rule.modelNumber) !== String(modelNumber ?? '')) continue;
+    if (!tenantAppliesTo(rule, owner)) continue;
+
+    const score = (rule.modelNumber ? 4 : 0) + (rule.customerId ? 2 : rule.dealerId ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
   }
-}, 60000); 
 
+  return best;
+};
 
-app.get('/api/telemetry/:id', async (req, res) => {
-  const { id } = req.params;
+// Statuses a vehicle falls into by not reporting, whatever its last packet said
+const timeoutStatus = (diffMin, rule) => {
+  if (diffMin > rule.nonCommMinutes) return 'Non-Communicating';
+  if (diffMin > rule.offlineMinutes) return 'Offline';
+  return null;
+};
 
-  try {
-    const [rows] = await db.query(
-      `SELECT * FROM vehicle_rawdata WHERE HWID=? ORDER BY DeviceDate DESC LIMIT 1`,
-      [id]
-    );
+// `now` lets historical packets be classified as of their own time
+const deriveVehicleStatus = (v, now = Date.now(), rule = DEFAULT_STATUS_RULE) => {
+  const deviceTime = new Date(v.DeviceDate);
+  if (isNaN(deviceTime.getTime())) return 'Offline';
 
-    if (!rows.length) return res.status(404).json({ error: 'No telemetry found' });
+  const timedOut = timeoutStatus((now - deviceTime.getTime()) / 60000, rule);
+  if (timedOut) return timedOut;
 
-    res.json(rows[0]);
-  } catch (e) {
-    res.status(500).json({ error: 'Telemetry fetch failed' });
-  }
-});
+  const match = rule.precedence.find(p => STATUS_SIGNALS[p.signal]?.(v, rule));
+  return match ? match.status : 'Off';
+};
 
-app.post('/api/telemetry/:id/sync-history', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { from, to } = req.body;
+// A timeout status began when its threshold passed, any other with the packet
+const statusStartedAt = (status, deviceDate, rule) => {
+  const t = new Date(deviceDate).getTime();
+  if (isNaN(t)) return new Date();
 
-    if (!authToken && !(await getTorToken()))
-      return res.status(500).json({ error: 'TOR token missing' });
+  if (status === 'Non-Communicating') return new Date(t + rule.nonCommMinutes * 60000);
+  if (status === 'Offline') return new Date(t + rule.offlineMinutes * 60000);
+  return new Date(t);
+};
 
-    const history = await fetchAllPages(
-      '/MachineData/GetMachineHistoryData',
-      {
-        hardwareId: id,
-        fromDate: from,
-        toDate: to
-      }
+// changes: { vehicleId, status, previousStatus, at, ruleId }. Closes each vehicle's
+// open period and opens the new one.
+const recordStatusChanges = async (changes) => {
+  for (const batch of chunk(changes, STATUS_HISTORY_BATCH_SIZE)) {
+    await db.query(
+      `UPDATE vehicle_status_history
+       SET endedAt = GREATEST(startedAt, CASE vehicleId ${batch.map(() => 'WHEN ? THEN ?').join(' ')} END)
+       WHERE endedAt IS NULL AND vehicleId IN (?)`,
+      [...batch.flatMap(c => [c.vehicleId, c.at]), batch.map(c => c.vehicleId)]
     );
 
-    if (!history.length)
-      return res.json({ success: true, inserted: 0 });
-
-    const rows = history.map(v => [
-      v.HWID,
-      v.ENTRYDATE,
-      v.DeviceDate,
-      v.ModelNumber,
-      v.Latitude,
-      v.Longitude,
-      v.StateofCharge,
-      v.TimetoCharge,
-      v.DistancetoEmpty1,
-      v.KeyOnSignal,
-      v.BattTemp,
-      v.BatteryVoltage,
-      v.BatteryChargingIndication1,
-      v.Odometer,
-      v.Speed,
-      v.RSSI,
-      v.MachineStatus,
-      v.Immobilization_status,
-      v.ControllerTemperature
-    ]);
-
     await db.query(
-      `INSERT INTO vehicle_rawdata
-       (HWID, ENTRYDATE, DeviceDate, ModelNumber, Latitude, Longitude,
-        StateofCharge, TimetoCharge, DistancetoEmpty1, KeyOnSignal,
-        BattTemp, BatteryVoltage, BatteryChargingIndication1,
-        Odometer, Speed, RSSI, MachineStatus, Immobilization_status, ControllerTemperature)
-       VALUES ?`,
-      [rows]
+      `INSERT INTO vehicle_status_history (vehicleId, status, previousStatus, startedAt, ruleId) VALUES ?`,
+      [batch.map(c => [c.vehicleId, c.status, c.previousStatus ?? null, c.at, c.ruleId ?? null])]
     );
+  }
 
-    res.json({ success: true, inserted: rows.length });
+  await emitFleetEvents('vehicle.status_changed', changes.map(c => ({
+    vehicleId: c.vehicleId,
+    data: { vehicleId: c.vehicleId, status: c.status, previousStatus: c.previousStatus ?? null, at: c.at }
+  })));
+};
 
-  } catch (e) {
-    console.error('History sync failed:', e.message);
-    res.status(500).json({ error: 'History sync failed' });
+/* ---------------- TELEMETRY INGEST ---------------- */
+const VEHICLE_LOOKUP_BATCH_SIZE = 1000;
+const CURRENT_UPSERT_BATCH_SIZE = 1000;
+
+const packetTime = (v) => {
+  const t = new Date(v.DeviceDate).getTime();
+  return isNaN(t) ? null : t;
+};
+
+// Stores normalized packets from any provider: history rows, the current snapshot,
+// then the per-sync evaluators (geofences, alerts, command confirmation) and live push.
+// A packet no newer than the stored snapshot is not stored again, but still refreshes
+// the derived status and alert state, both of which depend on elapsed time.
+const ingestPackets = async (providerName, packets, metaMap = new Map()) => {
+  const acceptsUnassigned = Boolean(telemetryProviders[providerName]?.acceptsUnassigned);
+
+  // Newest packet per vehicle
+  const latest = new Map();
+  for (const v of packets) {
+    if (!v.HWID) continue;
+    const seen = latest.get(v.HWID);
+    if (!seen || (packetTime(v) ?? 0) > (packetTime(seen) ?? 0)) latest.set(v.HWID, v);
   }
-});
 
-/* ---------------- FORWARDER INGEST ---------------- */
-app.post('/api/telemetry/bulk', async (req, res) => {
-  try {
-    const list = req.body;
-    if (!Array.isArray(list)) return res.status(400).json({ error: 'Payload must be array' });
+  const ids = [...latest.keys()];
+  const known = new Map();
+  const profiles = new Map();
+  const lastStored = new Map();
+  const lastStatus = new Map();
 
-    console.log(`📥 Forwarder received ${list.length} vehicles`);
+  for (const batch of chunk(ids, VEHICLE_LOOKUP_BATCH_SIZE)) {
+    const [vehicles] = await db.query(
+      'SELECT vehicleId, provider, modelNumber, customerId, dealerId FROM vehicles WHERE vehicleId IN (?)',
+      [batch]
+    );
+    vehicles.forEach(r => {
+      known.set(r.vehicleId, r.provider || (acceptsUnassigned ? providerName : DEFAULT_PROVIDER));
+      profiles.set(r.vehicleId, r);
+    });
 
-    for (const v of list) {
-      if (!v.vehicleId) continue;
+    const [current] = await db.query(
+      'SELECT vehicleId, status, lastUpdate FROM vehicle_current WHERE vehicleId IN (?)',
+      [batch]
+    );
+    current.forEach(r => {
+      lastStored.set(r.vehicleId, r.lastUpdate ? new Date(r.lastUpdate).getTime() : null);
+      lastStatus.set(r.vehicleId, r.status);
+    });
+  }
 
-      await db.execute(
-        `INSERT INTO vehicles
-          (vehicleId, displayDeviceId, registrationNo, status, lat, lng, speed, battery, odometer, lastUpdate)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-         ON DUPLICATE KEY UPDATE
-           displayDeviceId=VALUES(displayDeviceId),
-           registrationNo=VALUES(registrationNo),
-           status=VALUES(status),
-           lat=VALUES(lat),
-           lng=VALUES(lng),
-           speed=VALUES(speed),
-           battery=VALUES(battery),
-           odometer=VALUES(odometer),
-           lastUpdate=VALUES(lastUpdate)`,
-        [
-          v.vehicleId,
-          v.displayDeviceId || v.vehicleId,
-          v.registrationNo || '---',
-          v.status || 'Off',
-          v.location?.lat || 0,
-          v.location?.lng || 0,
-          v.metrics?.speed || 0,
-          v.metrics?.battery || 0,
-          v.metrics?.odometer || 0,
-          new Date()
-        ]
-      );
-    }
+  const missing = ids.filter(id => !known.has(id));
 
-    const [rows] = await db.query('SELECT COUNT(*) as count FROM vehicles');
-    res.json({ success: true, vehicles: rows[0].count });
-  } catch (e) {
-    console.error('❌ Bulk ingest failed:', e.message);
-    res.status(500).json({ error: 'Server error' });
+  for (const batch of chunk(missing, VEHICLE_LOOKUP_BATCH_SIZE)) {
+    await db.query(
+      'INSERT IGNORE INTO vehicles (vehicleId, provider) VALUES ?',
+      [batch.map(id => [id, providerName])]
+    );
+    batch.forEach(id => known.set(id, providerName));
   }
-});
 
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(" ")[1];
+  if (missing.length) {
+    console.log(`🆕 Auto-added ${missing.length} vehicles to vehicles table`);
 
-  if (!token)
-    return res.status(401).json({ message: "No token provided" });
+    try {
+      await emitFleetEvents('vehicle.auto_added', missing.map(id => ({
+        vehicleId: id,
+        owners: [{}],
+        data: { vehicleId: id, provider: providerName }
+      })));
+    } catch (e) {
+      console.error('❌ Auto-added vehicle events failed:', e.message);
+    }
+  }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err)
-      return res.status(403).json({ message: "Invalid token" });
+  const statusRules = await loadStatusRules();
+
+  const rawRows = [];
+  const currentRows = [];
+  const positions = [];
+  const evaluated = [];
+  const updates = [];
+  const statusChanges = [];
+  const modelChanges = [];
+  const foreign = new Map();
+  let unchanged = 0;
+  let undated = 0;
+
+  for (const v of packets) {
+    if (!v.HWID) continue;
+
+    // The vehicle reports through another provider
+    if (known.get(v.HWID) !== providerName) {
+      foreign.set(v.HWID, known.get(v.HWID));
+      continue;
+    }
 
-    req.user = decoded;
-    next();
-  });
-};
+    const time = packetTime(v);
+    const previous = lastStored.get(v.HWID);
 
-/* ---------------- API ---------------- */
-app.get('/api/vehicles', verifyToken, async (req, res) => {
-  try {
-    const { role, customerId, dealerId } = req.user;
+    if (time === null) {
+      undated++;
+    } else if (previous != null && time <= previous) {
+      unchanged++;
+    } else {
+      rawRows.push(toRawRow(v));
+    }
+  }
 
-    let query = `
-      SELECT 
-        vehicleId,
-        displayDeviceId,
-        registrationNo,
-        status,
-        lat,
-        lng,
-        speed,
-        battery,
-        odometer,
-        lastUpdate
-      FROM vehicle_current
-    `;
+  for (const [hwid, v] of latest) {
+    if (known.get(hwid) !== providerName) continue;
+
+    const meta = metaMap.get(hwid) || {};
+    const time = packetTime(v);
+    const previous = lastStored.get(hwid);
+    const isNew = time === null || previous == null || time > previous;
+
+    const profile = profiles.get(hwid) || {};
+    const modelNumber = v.ModelNumber ? String(v.ModelNumber).slice(0, 64) : profile.modelNumber;
+    const rule = statusRuleFor(statusRules, modelNumber, profile);
+
+    if (modelNumber && modelNumber !== profile.modelNumber) modelChanges.push([hwid, modelNumber]);
+
+    const vehicleData = {
+      vehicleId: hwid,
+      displayDeviceId: meta.displayDeviceId || hwid,
+      registrationNo: meta.registrationNo || '---',
+      status: deriveVehicleStatus(v, Date.now(), rule),
+      lat: Number(getVal(v, ['Latitude'], 0)),
+      lng: Number(getVal(v, ['Longitude'], 0)),
+      speed: Number(getVal(v, ['Speed'], 0)),
+      battery: Number(getVal(v, ['StateofCharge'], 0)),
+      odometer: Number(getVal(v, ['Odometer'], 0)),
+      lastUpdate: new Date(time ?? Date.now())
+    };
+
+    currentRows.push([
+      vehicleData.vehicleId,
+      vehicleData.displayDeviceId,
+      vehicleData.registrationNo,
+      vehicleData.status,
+      vehicleData.lat,
+      vehicleData.lng,
+      vehicleData.speed,
+      vehicleData.battery,
+      vehicleData.odometer,
+      vehicleData.lastUpdate
+    ]);
 
-    const params = [];
+    if (isNew) {
+      positions.push({
+        vehicleId: vehicleData.vehicleId,
+        lat: vehicleData.lat,
+        lng: vehicleData.lng,
+        time: vehicleData.lastUpdate
+      });
+    }
 
-    //filtering based on role
-    if (role === 'customer') {
-      query += ` WHERE customerId = ?`;
-      params.push(customerId);
-    } 
-    else if (role === 'dealer') {
-      query += ` WHERE dealerId = ?`;
-      params.push(dealerId);
+    if (vehicleData.status !== lastStatus.get(hwid)) {
+      statusChanges.push({
+        vehicleId: hwid,
+        status: vehicleData.status,
+        previousStatus: lastStatus.get(hwid),
+        at: statusStartedAt(vehicleData.status, v.DeviceDate, rule),
+        ruleId: rule.id
+      });
     }
-  
-  const [rows] = await db.query(query, params);
 
-  const formatted = rows.map(v => ({
-    id: v.vehicleId,
-    vehicleId: v.vehicleId,
+    evaluated.push({ vehicleId: hwid, packet: v });
+    updates.push(vehicleData);
+  }
 
-    displayDeviceId: v.displayDeviceId,
-    registrationNo: v.registrationNo,
-    status: v.status,
+  if (foreign.size) console.log(`↪️ Skipped packets of ${foreign.size} vehicles assigned to other providers`);
+  if (undated) console.log(`↪️ Skipped ${undated} packets without a device time`);
 
-    equipmentConfig: {
-      active: v.status !== 'Offline',
-    },
+  // HISTORY INSERT
+  const stored = rawRows.length ? await insertRawRows(rawRows) : 0;
 
-    location: {
-      lat: Number(v.lat) || 0,
-      lng: Number(v.lng) || 0
-    },
+  // CURRENT UPSERT
+  for (const batch of chunk(currentRows, CURRENT_UPSERT_BATCH_SIZE)) {
+    await db.query(
+      `INSERT INTO vehicle_current
+       (vehicleId, displayDeviceId, registrationNo, status, lat, lng, speed, battery, odometer, lastUpdate)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE
+       displayDeviceId = VALUES(displayDeviceId),
+       registrationNo = VALUES(registrationNo),
+       status = VALUES(status),
+       lat = VALUES(lat),
+       lng = VALUES(lng),
+       speed = VALUES(speed),
+       battery = VALUES(battery),
+       odometer = VALUES(odometer),
+       lastUpdate = VALUES(lastUpdate)`,
+      [batch]
+    );
+  }
 
-    metrics: {
-      speed: Number(v.speed) || 0,
-      batteryLevel: Number(v.battery) || 0,
-      totalKm: Number(v.odometer) || 0,
-    },
+  // MODEL NUMBERS reported by the devices pick the vehicle's status rule
+  for (const batch of chunk(modelChanges, VEHICLE_LOOKUP_BATCH_SIZE)) {
+    await db.query(
+      `UPDATE vehicles SET modelNumber = CASE vehicleId ${batch.map(() => 'WHEN ? THEN ?').join(' ')} END
+       WHERE vehicleId IN (?)`,
+      [...batch.flat(), batch.map(([id]) => id)]
+    );
+  }
 
-    lastUpdate: v.lastUpdate
-}));
+  // STATUS HISTORY
+  try {
+    await recordStatusChanges(statusChanges);
+  } catch (e) {
+    console.error('❌ Status history update failed:', e.message);
+  }
 
+  // SERVICE DUE from the latest odometer
+  try {
+    const newlyDue = await refreshServiceDue(positions.map(p => p.vehicleId));
+    if (newlyDue) console.log(`🔧 Services due or overdue: ${newlyDue}`);
+  } catch (e) {
+    console.error('❌ Service due refresh failed:', e.message);
+  }
 
-    res.json(formatted);
+  // GEOFENCE ENTER/EXIT
+  try {
+    await evaluateGeofences(positions);
   } catch (e) {
-    console.error('❌ /api/vehicles error:', e.message);
-    res.status(500).json({ error: 'Database query failed' });
+    console.error('❌ Geofence evaluation failed:', e.message);
+  }
+
+  // ALERT RULES
+  try {
+    await evaluateAlertRules(evaluated);
+  } catch (e) {
+    console.error('❌ Alert evaluation failed:', e.message);
   }
-});
 
+  // REMOTE COMMAND CONFIRMATION
+  try {
+    await confirmCommands(evaluated);
+  } catch (e) {
+    console.error('❌ Command confirmation failed:', e.message);
+  }
 
-app.post('/api/login', async (req, res) => {
-  const { username, password } = req.body;
+  await publishVehicleUpdates(updates);
+
+  return {
+    received: packets.length,
+    stored,
+    unchanged: unchanged + (rawRows.length - stored),
+    skipped: packets.filter(v => foreign.has(v.HWID)).length + undated,
+    undated,
+    // hwid -> provider the vehicle is assigned to
+    skippedVehicles: foreign
+  };
+};
 
+/* ---------------- PROVIDER → VEHICLE SYNC ---------------- */
+defineTable(`
+  CREATE TABLE IF NOT EXISTS sync_runs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    provider VARCHAR(30) NOT NULL,
+    status ENUM('running', 'success', 'partial', 'failed') NOT NULL DEFAULT 'running',
+    startedAt DATETIME NOT NULL,
+    finishedAt DATETIME NULL,
+    metaCount INT NULL,
+    telemetryCount INT NULL,
+    storedCount INT NULL,
+    skippedCount INT NULL,
+    errors JSON NULL,
+    INDEX idx_sync_runs_provider (provider, startedAt)
+  )
+`);
+
+defineColumn('sync_runs', 'unchangedCount', 'INT NULL AFTER storedCount');
+
+// Runs left 'running' by a previous process never finished
+schemaSteps.push(() => db.query(
+  `UPDATE sync_runs SET status = 'failed', finishedAt = NOW(),
+     errors = JSON_ARRAY('Interrupted by server restart')
+   WHERE status = 'running'`
+));
+
+// A failed fetch that still returned some items (error.partial) is used, but the
+// run is recorded as partial so stale or missing vehicles are visible
+const fetchStep = async (label, fetch, errors) => {
   try {
-    const [rows] = await db.query(
-      'SELECT * FROM users WHERE username = ?',
-      [username]
-    );
+    return await fetch();
+  } catch (e) {
+    errors.push(`${label}: ${e.message}`);
+    if (e.partial === undefined) throw e;
+    return e.partial;
+  }
+};
 
-    if (!rows.length)
-      return res.status(401).json({ message: "Invalid credentials" });
+const syncProviderFleet = async (provider) => {
+  const errors = [];
+  const counts = {
+    metaCount: null,
+    telemetryCount: null,
+    storedCount: null,
+    unchangedCount: null,
+    skippedCount: null
+  };
+  let runId = null;
+  let status = 'failed';
+
+  try {
+    const [run] = await db.execute(
+      `INSERT INTO sync_runs (provider, startedAt) VALUES (?, ?)`,
+      [provider.name, new Date()]
+    );
+    runId = run.insertId;
+  } catch (e) {
+    console.error('❌ Sync run record failed:', e.message);
+  }
+
+  try {
+    await provider.authenticate();
+
+    console.log(`🔄 ${provider.name} sync started`);
+
+    const metaMap = provider.fetchVehicleMeta
+      ? await fetchStep('vehicle meta', provider.fetchVehicleMeta, errors)
+      : new Map();
+    const latest = await fetchStep('latest telemetry', provider.fetchLatest, errors);
+    const packets = latest.map(provider.normalize);
+
+    counts.metaCount = metaMap.size;
+    counts.telemetryCount = packets.length;
+
+    const { stored, unchanged, skipped } = await ingestPackets(provider.name, packets, metaMap);
+    counts.storedCount = stored;
+    counts.unchangedCount = unchanged;
+    counts.skippedCount = skipped;
+
+    status = errors.length ? 'partial' : 'success';
+    console.log(status === 'success'
+      ? `✅ ${provider.name} sync completed`
+      : `⚠️ ${provider.name} sync completed with partial data`);
+
+  } catch (e) {
+    errors.push(e.message);
+    console.error(`❌ ${provider.name} sync failed:`, e.message);
+  }
+
+  if (!runId) return;
+
+  try {
+    await db.execute(
+      `UPDATE sync_runs
+       SET status = ?, finishedAt = ?, metaCount = ?, telemetryCount = ?,
+           storedCount = ?, unchangedCount = ?, skippedCount = ?, errors = ?
+       WHERE id = ?`,
+      [
+        status,
+        new Date(),
+        counts.metaCount,
+        counts.telemetryCount,
+        counts.storedCount,
+        counts.unchangedCount,
+        counts.skippedCount,
+        errors.length ? JSON.stringify(errors) : null,
+        runId
+      ]
+    );
+  } catch (e) {
+    console.error('❌ Sync run record failed:', e.message);
+  }
+};
+
+// Pull-based providers are polled in turn; push-only ones (no fetchLatest) are skipped
+const syncFleet = async () => {
+  for (const provider of Object.values(telemetryProviders)) {
+    if (provider.fetchLatest) await syncProviderFleet(provider);
+  }
+};
+
+
+let isSyncing = false;
+
+setInterval(async () => {
+  if (isSyncing) {
+    console.log("⏳ Previous sync still running...");
+    return;
+  }
+
+  try {
+    isSyncing = true;
+    await syncFleet();
+  } finally {
+    isSyncing = false;
+  }
+}, 60000); 
+
+
+/* ---------------- AUTH & ACCESS CONTROL ---------------- */
+const authenticateToken = (token, req, res, next) => {
+  if (!token)
+    return res.status(401).json({ message: "No token provided" });
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+    if (err)
+      return res.status(403).json({ message: "Invalid token" });
+
+    req.user = decoded;
+    next();
+  });
+};
+
+const verifyToken = (req, res, next) =>
+  authenticateToken(req.headers.authorization?.split(" ")[1], req, res, next);
+
+// EventSource cannot set headers, so streams also accept ?token=
+const verifyStreamToken = (req, res, next) =>
+  authenticateToken(req.headers.authorization?.split(" ")[1] || req.query.token, req, res, next);
+
+// Customers only see their own vehicles, dealers the vehicles assigned to them
+const canAccessVehicle = async (user, vehicleId) => {
+  const { role, customerId, dealerId } = user;
+
+  if (role !== 'customer' && role !== 'dealer') return true;
+
+  const [rows] = await db.query(
+    'SELECT customerId, dealerId FROM vehicles WHERE vehicleId = ?',
+    [vehicleId]
+  );
+
+  if (!rows.length) return false;
+
+  if (role === 'customer') return String(rows[0].customerId) === String(customerId);
+  return String(rows[0].dealerId) === String(dealerId);
+};
+
+// Records owned by a tenant (geofences, alert rules) carry customerId/dealerId
+const canAccessOwned = (user, row) => {
+  if (user.role === 'customer') return String(row.customerId) === String(user.customerId);
+  if (user.role === 'dealer') return String(row.dealerId) === String(user.dealerId);
+  return true;
+};
+
+const ownerFilter = (user, alias = '') => {
+  const prefix = alias ? `${alias}.` : '';
+
+  if (user.role === 'customer') return { sql: `${prefix}customerId = ?`, params: [user.customerId] };
+  if (user.role === 'dealer') return { sql: `${prefix}dealerId = ?`, params: [user.dealerId] };
+  return null;
+};
+
+// Tenants can only create records for themselves; admins may assign any owner
+const tenantOwnerFor = (user, body) => {
+  if (user.role === 'customer') return { customerId: user.customerId, dealerId: null };
+  if (user.role === 'dealer') return { customerId: null, dealerId: user.dealerId };
+  return { customerId: body.customerId || null, dealerId: body.dealerId || null };
+};
+
+// Customer-owned settings apply to the customer's vehicles, dealer-owned to the
+// dealer's, and settings without an owner (created by admins) to the whole fleet
+const tenantAppliesTo = (scope, owner) => {
+  if (scope.customerId) return String(owner?.customerId) === String(scope.customerId);
+  if (scope.dealerId) return String(owner?.dealerId) === String(scope.dealerId);
+  return true;
+};
+
+// Permissions each role is granted; routes declare what they need with requirePermission
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  dealer: [
+    'vehicles:read', 'vehicles:write',
+    'telemetry:read', 'reports:read',
+    'customers:read', 'customers:write',
+    'dealers:read',
+    'geofences:read', 'geofences:write',
+    'alerts:read', 'alerts:write',
+    'alert-rules:read', 'alert-rules:write',
+    'analytics:read',
+    'commands:read', 'commands:write',
+    'service:read', 'service:write',
+    'warranty:read', 'warranty:claim',
+    'webhooks:manage'
+  ],
+  customer: [
+    'vehicles:read',
+    'telemetry:read', 'reports:read',
+    'geofences:read', 'geofences:write',
+    'alerts:read', 'alerts:write',
+    'alert-rules:read', 'alert-rules:write',
+    'analytics:read',
+    'service:read',
+    'warranty:read',
+    'webhooks:manage'
+  ]
+};
+
+const hasPermission = (user, permission) => {
+  const granted = ROLE_PERMISSIONS[user?.role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+const requirePermission = (permission, authenticate = verifyToken) => [
+  authenticate,
+  (req, res, next) => {
+    if (!hasPermission(req.user, permission))
+      return res.status(403).json({ message: "Permission denied" });
+    next();
+  }
+];
+
+defineColumn('customers', 'dealerId', 'INT NULL');
+
+// A dealer's customers are the ones they created or sold a vehicle to
+const canAccessCustomer = async (user, customerId) => {
+  if (user.role === 'customer') return String(customerId) === String(user.customerId);
+  if (user.role !== 'dealer') return true;
+
+  const [rows] = await db.query(
+    `SELECT id FROM customers
+     WHERE id = ?
+       AND (dealerId = ? OR id IN (SELECT customerId FROM vehicles WHERE dealerId = ?))`,
+    [customerId, user.dealerId, user.dealerId]
+  );
+
+  return rows.length > 0;
+};
+
+
+app.get('/api/telemetry/:id', requirePermission('telemetry:read'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const window = await vehicleAccessWindow(req.user, id);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    let query = `SELECT * FROM vehicle_rawdata WHERE HWID=?`;
+    const params = [id];
+
+    if (window.from) {
+      query += ` AND DeviceDate >= ?`;
+      params.push(window.from);
+    }
+
+    if (window.to) {
+      query += ` AND DeviceDate <= ?`;
+      params.push(window.to);
+    }
+
+    const [rows] = await db.query(`${query} ORDER BY DeviceDate DESC LIMIT 1`, params);
+
+    if (!rows.length) return res.status(404).json({ error: 'No telemetry found' });
+
+    res.json(rows[0]);
+  } catch (e) {
+    res.status(500).json({ error: 'Telemetry fetch failed' });
+  }
+});
+
+app.post('/api/telemetry/:id/sync-history', requirePermission('telemetry:sync'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.body;
+
+    const rangeFrom = new Date(from);
+    const rangeTo = new Date(to);
+
+    if (isNaN(rangeFrom.getTime()) || isNaN(rangeTo.getTime()) || rangeFrom > rangeTo)
+      return res.status(400).json({ error: 'Invalid date range' });
+
+    const provider = await providerForVehicle(id);
+    if (!provider?.fetchHistory)
+      return res.status(400).json({ error: 'Vehicle provider does not support history' });
+
+    // Longer ranges would outlive the request: they run as a background job
+    if (rangeTo - rangeFrom > 86400000) {
+      if (rangeTo - rangeFrom > BACKFILL_MAX_RANGE_DAYS * 86400000)
+        return res.status(400).json({ error: `Date range cannot exceed ${BACKFILL_MAX_RANGE_DAYS} days` });
+
+      const job = await createBackfillJob({
+        vehicleIds: [id],
+        from: rangeFrom,
+        to: rangeTo,
+        scope: { vehicleIds: [id] },
+        user: req.user
+      });
+
+      runBackfillJobs();
+
+      return res.status(202).json({ success: true, jobId: job.id, status: 'queued' });
+    }
+
+    try {
+      await provider.authenticate();
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+
+    let fetched;
+    let failure = null;
+
+    try {
+      fetched = await provider.fetchHistory(id, from, to);
+    } catch (e) {
+      if (!e.partial) throw e;
+      fetched = e.partial;
+      failure = e;
+    }
+
+    const history = fetched.map(provider.normalize);
+
+    const rows = history.filter(isStorablePacket).map(toRawRow);
+    const inserted = rows.length ? await insertRawRows(rows) : 0;
+    const duplicates = rows.length - inserted;
+    const skipped = history.length - rows.length;
+
+    if (failure) {
+      console.error('History sync partial:', failure.message);
+      return res.status(502).json({
+        success: false,
+        partial: true,
+        inserted,
+        duplicates,
+        skipped,
+        error: failure.message
+      });
+    }
+
+    res.json({ success: true, inserted, duplicates, skipped });
+
+  } catch (e) {
+    console.error('History sync failed:', e.message);
+    res.status(500).json({ error: 'History sync failed' });
+  }
+});
+
+/* ---------------- FORWARDER INGEST ---------------- */
+defineTable(`
+  CREATE TABLE IF NOT EXISTS forwarder_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    keyPrefix VARCHAR(12) NOT NULL,
+    keyHash CHAR(64) NOT NULL UNIQUE,
+    isActive TINYINT(1) NOT NULL DEFAULT 1,
+    createdBy INT NULL,
+    createdAt DATETIME NOT NULL,
+    revokedAt DATETIME NULL,
+    lastUsedAt DATETIME NULL
+  )
+`);
+
+const FORWARDER_MAX_ITEMS = 5000;
+const FORWARDER_MAX_SPEED_KMH = 200;
+const FORWARDER_MAX_FUTURE_MINUTES = 5;
+
+// Forwarders push packets; there is nothing to poll
+registerTelemetryProvider({
+  name: 'forwarder',
+
+  // Vehicles registered without a provider may report through a forwarder
+  acceptsUnassigned: true,
+
+  authenticate: async () => {},
+
+  normalize: (item) => ({
+    ...pickTelemetryFields({}),
+    HWID: String(item.vehicleId).trim(),
+    ENTRYDATE: formatDateTime(new Date()),
+    DeviceDate: formatDateTime(new Date(item.timestamp)),
+    Latitude: item.location?.lat ?? null,
+    Longitude: item.location?.lng ?? null,
+    Speed: item.metrics?.speed ?? null,
+    StateofCharge: item.metrics?.battery ?? null,
+    Odometer: item.metrics?.odometer ?? null,
+    BattTemp: item.metrics?.batteryTemp ?? null,
+    BatteryVoltage: item.metrics?.batteryVoltage ?? null,
+    ControllerTemperature: item.metrics?.controllerTemp ?? null,
+    KeyOnSignal: item.metrics?.ignition === undefined ? null : (item.metrics.ignition ? '1' : '0'),
+    BatteryChargingIndication1: item.metrics?.charging === undefined ? null : (item.metrics.charging ? 1 : 0),
+    Immobilization_status: item.metrics?.immobilized === undefined ? null : (item.metrics.immobilized ? '1' : '0')
+  })
+});
+
+const isNumberInRange = (val, min, max) =>
+  typeof val === 'number' && Number.isFinite(val) && val >= min && val <= max;
+
+// Returns the problems with one forwarded item (empty when valid)
+const validateForwarderItem = (item, now = Date.now()) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return ['Item must be an object'];
+
+  const errors = [];
+
+  if (typeof item.vehicleId !== 'string' || !item.vehicleId.trim() || item.vehicleId.trim().length > 64)
+    errors.push('vehicleId must be a non-empty string of at most 64 characters');
+
+  const time = new Date(item.timestamp).getTime();
+  if (item.timestamp === undefined || item.timestamp === null || isNaN(time))
+    errors.push('timestamp must be a valid device date/time');
+  else if (time > now + FORWARDER_MAX_FUTURE_MINUTES * 60000)
+    errors.push('timestamp is in the future');
+
+  if (item.location !== undefined && item.location !== null) {
+    const { lat, lng } = item.location;
+    if (!isNumberInRange(lat, -90, 90) || !isNumberInRange(lng, -180, 180))
+      errors.push('location must have lat within [-90, 90] and lng within [-180, 180]');
+  }
+
+  const metrics = item.metrics ?? {};
+  if (typeof metrics !== 'object' || Array.isArray(metrics)) {
+    errors.push('metrics must be an object');
+    return errors;
+  }
+
+  const ranges = {
+    speed: [0, FORWARDER_MAX_SPEED_KMH],
+    battery: [0, 100],
+    odometer: [0, 10000000],
+    batteryTemp: [-40, 150],
+    batteryVoltage: [0, 1000],
+    controllerTemp: [-40, 200]
+  };
+
+  for (const [field, [min, max]] of Object.entries(ranges)) {
+    if (metrics[field] !== undefined && metrics[field] !== null && !isNumberInRange(metrics[field], min, max))
+      errors.push(`metrics.${field} must be a number within [${min}, ${max}]`);
+  }
+
+  for (const field of ['ignition', 'charging', 'immobilized']) {
+    if (metrics[field] !== undefined && typeof metrics[field] !== 'boolean')
+      errors.push(`metrics.${field} must be a boolean`);
+  }
+
+  return errors;
+};
+
+const verifyForwarderKey = async (req, res, next) => {
+  const key = req.headers['x-api-key'];
+  if (!key) return res.status(401).json({ error: 'API key required' });
+
+  try {
+    const [rows] = await db.execute(
+      'SELECT id, name FROM forwarder_keys WHERE keyHash = ? AND isActive = 1',
+      [sha256(String(key))]
+    );
+    if (!rows.length) return res.status(401).json({ error: 'Invalid API key' });
+
+    req.forwarder = rows[0];
+
+    db.execute('UPDATE forwarder_keys SET lastUsedAt = ? WHERE id = ?', [new Date(), rows[0].id])
+      .catch(e => console.error('Forwarder key usage update failed:', e.message));
+
+    next();
+  } catch (e) {
+    console.error('Forwarder key check error:', e.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+app.post('/api/telemetry/bulk', verifyForwarderKey, async (req, res) => {
+  try {
+    const list = req.body;
+    if (!Array.isArray(list)) return res.status(400).json({ error: 'Payload must be array' });
+
+    if (list.length > FORWARDER_MAX_ITEMS)
+      return res.status(413).json({ error: `At most ${FORWARDER_MAX_ITEMS} items per request` });
+
+    console.log(`📥 Forwarder "${req.forwarder.name}" sent ${list.length} vehicles`);
+
+    const provider = telemetryProviders.forwarder;
+    const now = Date.now();
+    const packets = [];
+    const indexes = [];
+    const metaMap = new Map();
+    const errors = [];
+
+    list.forEach((item, index) => {
+      const problems = validateForwarderItem(item, now);
+
+      if (problems.length) {
+        errors.push({ index, vehicleId: item?.vehicleId ?? null, errors: problems });
+        return;
+      }
+
+      const packet = provider.normalize(item);
+      packets.push(packet);
+      indexes.push(index);
+
+      if (item.displayDeviceId || item.registrationNo) {
+        metaMap.set(packet.HWID, {
+          displayDeviceId: item.displayDeviceId || null,
+          registrationNo: item.registrationNo || null
+        });
+      }
+    });
+
+    const result = packets.length
+      ? await ingestPackets(provider.name, packets, metaMap)
+      : { stored: 0, unchanged: 0, skipped: 0, skippedVehicles: new Map() };
+
+    // Items of vehicles assigned to another provider
+    packets.forEach((packet, i) => {
+      if (!result.skippedVehicles.has(packet.HWID)) return;
+      errors.push({
+        index: indexes[i],
+        vehicleId: packet.HWID,
+        errors: [`Vehicle is assigned to provider '${result.skippedVehicles.get(packet.HWID)}'`]
+      });
+    });
+    errors.sort((a, b) => a.index - b.index);
+
+    const accepted = packets.length - result.skipped;
+
+    res.status(accepted || !list.length ? 200 : 400).json({
+      success: errors.length === 0,
+      received: list.length,
+      accepted,
+      rejected: errors.length - result.skipped,
+      stored: result.stored,
+      unchanged: result.unchanged,
+      skipped: result.skipped,
+      errors
+    });
+  } catch (e) {
+    console.error('❌ Bulk ingest failed:', e.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const formatForwarderKey = (k) => ({
+  id: k.id,
+  name: k.name,
+  keyPrefix: k.keyPrefix,
+  isActive: !!k.isActive,
+  createdBy: k.createdBy,
+  createdAt: k.createdAt,
+  revokedAt: k.revokedAt,
+  lastUsedAt: k.lastUsedAt
+});
+
+app.get('/api/forwarder-keys', requirePermission('forwarders:manage'), async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT * FROM forwarder_keys ORDER BY id DESC');
+    res.json(rows.map(formatForwarderKey));
+  } catch (e) {
+    console.error('Fetch forwarder keys error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch forwarder keys' });
+  }
+});
+
+// The key is only returned here; just its hash is stored
+app.post('/api/forwarder-keys', requirePermission('forwarders:manage'), async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 100)
+      return res.status(400).json({ error: 'name is required (max 100 characters)' });
+
+    const key = `fwd_${crypto.randomBytes(24).toString('hex')}`;
+
+    const [result] = await db.execute(
+      `INSERT INTO forwarder_keys (name, keyPrefix, keyHash, createdBy, createdAt)
+       VALUES (?, ?, ?, ?, ?)`,
+      [name, key.slice(0, 12), sha256(key), req.user.id || null, new Date()]
+    );
+
+    res.status(201).json({ success: true, id: result.insertId, name, key });
+
+  } catch (e) {
+    console.error('Create forwarder key error:', e.message);
+    res.status(500).json({ error: 'Failed to create forwarder key' });
+  }
+});
+
+app.post('/api/forwarder-keys/:id/revoke', requirePermission('forwarders:manage'), async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      `UPDATE forwarder_keys SET isActive = 0, revokedAt = ? WHERE id = ? AND isActive = 1`,
+      [new Date(), req.params.id]
+    );
+
+    if (!result.affectedRows) return res.status(404).json({ error: 'Active forwarder key not found' });
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Revoke forwarder key error:', e.message);
+    res.status(500).json({ error: 'Failed to revoke forwarder key' });
+  }
+});
+
+/* ---------------- API ---------------- */
+const formatVehicle = (v) => ({
+  id: v.vehicleId,
+  vehicleId: v.vehicleId,
+
+  displayDeviceId: v.displayDeviceId,
+  registrationNo: v.registrationNo,
+  status: v.status,
+
+  equipmentConfig: {
+    active: v.status !== 'Offline',
+  },
+
+  location: {
+    lat: Number(v.lat) || 0,
+    lng: Number(v.lng) || 0
+  },
+
+  metrics: {
+    speed: Number(v.speed) || 0,
+    batteryLevel: Number(v.battery) || 0,
+    totalKm: Number(v.odometer) || 0,
+  },
+
+  lastUpdate: v.lastUpdate
+});
+
+const fetchFleet = async (user) => {
+  let query = `
+    SELECT 
+      c.vehicleId,
+      c.displayDeviceId,
+      c.registrationNo,
+      c.status,
+      c.lat,
+      c.lng,
+      c.speed,
+      c.battery,
+      c.odometer,
+      c.lastUpdate
+    FROM vehicle_current c
+    LEFT JOIN vehicles v ON v.vehicleId = c.vehicleId
+    WHERE v.deletedAt IS NULL
+  `;
+
+  const params = [];
+
+  // Ownership comes from the vehicle master, which assignments and transfers update
+  const owner = ownerFilter(user, 'v');
+  if (owner) {
+    query += ` AND ${owner.sql}`;
+    params.push(...owner.params);
+  }
+
+  const [rows] = await db.query(query, params);
+  return rows.map(formatVehicle);
+};
+
+app.get('/api/vehicles', requirePermission('vehicles:read'), async (req, res) => {
+  try {
+    res.json(await fetchFleet(req.user));
+  } catch (e) {
+    console.error('❌ /api/vehicles error:', e.message);
+    res.status(500).json({ error: 'Database query failed' });
+  }
+});
+
+
+/* ---------------- ACCOUNTS ---------------- */
+defineColumn('users', 'isActive', 'TINYINT(1) NOT NULL DEFAULT 1');
+defineColumn('users', 'failedLoginCount', 'INT NOT NULL DEFAULT 0');
+defineColumn('users', 'lockedUntil', 'DATETIME NULL');
+defineColumn('users', 'lastLoginAt', 'DATETIME NULL');
+defineColumn('users', 'passwordChangedAt', 'DATETIME NULL');
+
+defineTable(`
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    userId INT NOT NULL,
+    tokenHash CHAR(64) NOT NULL,
+    expiresAt DATETIME NOT NULL,
+    revokedAt DATETIME NULL,
+    replacedBy INT NULL,
+    userAgent VARCHAR(255) NULL,
+    ip VARCHAR(64) NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_refresh_tokens_hash (tokenHash),
+    INDEX idx_refresh_tokens_user (userId)
+  )
+`);
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const LOGIN_MAX_FAILURES = 5;           // per account, then locked
+const LOGIN_LOCK_MINUTES = 15;
+const LOGIN_IP_MAX_ATTEMPTS = 20;       // per IP within the window below
+const LOGIN_IP_WINDOW_MS = 15 * 60000;
+const PASSWORD_MIN_LENGTH = 8;
+const USER_ROLES = ['admin', 'dealer', 'customer'];
+
+const USER_FIELDS = `
+  id, username, role, customerId, dealerId, isActive,
+  failedLoginCount, lockedUntil, lastLoginAt, passwordChangedAt
+`;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const validatePassword = (password) =>
+  typeof password === 'string' && password.length >= PASSWORD_MIN_LENGTH
+    ? null
+    : `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+
+const loginAttempts = new Map();
+
+// Sliding window of login attempts per client IP
+const isLoginThrottled = (ip) => {
+  const now = Date.now();
+  const recent = (loginAttempts.get(ip) || []).filter(t => now - t < LOGIN_IP_WINDOW_MS);
+
+  recent.push(now);
+  loginAttempts.set(ip, recent);
+
+  return recent.length > LOGIN_IP_MAX_ATTEMPTS;
+};
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, attempts] of loginAttempts) {
+    if (attempts.every(t => now - t >= LOGIN_IP_WINDOW_MS)) loginAttempts.delete(ip);
+  }
+}, LOGIN_IP_WINDOW_MS);
+
+const publicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  customerId: user.customerId,
+  dealerId: user.dealerId
+});
+
+const issueRefreshToken = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const [result] = await db.execute(
+    `INSERT INTO refresh_tokens (userId, tokenHash, expiresAt, userAgent, ip)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      user.id,
+      sha256(refreshToken),
+      new Date(Date.now() + REFRESH_TOKEN_DAYS * 86400000),
+      String(req.headers['user-agent'] || '').slice(0, 255) || null,
+      req.ip || null
+    ]
+  );
+
+  return { refreshToken, refreshTokenId: result.insertId };
+};
+
+const issueSession = async (user, req) => {
+  const token = jwt.sign(
+    {
+      id: user.id,
+      role: user.role,
+      customerId: user.customerId,
+      dealerId: user.dealerId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const { refreshToken, refreshTokenId } = await issueRefreshToken(user, req);
+
+  return { token, refreshToken, refreshTokenId, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+const revokeUserSessions = (userId) => db.execute(
+  'UPDATE refresh_tokens SET revokedAt = ? WHERE userId = ? AND revokedAt IS NULL',
+  [new Date(), userId]
+);
+
+const findUser = async (id) => {
+  const [rows] = await db.query(`SELECT ${USER_FIELDS} FROM users WHERE id = ?`, [id]);
+  return rows[0] || null;
+};
+
+app.post('/api/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  try {
+    if (isLoginThrottled(req.ip))
+      return res.status(429).json({ message: "Too many login attempts, try again later" });
+
+    const [rows] = await db.query(
+      'SELECT * FROM users WHERE username = ?',
+      [username]
+    );
+
+    if (!rows.length)
+      return res.status(401).json({ message: "Invalid credentials" });
 
     const user = rows[0];
 
-    const match = await bcrypt.compare(password, user.password);
-    if (!match)
-      return res.status(401).json({ message: "Invalid credentials" });
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date())
+      return res.status(423).json({ message: "Account locked, try again later" });
+
+    const match = await bcrypt.compare(String(password || ''), user.password);
+    if (!match) {
+      const failures = (user.failedLoginCount || 0) + 1;
+      const locked = failures >= LOGIN_MAX_FAILURES;
+
+      await db.execute(
+        'UPDATE users SET failedLoginCount = ?, lockedUntil = ? WHERE id = ?',
+        [
+          locked ? 0 : failures,
+          locked ? new Date(Date.now() + LOGIN_LOCK_MINUTES * 60000) : null,
+          user.id
+        ]
+      );
+
+      if (locked) console.warn(`🔒 User ${user.username} locked after ${failures} failed logins`);
+
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    if (user.isActive === 0)
+      return res.status(403).json({ message: "Account disabled" });
+
+    await db.execute(
+      'UPDATE users SET failedLoginCount = 0, lockedUntil = NULL, lastLoginAt = ? WHERE id = ?',
+      [new Date(), user.id]
+    );
+
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      expiresIn,
+      user: publicUser(user)
+    });
+
+  } catch (e) {
+    console.error("Login error:", e.message);
+    res.status(500).json({ error: "Login failed" });
+  }
+});
+
+// Rotates the refresh token; presenting an already rotated token revokes every
+// session of that user, since it means the token was copied
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "refreshToken is required" });
+
+    const [rows] = await db.query(
+      'SELECT * FROM refresh_tokens WHERE tokenHash = ?',
+      [sha256(String(refreshToken))]
+    );
+
+    const stored = rows[0];
+    if (!stored) return res.status(401).json({ message: "Invalid refresh token" });
+
+    if (stored.revokedAt) {
+      await revokeUserSessions(stored.userId);
+      console.warn(`⚠️ Reused refresh token for user ${stored.userId}, all sessions revoked`);
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    if (new Date(stored.expiresAt) <= new Date())
+      return res.status(401).json({ message: "Refresh token expired" });
+
+    const user = await findUser(stored.userId);
+    if (!user || user.isActive === 0) {
+      await revokeUserSessions(stored.userId);
+      return res.status(401).json({ message: "Account disabled" });
+    }
+
+    const session = await issueSession(user, req);
+
+    await db.execute(
+      'UPDATE refresh_tokens SET revokedAt = ?, replacedBy = ? WHERE id = ?',
+      [new Date(), session.refreshTokenId, stored.id]
+    );
+
+    res.json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      user: publicUser(user)
+    });
+
+  } catch (e) {
+    console.error("Token refresh error:", e.message);
+    res.status(500).json({ error: "Token refresh failed" });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "refreshToken is required" });
+
+    await db.execute(
+      'UPDATE refresh_tokens SET revokedAt = ? WHERE tokenHash = ? AND revokedAt IS NULL',
+      [new Date(), sha256(String(refreshToken))]
+    );
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error("Logout error:", e.message);
+    res.status(500).json({ error: "Logout failed" });
+  }
+});
+
+app.post('/api/auth/logout-all', verifyToken, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id);
+    res.json({ success: true });
+  } catch (e) {
+    console.error("Logout-all error:", e.message);
+    res.status(500).json({ error: "Logout failed" });
+  }
+});
+
+app.get('/api/me', verifyToken, async (req, res) => {
+  try {
+    const user = await findUser(req.user.id);
+    if (!user || user.isActive === 0) return res.status(404).json({ error: 'User not found' });
+
+    res.json({
+      ...publicUser(user),
+      lastLoginAt: user.lastLoginAt,
+      passwordChangedAt: user.passwordChangedAt,
+      permissions: ROLE_PERMISSIONS[user.role] || []
+    });
+
+  } catch (e) {
+    console.error("Fetch profile error:", e.message);
+    res.status(500).json({ error: "Failed to fetch profile" });
+  }
+});
+
+app.post('/api/me/password', verifyToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const invalid = validatePassword(newPassword);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const [rows] = await db.query('SELECT id, password FROM users WHERE id = ?', [req.user.id]);
+    if (!rows.length) return res.status(404).json({ error: 'User not found' });
+
+    const match = await bcrypt.compare(String(currentPassword || ''), rows[0].password);
+    if (!match) return res.status(401).json({ message: "Current password is incorrect" });
+
+    await db.execute(
+      'UPDATE users SET password = ?, passwordChangedAt = ? WHERE id = ?',
+      [await bcrypt.hash(newPassword, 10), new Date(), req.user.id]
+    );
+
+    // Other devices have to log in again with the new password
+    await revokeUserSessions(req.user.id);
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error("Password change error:", e.message);
+    res.status(500).json({ error: "Password change failed" });
+  }
+});
+
+/* ---------------- USER MANAGEMENT ---------------- */
+app.get('/api/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { role, search, isActive } = req.query;
+
+    let query = `SELECT ${USER_FIELDS} FROM users WHERE 1 = 1`;
+    const params = [];
+
+    if (role) {
+      query += ' AND role = ?';
+      params.push(role);
+    }
+
+    if (isActive !== undefined) {
+      query += ' AND isActive = ?';
+      params.push(isActive === 'true' || isActive === '1' ? 1 : 0);
+    }
+
+    if (search) {
+      query += ' AND username LIKE ?';
+      params.push(`%${search}%`);
+    }
+
+    query += ' ORDER BY id DESC';
+
+    const [rows] = await db.query(query, params);
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Fetch users error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+app.get('/api/users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json(user);
+
+  } catch (e) {
+    console.error('Fetch user error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+app.patch('/api/users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const updates = { ...user };
+    const body = req.body;
+
+    if (body.role !== undefined) {
+      if (!USER_ROLES.includes(body.role))
+        return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+      updates.role = body.role;
+    }
+
+    if (body.customerId !== undefined) updates.customerId = body.customerId || null;
+    if (body.dealerId !== undefined) updates.dealerId = body.dealerId || null;
+    if (body.isActive !== undefined) updates.isActive = body.isActive ? 1 : 0;
+
+    if (updates.role === 'customer' && !updates.customerId)
+      return res.status(400).json({ error: 'Customer users need a customerId' });
+
+    if (updates.role === 'dealer' && !updates.dealerId)
+      return res.status(400).json({ error: 'Dealer users need a dealerId' });
+
+    if (String(user.id) === String(req.user.id) && (updates.role !== user.role || !updates.isActive))
+      return res.status(400).json({ error: 'You cannot change your own role or deactivate yourself' });
+
+    await db.execute(
+      'UPDATE users SET role = ?, customerId = ?, dealerId = ?, isActive = ? WHERE id = ?',
+      [updates.role, updates.customerId, updates.dealerId, updates.isActive, user.id]
+    );
+
+    // Role, tenant or status changes take effect at the next login
+    const claimsChanged = updates.role !== user.role ||
+      String(updates.customerId) !== String(user.customerId) ||
+      String(updates.dealerId) !== String(user.dealerId) ||
+      updates.isActive !== user.isActive;
+
+    if (claimsChanged) await revokeUserSessions(user.id);
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('User update error:', e.message);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+app.post('/api/users/:id/reset-password', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // Without a new password, generate a temporary one for the admin to hand over
+    const generated = !req.body.newPassword;
+    const newPassword = req.body.newPassword || crypto.randomBytes(9).toString('base64url');
+
+    const invalid = validatePassword(newPassword);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    await db.execute(
+      `UPDATE users
+       SET password = ?, passwordChangedAt = ?, failedLoginCount = 0, lockedUntil = NULL
+       WHERE id = ?`,
+      [await bcrypt.hash(newPassword, 10), new Date(), user.id]
+    );
+
+    await revokeUserSessions(user.id);
+
+    res.json(generated ? { success: true, temporaryPassword: newPassword } : { success: true });
+
+  } catch (e) {
+    console.error('Password reset error:', e.message);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+app.post('/api/users/:id/unlock', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE users SET failedLoginCount = 0, lockedUntil = NULL WHERE id = ?',
+      [req.params.id]
+    );
+
+    if (!result.affectedRows) return res.status(404).json({ error: 'User not found' });
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('User unlock error:', e.message);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+/* ---------------- LISTING ---------------- */
+defineColumn('customers', 'deletedAt', 'DATETIME NULL');
+defineColumn('dealers', 'deletedAt', 'DATETIME NULL');
+defineColumn('vehicles', 'deletedAt', 'DATETIME NULL');
+
+const LIST_DEFAULT_PAGE_SIZE = 50;
+const LIST_MAX_PAGE_SIZE = 500;
+
+// ?sort=&order=&page=&pageSize= — `sortable` maps the sort names to columns.
+// Without page/pageSize the whole (filtered) list is returned, as before.
+const parseListQuery = (query, sortable, defaultSort, defaultOrder = 'DESC') => {
+  const column = sortable[query.sort] || sortable[defaultSort];
+  const order = ['asc', 'desc'].includes(String(query.order).toLowerCase())
+    ? String(query.order).toUpperCase()
+    : defaultOrder;
+
+  const paged = query.page !== undefined || query.pageSize !== undefined;
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || LIST_DEFAULT_PAGE_SIZE, 1), LIST_MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  return { orderBy: `${column} ${order}`, paged, pageSize, offset: (page - 1) * pageSize };
+};
+
+const likeTerm = (term) => `%${String(term).replace(/[\\%_]/g, '\\$&')}%`;
+
+// `q` matches any of the columns
+const addSearch = (where, params, columns, term) => {
+  if (!term || !String(term).trim()) return;
+  where.push(`(${columns.map(c => `${c} LIKE ?`).join(' OR ')})`);
+  columns.forEach(() => params.push(likeTerm(String(term).trim())));
+};
+
+// Runs the listing and sets X-Total-Count (the total before pagination)
+const sendList = async (res, { select, from, where, params, list }) => {
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  let query = `SELECT ${select} FROM ${from} ${whereSql} ORDER BY ${list.orderBy}`;
+  let total = null;
+
+  if (list.paged) {
+    const [[count]] = await db.query(`SELECT COUNT(*) AS total FROM ${from} ${whereSql}`, params);
+    total = Number(count.total);
+    query += ` LIMIT ${list.pageSize} OFFSET ${list.offset}`;
+  }
+
+  const [rows] = await db.query(query, params);
+
+  res.set('X-Total-Count', String(total ?? rows.length));
+  res.json(rows);
+};
+
+// Admins may list soft-deleted records with ?includeDeleted=1
+const includeDeleted = (req) =>
+  req.user.role === 'admin' && (req.query.includeDeleted === '1' || req.query.includeDeleted === 'true');
+
+/* ---------------- CUSTOMERS API ---------------- */
+const CUSTOMER_FIELDS = 'id, customerName, phoneNo, emailId, address, city, state, dealerId, deletedAt';
+
+const CUSTOMER_SORTS = {
+  id: 'id',
+  customerName: 'customerName',
+  city: 'city',
+  state: 'state'
+};
+
+const findCustomer = async (id) => {
+  const [rows] = await db.query(`SELECT ${CUSTOMER_FIELDS} FROM customers WHERE id = ?`, [id]);
+  return rows[0] || null;
+};
+
+app.get('/api/customers', requirePermission('customers:read'), async (req, res) => {
+  try {
+    const { q, city, state, dealerId } = req.query;
+    const where = [];
+    const params = [];
+
+    if (req.user.role === 'dealer') {
+      where.push(`(dealerId = ? OR id IN (SELECT customerId FROM vehicles WHERE dealerId = ?))`);
+      params.push(req.user.dealerId, req.user.dealerId);
+    } else if (dealerId) {
+      where.push('dealerId = ?');
+      params.push(dealerId);
+    }
+
+    if (!includeDeleted(req)) where.push('deletedAt IS NULL');
+
+    addSearch(where, params, ['customerName', 'phoneNo', 'emailId', 'city', 'state'], q);
+
+    if (city) {
+      where.push('city = ?');
+      params.push(city);
+    }
+
+    if (state) {
+      where.push('state = ?');
+      params.push(state);
+    }
+
+    await sendList(res, {
+      select: CUSTOMER_FIELDS,
+      from: 'customers',
+      where,
+      params,
+      list: parseListQuery(req.query, CUSTOMER_SORTS, 'id')
+    });
+
+  } catch (e) {
+    console.error('Fetch customers error:', e);
+    res.status(500).json({ error: 'Failed to fetch customers' });
+  }
+});
+
+app.get('/api/customers/:id', requirePermission('customers:read'), async (req, res) => {
+  try {
+    const customer = await findCustomer(req.params.id);
+
+    if (!customer || (customer.deletedAt && !includeDeleted(req)) || !(await canAccessCustomer(req.user, customer.id)))
+      return res.status(404).json({ error: 'Customer not found' });
+
+    const [[vehicles]] = await db.query(
+      'SELECT COUNT(*) AS count FROM vehicles WHERE customerId = ? AND deletedAt IS NULL',
+      [customer.id]
+    );
+
+    res.json({ ...customer, vehicleCount: Number(vehicles.count) });
+
+  } catch (e) {
+    console.error('Fetch customer error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch customer' });
+  }
+});
+
+app.post('/api/customers', requirePermission('customers:write'), async (req, res) => {
+  try {
+    const {
+      customerName,
+      phoneNo,
+      emailId,
+      address,
+      city,
+      state,
+      isUser,
+      username,
+      password
+    } = req.body;
+
+    if (!customerName || !phoneNo) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    // Customers created by a dealer belong to that dealer
+    const ownerDealerId = req.user.role === 'dealer' ? req.user.dealerId : (req.body.dealerId || null);
+
+    // 1️⃣ Insert into customers table
+    const [result] = await db.execute(
+      `INSERT INTO customers
+        (customerName, phoneNo, emailId, address, city, state, dealerId)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [customerName, phoneNo, emailId, address, city, state, ownerDealerId]
+    );
+
+    const customerId = result.insertId;
+
+    if (isUser && username && password) {
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      await db.execute(
+        `INSERT INTO users
+          (username, password, role, customerId)
+         VALUES (?, ?, 'customer', ?)`,
+        [username, hashedPassword, customerId]
+      );
+    }
+
+    res.json({ success: true, id: customerId });
+
+  } catch (e) {
+    console.error('Customer save error:', e);
+    res.status(500).json({ error: 'Failed to save customer' });
+  }
+});
+
+app.patch('/api/customers/:id', requirePermission('customers:write'), async (req, res) => {
+  try {
+    const customer = await findCustomer(req.params.id);
+
+    if (!customer || customer.deletedAt || !(await canAccessCustomer(req.user, customer.id)))
+      return res.status(404).json({ error: 'Customer not found' });
+
+    const updates = { ...customer };
+    const body = req.body;
+
+    for (const field of ['customerName', 'phoneNo', 'emailId', 'address', 'city', 'state']) {
+      if (body[field] !== undefined) updates[field] = body[field] === '' ? null : body[field];
+    }
+
+    if (body.dealerId !== undefined) {
+      if (req.user.role === 'dealer' && String(body.dealerId) !== String(req.user.dealerId))
+        return res.status(403).json({ error: 'Cannot move customer to another dealer' });
+      updates.dealerId = body.dealerId || null;
+    }
+
+    if (!updates.customerName || !updates.phoneNo)
+      return res.status(400).json({ error: 'customerName and phoneNo cannot be empty' });
+
+    await db.execute(
+      `UPDATE customers
+       SET customerName = ?, phoneNo = ?, emailId = ?, address = ?, city = ?, state = ?, dealerId = ?
+       WHERE id = ?`,
+      [
+        updates.customerName,
+        updates.phoneNo,
+        updates.emailId,
+        updates.address,
+        updates.city,
+        updates.state,
+        updates.dealerId,
+        customer.id
+      ]
+    );
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Customer update error:', e.message);
+    res.status(500).json({ error: 'Failed to update customer' });
+  }
+});
+
+// Soft delete: the record stays for history, its logins are disabled
+app.delete('/api/customers/:id', requirePermission('customers:write'), async (req, res) => {
+  try {
+    const customer = await findCustomer(req.params.id);
+
+    if (!customer || customer.deletedAt || !(await canAccessCustomer(req.user, customer.id)))
+      return res.status(404).json({ error: 'Customer not found' });
+
+    const [vehicles] = await db.query(
+      'SELECT COUNT(*) AS count FROM vehicles WHERE customerId = ? AND deletedAt IS NULL',
+      [customer.id]
+    );
+    if (Number(vehicles[0].count))
+      return res.status(409).json({ error: 'Customer still has vehicles assigned' });
+
+    await db.execute('UPDATE customers SET deletedAt = ? WHERE id = ?', [new Date(), customer.id]);
+    await db.execute('UPDATE users SET isActive = 0 WHERE customerId = ?', [customer.id]);
+    await db.execute(
+      `UPDATE refresh_tokens SET revokedAt = ?
+       WHERE revokedAt IS NULL AND userId IN (SELECT id FROM users WHERE customerId = ?)`,
+      [new Date(), customer.id]
+    );
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Customer delete error:', e.message);
+    res.status(500).json({ error: 'Failed to delete customer' });
+  }
+});
+
+
+/* ---------------- DEALERS API ---------------- */
+const DEALER_FIELDS = `id, dealerName, dealerCode, contactPerson, contactNumber, email,
+  address, city, state, createdAt, deletedAt`;
+
+const DEALER_SORTS = {
+  id: 'id',
+  dealerName: 'dealerName',
+  dealerCode: 'dealerCode',
+  city: 'city',
+  state: 'state',
+  createdAt: 'createdAt'
+};
+
+const findDealer = async (id) => {
+  const [rows] = await db.query(`SELECT ${DEALER_FIELDS} FROM dealers WHERE id = ?`, [id]);
+  return rows[0] || null;
+};
+
+app.get('/api/dealers', requirePermission('dealers:read'), async (req, res) => {
+  try {
+    const { q, city, state, dealerCode } = req.query;
+    const where = [];
+    const params = [];
+
+    // Dealers only see their own record
+    if (req.user.role === 'dealer') {
+      where.push('id = ?');
+      params.push(req.user.dealerId);
+    }
+
+    if (!includeDeleted(req)) where.push('deletedAt IS NULL');
+
+    addSearch(where, params, ['dealerName', 'dealerCode', 'contactPerson', 'city', 'state'], q);
+
+    if (city) {
+      where.push('city = ?');
+      params.push(city);
+    }
+
+    if (state) {
+      where.push('state = ?');
+      params.push(state);
+    }
+
+    if (dealerCode) {
+      where.push('dealerCode = ?');
+      params.push(dealerCode);
+    }
+
+    await sendList(res, {
+      select: DEALER_FIELDS,
+      from: 'dealers',
+      where,
+      params,
+      list: parseListQuery(req.query, DEALER_SORTS, 'id')
+    });
+
+  } catch (e) {
+    console.error('Fetch dealers error:', e);
+    res.status(500).json({ error: 'Failed to fetch dealers' });
+  }
+});
+
+app.get('/api/dealers/:id', requirePermission('dealers:read'), async (req, res) => {
+  try {
+    const dealer = await findDealer(req.params.id);
+
+    if (!dealer || (dealer.deletedAt && !includeDeleted(req)) ||
+        (req.user.role === 'dealer' && String(dealer.id) !== String(req.user.dealerId)))
+      return res.status(404).json({ error: 'Dealer not found' });
+
+    const [[counts]] = await db.query(
+      `SELECT
+         (SELECT COUNT(*) FROM vehicles WHERE dealerId = ? AND deletedAt IS NULL) AS vehicleCount,
+         (SELECT COUNT(*) FROM customers WHERE dealerId = ? AND deletedAt IS NULL) AS customerCount`,
+      [dealer.id, dealer.id]
+    );
+
+    res.json({
+      ...dealer,
+      vehicleCount: Number(counts.vehicleCount),
+      customerCount: Number(counts.customerCount)
+    });
+
+  } catch (e) {
+    console.error('Fetch dealer error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch dealer' });
+  }
+});
+
+app.post('/api/dealers', requirePermission('dealers:write'), async (req, res) => {
+  try {
+    const {
+      dealerName,
+      dealerCode,
+      contactPerson,
+      contactNumber,
+      email,
+      address,
+      city,
+      state,
+      createLogin,
+      username,
+      password
+    } = req.body;
+
+    if (!dealerName) {
+      return res.status(400).json({ error: "Dealer name is required" });
+    }
+
+    // 1️⃣ Insert dealer business data
+    const [result] = await db.execute(
+      `INSERT INTO dealers
+       (dealerName, dealerCode, contactPerson, contactNumber, email, address, city, state)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        dealerName,
+        dealerCode,
+        contactPerson,
+        contactNumber,
+        email,
+        address,
+        city,
+        state
+      ]
+    );
+
+    const dealerId = result.insertId;
+
+    // 2️⃣ Create login in users table (if required)
+    if (createLogin && username && password) {
+
+      // Check duplicate username
+      const [existing] = await db.query(
+        "SELECT id FROM users WHERE username = ?",
+        [username]
+      );
+
+      if (existing.length > 0) {
+        return res.status(400).json({ error: "Username already exists" });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      await db.execute(
+        `INSERT INTO users
+         (username, password, role, dealerId)
+         VALUES (?, ?, 'dealer', ?)`,
+        [username, hashedPassword, dealerId]
+      );
+    }
+
+    res.json({ success: true, id: dealerId });
+
+  } catch (e) {
+    console.error("Dealer save error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.patch('/api/dealers/:id', requirePermission('dealers:write'), async (req, res) => {
+  try {
+    const dealer = await findDealer(req.params.id);
+    if (!dealer || dealer.deletedAt) return res.status(404).json({ error: 'Dealer not found' });
+
+    const updates = { ...dealer };
+    const body = req.body;
+
+    for (const field of ['dealerName', 'dealerCode', 'contactPerson', 'contactNumber', 'email', 'address', 'city', 'state']) {
+      if (body[field] !== undefined) updates[field] = body[field] === '' ? null : body[field];
+    }
+
+    if (!updates.dealerName)
+      return res.status(400).json({ error: 'Dealer name is required' });
+
+    await db.execute(
+      `UPDATE dealers
+       SET dealerName = ?, dealerCode = ?, contactPerson = ?, contactNumber = ?,
+           email = ?, address = ?, city = ?, state = ?
+       WHERE id = ?`,
+      [
+        updates.dealerName,
+        updates.dealerCode,
+        updates.contactPerson,
+        updates.contactNumber,
+        updates.email,
+        updates.address,
+        updates.city,
+        updates.state,
+        dealer.id
+      ]
+    );
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Dealer update error:', e.message);
+    res.status(500).json({ error: 'Failed to update dealer' });
+  }
+});
+
+app.delete('/api/dealers/:id', requirePermission('dealers:write'), async (req, res) => {
+  try {
+    const dealer = await findDealer(req.params.id);
+    if (!dealer || dealer.deletedAt) return res.status(404).json({ error: 'Dealer not found' });
+
+    const [vehicles] = await db.query(
+      'SELECT COUNT(*) AS count FROM vehicles WHERE dealerId = ? AND deletedAt IS NULL',
+      [dealer.id]
+    );
+    if (Number(vehicles[0].count))
+      return res.status(409).json({ error: 'Dealer still has vehicles assigned' });
+
+    await db.execute('UPDATE dealers SET deletedAt = ? WHERE id = ?', [new Date(), dealer.id]);
+    await db.execute('UPDATE users SET isActive = 0 WHERE dealerId = ?', [dealer.id]);
+    await db.execute(
+      `UPDATE refresh_tokens SET revokedAt = ?
+       WHERE revokedAt IS NULL AND userId IN (SELECT id FROM users WHERE dealerId = ?)`,
+      [new Date(), dealer.id]
+    );
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Dealer delete error:', e.message);
+    res.status(500).json({ error: 'Failed to delete dealer' });
+  }
+});
+
+/* ---------------- VEHICLE MASTER ---------------- */
+// Vehicles with their customer, dealer and latest status
+const VEHICLE_MASTER_SELECT = `
+  v.vehicleId, v.displayDeviceId, v.registrationNo, v.chassis_no AS chassisNumber,
+  v.invoiceDate, v.provider, v.modelNumber,
+  v.customerId, c.customerName, c.phoneNo AS customerPhone, c.city AS customerCity, c.state AS customerState,
+  v.dealerId, d.dealerName, d.dealerCode,
+  vc.status, vc.lastUpdate, v.deletedAt
+`;
+
+const VEHICLE_MASTER_FROM = `
+  vehicles v
+  LEFT JOIN customers c ON c.id = v.customerId
+  LEFT JOIN dealers d ON d.id = v.dealerId
+  LEFT JOIN vehicle_current vc ON vc.vehicleId = v.vehicleId
+`;
+
+const VEHICLE_SORTS = {
+  vehicleId: 'v.vehicleId',
+  registrationNo: 'v.registrationNo',
+  chassisNumber: 'v.chassis_no',
+  invoiceDate: 'v.invoiceDate',
+  customerName: 'c.customerName',
+  dealerName: 'd.dealerName',
+  status: 'vc.status',
+  lastUpdate: 'vc.lastUpdate'
+};
+
+// Dealers keep their vehicles and can only assign them to their own customers
+const vehicleAssignmentError = async (user, { customerId, dealerId }) => {
+  if (user.role !== 'dealer') return null;
+
+  if (dealerId && String(dealerId) !== String(user.dealerId))
+    return 'Cannot reassign vehicle to another dealer';
+
+  if (customerId && !(await canAccessCustomer(user, customerId)))
+    return 'Unknown customer';
+
+  return null;
+};
+
+// Filters shared by the vehicle master listing and its export
+const vehicleMasterFilters = (req) => {
+  const { q, registrationNo, chassisNumber, customerId, dealerId, dealerCode, city, state, status, unassigned } = req.query;
+  const where = [];
+  const params = [];
+
+  const scope = ownerFilter(req.user, 'v');
+  if (scope) {
+    where.push(scope.sql);
+    params.push(...scope.params);
+  }
+
+  if (!includeDeleted(req)) where.push('v.deletedAt IS NULL');
+
+  addSearch(where, params, [
+    'v.vehicleId', 'v.displayDeviceId', 'v.registrationNo', 'v.chassis_no',
+    'c.customerName', 'd.dealerName', 'd.dealerCode'
+  ], q);
+
+  const filters = [
+    ['v.registrationNo LIKE ?', registrationNo && likeTerm(registrationNo)],
+    ['v.chassis_no LIKE ?', chassisNumber && likeTerm(chassisNumber)],
+    ['v.customerId = ?', customerId],
+    ['v.dealerId = ?', dealerId],
+    ['d.dealerCode = ?', dealerCode],
+    ['c.city = ?', city],
+    ['c.state = ?', state],
+    ['vc.status = ?', status]
+  ];
+
+  for (const [sql, value] of filters) {
+    if (!value) continue;
+    where.push(sql);
+    params.push(value);
+  }
+
+  if (unassigned === '1' || unassigned === 'true') where.push('v.customerId IS NULL');
+
+  return { where, params };
+};
+
+app.get('/api/vehicles/master', requirePermission('vehicles:read'), async (req, res) => {
+  try {
+    const { where, params } = vehicleMasterFilters(req);
+
+    await sendList(res, {
+      select: VEHICLE_MASTER_SELECT,
+      from: VEHICLE_MASTER_FROM,
+      where,
+      params,
+      list: parseListQuery(req.query, VEHICLE_SORTS, 'vehicleId', 'ASC')
+    });
+
+  } catch (e) {
+    console.error('Fetch vehicle master error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch vehicles' });
+  }
+});
+
+app.get('/api/vehicles/:id', requirePermission('vehicles:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await canAccessVehicle(req.user, id)))
+      return res.status(404).json({ error: 'Vehicle not found' });
+
+    const [rows] = await db.query(
+      `SELECT ${VEHICLE_MASTER_SELECT} FROM ${VEHICLE_MASTER_FROM} WHERE v.vehicleId = ?`,
+      [id]
+    );
+
+    if (!rows.length || (rows[0].deletedAt && !includeDeleted(req)))
+      return res.status(404).json({ error: 'Vehicle not found' });
+
+    res.json(rows[0]);
+
+  } catch (e) {
+    console.error('Fetch vehicle error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch vehicle' });
+  }
+});
+
+app.put('/api/vehicles/:id', requirePermission('vehicles:write'), async (req, res) => {
+  const { id } = req.params;
+
+  const {
+    displayDeviceId,
+    chassisNumber,
+    registrationNo,
+    customerId,
+    dealerId,
+    invoiceDate
+  } = req.body;
+
+  try {
+    if (!(await canAccessVehicle(req.user, id)))
+      return res.status(403).json({ error: 'Access denied' });
+
+    const assignmentError = await vehicleAssignmentError(req.user, { customerId, dealerId });
+    if (assignmentError) return res.status(403).json({ error: assignmentError });
+
+    const [rows] = await db.query(
+      'SELECT vehicleId, customerId, dealerId FROM vehicles WHERE vehicleId = ?',
+      [id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Vehicle not found' });
+
+    const owner = {
+      customerId: customerId || null,
+      dealerId: req.user.role === 'dealer' ? req.user.dealerId : (dealerId || null)
+    };
+
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      await conn.execute(
+        `UPDATE vehicles
+         SET displayDeviceId = ?,
+             registrationNo = ?,
+             chassis_no = ?,
+             customerId = ?,
+             dealerId = ?,
+             invoiceDate = ?
+         WHERE vehicleId = ?`,
+        [
+          displayDeviceId || null,
+          registrationNo || null,
+          chassisNumber || null,
+          owner.customerId,
+          owner.dealerId,
+          invoiceDate || null,
+          id
+        ]
+      );
+
+      await recordOwnershipChange(conn, rows[0], owner, { reason: 'Vehicle updated', actor: req.user });
+      await rederiveWarrantyDates(conn, id);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error('Vehicle update error:', err);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
+
+// Only the fields sent are changed
+app.patch('/api/vehicles/:id', requirePermission('vehicles:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await canAccessVehicle(req.user, id)))
+      return res.status(403).json({ error: 'Access denied' });
+
+    const [rows] = await db.query(
+      `SELECT vehicleId, displayDeviceId, registrationNo, chassis_no, customerId, dealerId, invoiceDate, deletedAt
+       FROM vehicles WHERE vehicleId = ?`,
+      [id]
+    );
+    if (!rows.length || rows[0].deletedAt) return res.status(404).json({ error: 'Vehicle not found' });
+
+    const body = req.body;
+
+    const assignmentError = await vehicleAssignmentError(req.user, body);
+    if (assignmentError) return res.status(403).json({ error: assignmentError });
+
+    const updates = { ...rows[0] };
+    const fields = {
+      displayDeviceId: 'displayDeviceId',
+      registrationNo: 'registrationNo',
+      chassisNumber: 'chassis_no',
+      customerId: 'customerId',
+      dealerId: 'dealerId',
+      invoiceDate: 'invoiceDate'
+    };
+
+    for (const [field, column] of Object.entries(fields)) {
+      if (body[field] !== undefined) updates[column] = body[field] === '' ? null : body[field];
+    }
+
+    if (req.user.role === 'dealer') updates.dealerId = req.user.dealerId;
+
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      await conn.execute(
+        `UPDATE vehicles
+         SET displayDeviceId = ?, registrationNo = ?, chassis_no = ?,
+             customerId = ?, dealerId = ?, invoiceDate = ?
+         WHERE vehicleId = ?`,
+        [
+          updates.displayDeviceId,
+          updates.registrationNo,
+          updates.chassis_no,
+          updates.customerId,
+          updates.dealerId,
+          updates.invoiceDate,
+          id
+        ]
+      );
+
+      await recordOwnershipChange(conn, rows[0], updates, { reason: 'Vehicle updated', actor: req.user });
+      await rederiveWarrantyDates(conn, id);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Vehicle update error:', e.message);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
+
+// Soft delete; the telemetry history is kept
+app.delete('/api/vehicles/:id', requirePermission('vehicles:delete'), async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE vehicles SET deletedAt = ? WHERE vehicleId = ? AND deletedAt IS NULL',
+      [new Date(), req.params.id]
+    );
+
+    if (!result.affectedRows) return res.status(404).json({ error: 'Vehicle not found' });
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Vehicle delete error:', e.message);
+    res.status(500).json({ error: 'Failed to delete vehicle' });
+  }
+});
+
+app.post('/api/vehicles/:id/restore', requirePermission('vehicles:delete'), async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE vehicles SET deletedAt = NULL WHERE vehicleId = ? AND deletedAt IS NOT NULL',
+      [req.params.id]
+    );
+
+    if (!result.affectedRows) return res.status(404).json({ error: 'Deleted vehicle not found' });
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Vehicle restore error:', e.message);
+    res.status(500).json({ error: 'Failed to restore vehicle' });
+  }
+});
+
+/* ---------------- VEHICLE OWNERSHIP ---------------- */
+// Who owned a vehicle when; the open record (effectiveTo NULL) matches vehicles.customerId/dealerId
+defineTable(`
+  CREATE TABLE IF NOT EXISTS vehicle_ownership (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    vehicleId VARCHAR(64) NOT NULL,
+    customerId INT NULL,
+    dealerId INT NULL,
+    effectiveFrom DATETIME NOT NULL,
+    effectiveTo DATETIME NULL,
+    reason VARCHAR(255) NULL,
+    actorId INT NULL,
+    actorRole VARCHAR(20) NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_vehicle_ownership_vehicle (vehicleId, effectiveFrom)
+  )
+`);
+
+// Owners assigned before history was kept get an open-ended record, so they
+// keep seeing the vehicle's full history
+schemaSteps.push(() => db.query(`
+  INSERT INTO vehicle_ownership (vehicleId, customerId, dealerId, effectiveFrom, reason)
+  SELECT v.vehicleId, v.customerId, v.dealerId, '1970-01-01 00:00:00', 'Initial owner'
+  FROM vehicles v
+  WHERE (v.customerId IS NOT NULL OR v.dealerId IS NOT NULL)
+    AND NOT EXISTS (SELECT 1 FROM vehicle_ownership o WHERE o.vehicleId = v.vehicleId)
+`));
+
+const sameOwner = (a, b) =>
+  String(a.customerId ?? '') === String(b.customerId ?? '') &&
+  String(a.dealerId ?? '') === String(b.dealerId ?? '');
+
+// Closes the open record and opens one for the new owner. `current` is the vehicle
+// row before the change; `conn` may be a transaction connection.
+const recordOwnershipChange = async (conn, current, owner, { at = new Date(), reason, actor = null }) => {
+  if (sameOwner(current, owner)) return false;
+
+  await conn.execute(
+    'UPDATE vehicle_ownership SET effectiveTo = ? WHERE vehicleId = ? AND effectiveTo IS NULL',
+    [at, current.vehicleId]
+  );
+
+  if (owner.customerId || owner.dealerId) {
+    await conn.execute(
+      `INSERT INTO vehicle_ownership
+         (vehicleId, customerId, dealerId, effectiveFrom, reason, actorId, actorRole)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        current.vehicleId,
+        owner.customerId || null,
+        owner.dealerId || null,
+        at,
+        reason ? String(reason).slice(0, 255) : null,
+        actor?.id || null,
+        actor?.role || 'system'
+      ]
+    );
+  }
+
+  // Both the previous and the new owner hear about the transfer
+  const previousOwner = { customerId: current.customerId || null, dealerId: current.dealerId || null };
+  const newOwner = { customerId: owner.customerId || null, dealerId: owner.dealerId || null };
+
+  await emitFleetEvents('vehicle.ownership_changed', [{
+    vehicleId: current.vehicleId,
+    owners: [previousOwner, newOwner],
+    data: { vehicleId: current.vehicleId, previousOwner, owner: newOwner, at, reason: reason || null }
+  }], { conn });
+
+  return true;
+};
+
+// Period of a vehicle's telemetry the caller may see: { from, to } (null = unbounded),
+// or null without access. Tenants see their latest uninterrupted stretch of ownership,
+// so a previous owner keeps the data up to the transfer and a new owner starts at it.
+const vehicleAccessWindow = async (user, vehicleId) => {
+  if (user.role !== 'customer' && user.role !== 'dealer')
+    return { from: null, to: null };
+
+  const key = user.role === 'customer' ? 'customerId' : 'dealerId';
+
+  const [history] = await db.query(
+    `SELECT customerId, dealerId, effectiveFrom, effectiveTo
+     FROM vehicle_ownership WHERE vehicleId = ?
+     ORDER BY effectiveFrom DESC, id DESC`,
+    [vehicleId]
+  );
+
+  if (!history.length)
+    return (await canAccessVehicle(user, vehicleId)) ? { from: null, to: null } : null;
+
+  let window = null;
+
+  for (const row of history) {
+    if (String(row[key]) !== String(user[key])) {
+      if (window) break;
+      continue;
+    }
+
+    window = window
+      ? { ...window, from: row.effectiveFrom }
+      : { from: row.effectiveFrom, to: row.effectiveTo };
+  }
+
+  return window;
+};
+
+// Narrows a requested range to an access window
+const clipToWindow = (window, from, to) => ({
+  from: window.from && (!from || new Date(from) < window.from) ? window.from : from,
+  to: window.to && (!to || new Date(to) > window.to) ? window.to : to
+});
+
+// Fleet-wide counterpart of vehicleAccessWindow, as a SQL condition: rows whose time
+// falls in a period the caller owned the vehicle. `at` is the row's time column, or
+// with `until` the start and (exclusive) end of the period the row covers. Vehicles
+// without ownership history go by their current owner; the query must join vehicles v.
+const ownedAtFilter = (user, vehicleColumn, at, until = null) => {
+  const owned = ownerFilter(user, 'o');
+  if (!owned) return null;
+
+  const current = ownerFilter(user, 'v');
+  const overlaps = until
+    ? `o.effectiveFrom < ${until} AND (o.effectiveTo IS NULL OR o.effectiveTo > ${at})`
+    : `o.effectiveFrom <= ${at} AND (o.effectiveTo IS NULL OR o.effectiveTo > ${at})`;
+
+  return {
+    sql: `(EXISTS (SELECT 1 FROM vehicle_ownership o
+                   WHERE o.vehicleId = ${vehicleColumn} AND ${owned.sql} AND ${overlaps})
+           OR (NOT EXISTS (SELECT 1 FROM vehicle_ownership o WHERE o.vehicleId = ${vehicleColumn})
+               AND ${current.sql}))`,
+    params: [...owned.params, ...current.params]
+  };
+};
+
+const OWNERSHIP_MAX_FUTURE_MINUTES = 5;
+
+app.post('/api/vehicles/:id/transfer', requirePermission('vehicles:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { customerId, dealerId, reason } = req.body;
+
+    if (!(await canAccessVehicle(req.user, id)))
+      return res.status(403).json({ error: 'Access denied' });
+
+    if (!reason || !String(reason).trim())
+      return res.status(400).json({ error: 'A reason is required' });
+
+    const assignmentError = await vehicleAssignmentError(req.user, { customerId, dealerId });
+    if (assignmentError) return res.status(403).json({ error: assignmentError });
+
+    const [rows] = await db.query(
+      'SELECT vehicleId, customerId, dealerId FROM vehicles WHERE vehicleId = ? AND deletedAt IS NULL',
+      [id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Vehicle not found' });
+
+    const current = rows[0];
+    const owner = {
+      customerId: customerId || null,
+      dealerId: req.user.role === 'dealer' ? req.user.dealerId : (dealerId || null)
+    };
+
+    if (sameOwner(current, owner))
+      return res.status(400).json({ error: 'Vehicle already has this owner' });
+
+    const at = req.body.effectiveAt ? new Date(req.body.effectiveAt) : new Date();
+    if (isNaN(at.getTime()))
+      return res.status(400).json({ error: 'Invalid effectiveAt' });
+
+    if (at.getTime() > Date.now() + OWNERSHIP_MAX_FUTURE_MINUTES * 60000)
+      return res.status(400).json({ error: 'effectiveAt cannot be in the future' });
+
+    const [[open]] = await db.query(
+      'SELECT MAX(effectiveFrom) AS since FROM vehicle_ownership WHERE vehicleId = ?',
+      [id]
+    );
+    if (open.since && at < open.since)
+      return res.status(400).json({ error: 'effectiveAt is before the current ownership started' });
+
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      await recordOwnershipChange(conn, current, owner, { at, reason: String(reason).trim(), actor: req.user });
+      await conn.execute(
+        'UPDATE vehicles SET customerId = ?, dealerId = ? WHERE vehicleId = ?',
+        [owner.customerId, owner.dealerId, id]
+      );
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    console.log(`🔁 Vehicle ${id} transferred`);
+
+    res.json({ success: true, effectiveAt: at });
+
+  } catch (e) {
+    console.error('Vehicle transfer error:', e.message);
+    res.status(500).json({ error: 'Transfer failed' });
+  }
+});
+
+app.get('/api/vehicles/:id/ownership', requirePermission('vehicles:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const window = await vehicleAccessWindow(req.user, id);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    let query = `
+      SELECT o.id, o.customerId, c.customerName, o.dealerId, d.dealerName, d.dealerCode,
+             o.effectiveFrom, o.effectiveTo, o.reason, o.actorId, o.actorRole, u.username AS actorName
+      FROM vehicle_ownership o
+      LEFT JOIN customers c ON c.id = o.customerId
+      LEFT JOIN dealers d ON d.id = o.dealerId
+      LEFT JOIN users u ON u.id = o.actorId
+      WHERE o.vehicleId = ?
+    `;
+    const params = [id];
+
+    // Tenants only see their own records, not who else owned the vehicle
+    const scope = ownerFilter(req.user, 'o');
+    if (scope) {
+      query += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
+    query += ' ORDER BY o.effectiveFrom DESC, o.id DESC';
+
+    const [rows] = await db.query(query, params);
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Fetch ownership error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch ownership history' });
+  }
+});
+
+/* ---------------- VEHICLE IMPORT / EXPORT ---------------- */
+const VEHICLE_IMPORT_MAX_ROWS = 5000;
+
+// The export's headers are accepted by the import, so a sheet can round-trip
+const VEHICLE_MASTER_COLUMNS = [
+  { key: 'vehicleId', label: 'HWID' },
+  { key: 'displayDeviceId', label: 'Display Device ID' },
+  { key: 'chassisNumber', label: 'Chassis Number' },
+  { key: 'registrationNo', label: 'Registration No' },
+  { key: 'invoiceDate', label: 'Invoice Date', type: 'date' },
+  { key: 'dealerCode', label: 'Dealer Code' },
+  { key: 'dealerName', label: 'Dealer Name' },
+  { key: 'customerId', label: 'Customer ID' },
+  { key: 'customerName', label: 'Customer Name' },
+  { key: 'customerPhone', label: 'Customer Phone' },
+  { key: 'customerCity', label: 'Customer City' },
+  { key: 'customerState', label: 'Customer State' },
+  { key: 'status', label: 'Status' },
+  { key: 'lastUpdate', label: 'Last Update', type: 'datetime' }
+];
+
+// Normalized header -> import field; other columns are ignored
+const VEHICLE_IMPORT_HEADERS = {
+  hwid: 'vehicleId',
+  vehicleid: 'vehicleId',
+  displaydeviceid: 'displayDeviceId',
+  chassisnumber: 'chassisNumber',
+  chassisno: 'chassisNumber',
+  registrationno: 'registrationNo',
+  registrationnumber: 'registrationNo',
+  invoicedate: 'invoiceDate',
+  dealercode: 'dealerCode',
+  customerid: 'customerId',
+  customername: 'customerName',
+  customerphone: 'customerPhone',
+  customeremail: 'customerEmail',
+  customercity: 'customerCity',
+  customerstate: 'customerState'
+};
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') quoted = true;
+    else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += ch;
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+};
+
+// YYYY-MM-DD, DD-MM-YYYY or DD/MM/YYYY -> YYYY-MM-DD (null when invalid)
+const parseImportDate = (val) => {
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(val);
+  const dmy = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(val);
+  const [y, m, d] = iso ? [iso[1], iso[2], iso[3]] : dmy ? [dmy[3], dmy[2], dmy[1]] : [];
+  if (!y) return null;
+
+  const date = new Date(Number(y), Number(m) - 1, Number(d));
+  if (date.getFullYear() !== Number(y) || date.getMonth() !== Number(m) - 1 || date.getDate() !== Number(d))
+    return null;
+
+  return toDayString(date);
+};
+
+// Validates every row against the database and works out what the commit would do.
+// Empty cells leave the current value unchanged.
+const planVehicleImport = async (user, records, { createCustomers }) => {
+  const vehicleIds = [...new Set(records.map(r => r.vehicleId).filter(Boolean))];
+  const chassisNumbers = [...new Set(records.map(r => r.chassisNumber).filter(Boolean))];
+  const dealerCodes = [...new Set(records.map(r => r.dealerCode).filter(Boolean))];
+  const customerIds = [...new Set(records.map(r => r.customerId).filter(Boolean))];
+  const phones = [...new Set(records.map(r => r.customerPhone).filter(Boolean))];
+
+  const vehicles = new Map();
+  const chassisOwners = new Map();
+  const dealers = new Map();
+  const customersById = new Map();
+  const customersByPhone = new Map();
+
+  for (const batch of chunk(vehicleIds, 1000)) {
+    const [rows] = await db.query(
+      `SELECT vehicleId, displayDeviceId, registrationNo, chassis_no, customerId, dealerId, invoiceDate
+       FROM vehicles WHERE vehicleId IN (?) AND deletedAt IS NULL`,
+      [batch]
+    );
+    rows.forEach(v => vehicles.set(v.vehicleId, v));
+  }
+
+  for (const batch of chunk(chassisNumbers, 1000)) {
+    const [rows] = await db.query(
+      'SELECT vehicleId, chassis_no FROM vehicles WHERE chassis_no IN (?) AND deletedAt IS NULL',
+      [batch]
+    );
+    rows.forEach(v => chassisOwners.set(v.chassis_no, v.vehicleId));
+  }
+
+  if (dealerCodes.length) {
+    const [rows] = await db.query(
+      'SELECT id, dealerCode FROM dealers WHERE dealerCode IN (?) AND deletedAt IS NULL',
+      [dealerCodes]
+    );
+    rows.forEach(d => dealers.set(d.dealerCode, d.id));
+  }
+
+  if (customerIds.length) {
+    const [rows] = await db.query(
+      'SELECT id, dealerId FROM customers WHERE id IN (?) AND deletedAt IS NULL',
+      [customerIds]
+    );
+    rows.forEach(c => customersById.set(String(c.id), c));
+  }
+
+  if (phones.length) {
+    const [rows] = await db.query(
+      'SELECT id, phoneNo, dealerId FROM customers WHERE phoneNo IN (?) AND deletedAt IS NULL ORDER BY id',
+      [phones]
+    );
+    rows.forEach(c => !customersByPhone.has(c.phoneNo) && customersByPhone.set(c.phoneNo, c));
+  }
+
+  const accessible = new Map();
+  const canUseCustomer = async (customerId) => {
+    if (!accessible.has(customerId)) accessible.set(customerId, await canAccessCustomer(user, customerId));
+    return accessible.get(customerId);
+  };
+
+  const seenVehicles = new Map();
+  const seenChassis = new Map();
+  const newCustomers = new Map();
+  const results = [];
+
+  for (const record of records) {
+    const errors = [];
+    const { vehicleId } = record;
+    const vehicle = vehicles.get(vehicleId);
+
+    if (!vehicleId) errors.push('HWID is required');
+    else if (!vehicle) errors.push(`Unknown HWID ${vehicleId}`);
+    else if (user.role === 'dealer' && String(vehicle.dealerId) !== String(user.dealerId))
+      errors.push(`Vehicle ${vehicleId} is not assigned to your dealership`);
+
+    if (vehicleId && seenVehicles.has(vehicleId))
+      errors.push(`HWID ${vehicleId} is repeated (row ${seenVehicles.get(vehicleId)})`);
+    else if (vehicleId) seenVehicles.set(vehicleId, record.row);
+
+    if (record.chassisNumber) {
+      const owner = chassisOwners.get(record.chassisNumber);
+      if (owner && owner !== vehicleId)
+        errors.push(`Chassis number ${record.chassisNumber} already belongs to ${owner}`);
+
+      if (seenChassis.has(record.chassisNumber))
+        errors.push(`Chassis number ${record.chassisNumber} is repeated (row ${seenChassis.get(record.chassisNumber)})`);
+      else seenChassis.set(record.chassisNumber, record.row);
+    }
+
+    let invoiceDate;
+    if (record.invoiceDate) {
+      invoiceDate = parseImportDate(record.invoiceDate);
+      if (!invoiceDate) errors.push(`Invalid invoice date ${record.invoiceDate}`);
+    }
+
+    let dealerId;
+    if (record.dealerCode) {
+      dealerId = dealers.get(record.dealerCode);
+      if (!dealerId) errors.push(`Unknown dealer code ${record.dealerCode}`);
+      else if (user.role === 'dealer' && String(dealerId) !== String(user.dealerId))
+        errors.push('Cannot reassign vehicle to another dealer');
+    }
+
+    const effectiveDealerId = dealerId ?? vehicle?.dealerId ?? null;
+
+    let customerId;
+    let createCustomer = null;
+
+    if (record.customerId) {
+      const customer = customersById.get(String(record.customerId));
+      if (!customer || !(await canUseCustomer(customer.id))) errors.push(`Unknown customer ID ${record.customerId}`);
+      else customerId = customer.id;
+    } else if (record.customerPhone) {
+      const customer = customersByPhone.get(record.customerPhone);
+
+      if (customer) {
+        if (!(await canUseCustomer(customer.id))) errors.push(`Customer with phone ${record.customerPhone} belongs to another dealer`);
+        else customerId = customer.id;
+      } else if (!createCustomers) {
+        errors.push(`Unknown customer phone ${record.customerPhone} (enable createCustomers to add it)`);
+      } else if (!record.customerName) {
+        errors.push('Customer name is required to create a customer');
+      } else {
+        // Rows sharing a phone number share the new customer
+        if (!newCustomers.has(record.customerPhone)) {
+          newCustomers.set(record.customerPhone, {
+            customerName: record.customerName,
+            phoneNo: record.customerPhone,
+            emailId: record.customerEmail || null,
+            city: record.customerCity || null,
+            state: record.customerState || null,
+            dealerId: user.role === 'dealer' ? user.dealerId : effectiveDealerId
+          });
+        }
+        createCustomer = record.customerPhone;
+      }
+    } else if (record.customerName) {
+      errors.push('Customer phone or ID is required to assign a customer');
+    }
+
+    const updates = {};
+    if (record.displayDeviceId) updates.displayDeviceId = record.displayDeviceId;
+    if (record.registrationNo) updates.registrationNo = record.registrationNo;
+    if (record.chassisNumber) updates.chassis_no = record.chassisNumber;
+    if (invoiceDate) updates.invoiceDate = invoiceDate;
+    if (dealerId) updates.dealerId = dealerId;
+    if (customerId) updates.customerId = customerId;
+
+    results.push({ row: record.row, vehicleId, current: vehicle, updates, createCustomer, errors });
+  }
+
+  return { results, newCustomers };
+};
+
+const readImportRecords = (text) => {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return { error: 'CSV is empty' };
+
+  const fields = header.map(h => VEHICLE_IMPORT_HEADERS[h.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+  if (!fields.includes('vehicleId')) return { error: 'CSV needs an HWID column' };
+
+  if (lines.length > VEHICLE_IMPORT_MAX_ROWS)
+    return { error: `At most ${VEHICLE_IMPORT_MAX_ROWS} rows per import` };
+
+  const records = lines.map((line, i) => {
+    // Row numbers as seen in a spreadsheet, header being row 1
+    const record = { row: i + 2 };
+    fields.forEach((field, col) => {
+      if (field) record[field] = String(line[col] ?? '').trim() || null;
+    });
+    return record;
+  });
+
+  return { records };
+};
+
+// Body is the CSV itself (text/csv) or JSON { csv }. Runs as a dry run unless
+// ?dryRun=false; a commit only happens when every row is valid, in one transaction.
+app.post('/api/vehicles/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  requirePermission('vehicles:write'),
+  async (req, res) => {
+    try {
+      const text = typeof req.body === 'string' ? req.body : req.body?.csv;
+      if (!text) return res.status(400).json({ error: 'CSV content is required' });
+
+      const flag = (val) => val === true || val === '1' || val === 'true';
+      const dryRun = !(req.query.dryRun === '0' || req.query.dryRun === 'false');
+      const createCustomers = flag(req.query.createCustomers) || flag(req.body?.createCustomers);
+
+      if (createCustomers && !hasPermission(req.user, 'customers:write'))
+        return res.status(403).json({ error: 'Forbidden' });
+
+      const { records, error } = readImportRecords(text);
+      if (error) return res.status(400).json({ error });
+
+      const { results, newCustomers } = await planVehicleImport(req.user, records, { createCustomers });
+      const invalid = results.filter(r => r.errors.length);
+
+      const report = {
+        dryRun,
+        rows: results.length,
+        valid: results.length - invalid.length,
+        invalid: invalid.length,
+        customersToCreate: newCustomers.size,
+        errors: invalid.map(r => ({ row: r.row, vehicleId: r.vehicleId, errors: r.errors })),
+        changes: results
+          .filter(r => !r.errors.length)
+          .map(r => ({ row: r.row, vehicleId: r.vehicleId, updates: r.updates, newCustomer: r.createCustomer }))
+      };
+
+      if (dryRun) return res.json(report);
+
+      if (invalid.length)
+        return res.status(400).json({ ...report, error: 'Import has invalid rows, nothing was saved' });
+
+      const conn = await db.getConnection();
+      try {
+        await conn.beginTransaction();
+
+        const createdIds = new Map();
+        for (const [phone, c] of newCustomers) {
+          const [result] = await conn.execute(
+            `INSERT INTO customers (customerName, phoneNo, emailId, city, state, dealerId)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [c.customerName, c.phoneNo, c.emailId, c.city, c.state, c.dealerId]
+          );
+          createdIds.set(phone, result.insertId);
+        }
+
+        for (const r of results) {
+          const updates = { ...r.updates };
+          if (r.createCustomer) updates.customerId = createdIds.get(r.createCustomer);
+          if (req.user.role === 'dealer') updates.dealerId = req.user.dealerId;
+
+          const columns = Object.keys(updates);
+          if (!columns.length) continue;
+
+          await conn.query(
+            `UPDATE vehicles SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE vehicleId = ?`,
+            [...columns.map(c => updates[c]), r.vehicleId]
+          );
+
+          const current = r.current;
+          await recordOwnershipChange(conn, current, {
+            customerId: updates.customerId ?? current.customerId,
+            dealerId: updates.dealerId ?? current.dealerId
+          }, { reason: 'Vehicle import', actor: req.user });
+
+          if (columns.includes('invoiceDate')) await rederiveWarrantyDates(conn, r.vehicleId);
+        }
+
+        await conn.commit();
+      } catch (e) {
+        await conn.rollback();
+        throw e;
+      } finally {
+        conn.release();
+      }
+
+      console.log(`📦 Vehicle import: ${results.length} rows, ${newCustomers.size} new customers`);
+
+      res.json({ ...report, success: true, customersCreated: newCustomers.size });
+
+    } catch (e) {
+      console.error('Vehicle import error:', e.message);
+      res.status(500).json({ error: 'Vehicle import failed' });
+    }
+  });
+
+app.get('/api/vehicles/master/export', requirePermission('vehicles:read'), async (req, res) => {
+  try {
+    const format = resolveExportFormat(req) === 'xlsx' ? 'xlsx' : 'csv';
+    const { where, params } = vehicleMasterFilters(req);
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const rows = streamQuery(
+      `SELECT ${VEHICLE_MASTER_SELECT} FROM ${VEHICLE_MASTER_FROM} ${whereSql} ORDER BY v.vehicleId`,
+      params
+    );
+
+    await sendTable(res, format, {
+      filename: 'vehicle_master',
+      columns: VEHICLE_MASTER_COLUMNS,
+      rows,
+      sheetName: 'Vehicles'
+    });
+
+  } catch (e) {
+    console.error('Vehicle master export error:', e.message);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+/* ---------------- TEST TOR AUTH ---------------- */
+app.get('/test-tor-auth', requirePermission('debug:tor'), async (req, res) => {
+  try {
+    const token = await getTorToken();
+    res.json({ success: !!token });
+  } catch (err) {
+    res.json({ success: false, error: err.message });
+  }
+});
+
+/* ---------------- DEBUG ROUTE ---------------- */
+app.get('/debug-tor', requirePermission('debug:tor'), async (req, res) => {
+  try {
+    const meta = await torRequest('/EquipDetails/GetVehicleDetails', {});
+    const telemetry = await torRequest('/MachineData/GetLatestMachineData', {});
+
+    res.json({
+      metaRaw: meta.data,
+      telemetryRaw: telemetry.data
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/report', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { vehicleId } = req.query;
+
+    if (!vehicleId)
+      return res.status(400).json({ error: 'vehicleId is required' });
+
+    const window = await vehicleAccessWindow(req.user, vehicleId);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    // A range is only applied when both ends are given; the ownership window always is
+    const { from, to } = req.query.from && req.query.to
+      ? clipToWindow(window, req.query.from, req.query.to)
+      : window;
+
+    const format = resolveExportFormat(req);
+
+    const resolution = req.query.resolution || null;
+    if (resolution && resolution !== 'raw' && !DOWNSAMPLE_RESOLUTIONS[resolution])
+      return res.status(400).json({ error: `resolution must be one of: raw, ${Object.keys(DOWNSAMPLE_RESOLUTIONS).join(', ')}` });
+
+    // Older ranges come (partly) from the downsampled rollups
+    const segments = await rawdataSegments(vehicleId, from, to, resolution);
+    res.set('X-Data-Resolution', segments.map(s => s.resolution).join(','));
+
+    // Downloads are streamed without the JSON row cap
+    if (format === 'csv' || format === 'xlsx') {
+      return await sendTable(res, format, {
+        filename: `report_${vehicleId}`,
+        columns: RAWDATA_COLUMNS,
+        rows: streamRawData({ vehicleId, from, to, segments })
+      });
+    }
+
+    if (format === 'pdf') {
+      const range = parseReportRange(req.query);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      return await sendVehicleSummaryPdf(res, { vehicleId, ...clipToWindow(window, range.from, range.to) });
+    }
+
+    if (segments.length === 1 && segments[0].resolution === 'raw') {
+      let query = `
+        SELECT *
+        FROM vehicle_rawdata
+        WHERE HWID = ?
+      `;
+      const params = [vehicleId];
+
+      if (from) {
+        query += ` AND DeviceDate >= ?`;
+        params.push(from);
+      }
+
+      if (to) {
+        query += ` AND DeviceDate <= ?`;
+        params.push(to);
+      }
+
+      query += ` ORDER BY DeviceDate DESC LIMIT 5000`;
+
+      const [rows] = await db.query(query, params);
+      return res.json(rows);
+    }
+
+    const { query, params } = rawdataQuery(vehicleId, segments, {
+      columns: TELEMETRY_FIELDS,
+      from,
+      to
+    });
+
+    const [rows] = await db.query(`${query} ORDER BY DeviceDate DESC LIMIT 5000`, params);
+    res.json(rows);
+
+  } catch (e) {
+    console.error("Report API error:", e.message);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to fetch report' });
+  }
+});
+
+/* ---------------- TRIPS ---------------- */
+const TRIP_STOP_MINUTES = 5;        // stationary with key on this long ends a trip
+const TRIP_MAX_GAP_MINUTES = 15;    // no packets for this long ends a trip
+const TRIP_MIN_DISTANCE_KM = 0.1;   // shorter "trips" are GPS/odometer noise
+const TRIP_MAX_RANGE_DAYS = 31;
+
+// Defaults to the last 24 hours
+const parseReportRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 86400000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to)
+    return { error: 'Invalid date range' };
+
+  if (to - from > TRIP_MAX_RANGE_DAYS * 86400000)
+    return { error: `Date range cannot exceed ${TRIP_MAX_RANGE_DAYS} days` };
+
+  return { from, to };
+};
+
+const toNumberOrNull = (val) => {
+  if (val === null || val === undefined || val === '') return null;
+  const n = Number(val);
+  return Number.isFinite(n) ? n : null;
+};
+
+const round = (n, digits = 2) =>
+  n === null || n === undefined ? null : Number(n.toFixed(digits));
+
+const closeTrip = (trip, endRow, inProgress = false) => {
+  const start = trip.start;
+  const startTime = new Date(start.DeviceDate);
+  const endTime = new Date(endRow.DeviceDate);
+  const durationMin = (endTime - startTime) / 60000;
+
+  const startOdo = toNumberOrNull(start.Odometer);
+  const endOdo = toNumberOrNull(endRow.Odometer);
+  const distanceKm = startOdo !== null && endOdo !== null && endOdo >= startOdo
+    ? endOdo - startOdo
+    : null;
+
+  const avgSpeed = distanceKm !== null && durationMin > 0
+    ? distanceKm / (durationMin / 60)
+    : trip.speedSamples ? trip.speedSum / trip.speedSamples : 0;
+
+  const startSoc = toNumberOrNull(start.StateofCharge);
+  const endSoc = toNumberOrNull(endRow.StateofCharge);
+
+  return {
+    startTime,
+    endTime,
+    durationMin: round(durationMin, 1),
+    start: { lat: toNumberOrNull(start.Latitude), lng: toNumberOrNull(start.Longitude) },
+    end: { lat: toNumberOrNull(endRow.Latitude), lng: toNumberOrNull(endRow.Longitude) },
+    startOdometer: startOdo,
+    endOdometer: endOdo,
+    distanceKm: round(distanceKm),
+    maxSpeed: trip.maxSpeed,
+    avgSpeed: round(avgSpeed, 1),
+    startSoc,
+    endSoc,
+    socConsumed: startSoc !== null && endSoc !== null ? round(startSoc - endSoc, 1) : null,
+    inProgress
+  };
+};
+
+// Segments ascending vehicle_rawdata rows into trips. A trip starts on the first
+// moving packet with the key on (speed > 0 or odometer advancing) and ends when
+// the key goes off, the vehicle stands still too long, or packets stop arriving.
+const detectTrips = (rows) => {
+  const trips = [];
+  let trip = null;
+  let prev = null;
+
+  const finish = (endRow, inProgress = false) => {
+    const t = closeTrip(trip, endRow, inProgress);
+    trip = null;
+
+    const tooShort = t.distanceKm !== null
+      ? t.distanceKm < TRIP_MIN_DISTANCE_KM
+      : t.durationMin < 1;
+
+    if (!tooShort) trips.push(t);
+  };
+
+  for (const r of rows) {
+    const time = new Date(r.DeviceDate).getTime();
+    if (isNaN(time)) continue;
+
+    const prevTime = prev ? new Date(prev.DeviceDate).getTime() : null;
+
+    if (trip && (time - prevTime) / 60000 > TRIP_MAX_GAP_MINUTES) {
+      finish(trip.lastMoving);
+    }
+
+    const keyOn = String(r.KeyOnSignal) === '1';
+    const speed = toNumberOrNull(r.Speed) || 0;
+    const odo = toNumberOrNull(r.Odometer);
+    const prevOdo = prev ? toNumberOrNull(prev.Odometer) : null;
+    const moving = keyOn && (speed > 0 || (odo !== null && prevOdo !== null && odo > prevOdo));
+
+    if (!trip && moving) {
+      // The previous key-on packet is where the vehicle set off from
+      const startRow = prev && String(prev.KeyOnSignal) === '1'
+        && (time - prevTime) / 60000 <= TRIP_MAX_GAP_MINUTES ? prev : r;
+
+      trip = { start: startRow, lastMoving: r, lastMoveAt: time, maxSpeed: 0, speedSum: 0, speedSamples: 0 };
+    }
+
+    if (trip) {
+      if (moving) {
+        trip.lastMoving = r;
+        trip.lastMoveAt = time;
+      }
+
+      if (speed > 0) {
+        trip.maxSpeed = Math.max(trip.maxSpeed, speed);
+        trip.speedSum += speed;
+        trip.speedSamples++;
+      }
+
+      if (!keyOn) finish(r);
+      else if ((time - trip.lastMoveAt) / 60000 > TRIP_STOP_MINUTES) finish(trip.lastMoving);
+    }
+
+    prev = r;
+  }
+
+  if (trip) finish(trip.lastMoving, true);
+
+  return trips;
+};
+
+app.get('/api/vehicles/:id/trips', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const window = await vehicleAccessWindow(req.user, id);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    const range = parseReportRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const { from, to } = clipToWindow(window, range.from, range.to);
+
+    const format = resolveExportFormat(req);
+
+    if (format === 'pdf')
+      return await sendVehicleSummaryPdf(res, { vehicleId: id, from, to });
+
+    const segments = await rawdataSegments(id, from, to);
+    const rawError = await rawOnlyRangeError(id, segments, from, to);
+    if (rawError) return res.status(400).json({ error: rawError });
+
+    const [rows] = await db.query(
+      `SELECT DeviceDate, Latitude, Longitude, KeyOnSignal, Speed, Odometer, StateofCharge
+       FROM vehicle_rawdata
+       WHERE HWID = ? AND DeviceDate BETWEEN ? AND ?
+       ORDER BY DeviceDate ASC`,
+      [id, from, to]
+    );
+
+    const trips = detectTrips(rows);
+
+    if (format === 'csv' || format === 'xlsx') {
+      return await sendTable(res, format, {
+        filename: `trips_${id}`,
+        columns: TRIP_COLUMNS,
+        rows: trips.map(flattenTrip),
+        sheetName: 'Trips'
+      });
+    }
+
+    res.json(trips);
+
+  } catch (e) {
+    console.error('Trips API error:', e.message);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to fetch trips' });
+  }
+});
+
+
+/* ---------------- GEOFENCES ---------------- */
+defineTable(`
+  CREATE TABLE IF NOT EXISTS geofences (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    type ENUM('circle', 'polygon') NOT NULL,
+    centerLat DOUBLE NULL,
+    centerLng DOUBLE NULL,
+    radiusMeters DOUBLE NULL,
+    polygon JSON NULL,
+    customerId INT NULL,
+    dealerId INT NULL,
+    isActive TINYINT(1) NOT NULL DEFAULT 1,
+    createdBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_geofences_customer (customerId),
+    INDEX idx_geofences_dealer (dealerId)
+  )
+`);
+
+defineTable(`
+  CREATE TABLE IF NOT EXISTS geofence_vehicle_state (
+    geofenceId INT NOT NULL,
+    vehicleId VARCHAR(64) NOT NULL,
+    inside TINYINT(1) NOT NULL,
+    updatedAt DATETIME NOT NULL,
+    PRIMARY KEY (geofenceId, vehicleId)
+  )
+`);
+
+defineTable(`
+  CREATE TABLE IF NOT EXISTS geofence_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    geofenceId INT NOT NULL,
+    vehicleId VARCHAR(64) NOT NULL,
+    eventType ENUM('enter', 'exit') NOT NULL,
+    lat DOUBLE NOT NULL,
+    lng DOUBLE NOT NULL,
+    eventTime DATETIME NOT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_geofence_events_fence (geofenceId, eventTime),
+    INDEX idx_geofence_events_vehicle (vehicleId, eventTime)
+  )
+`);
+
+const EARTH_RADIUS_M = 6371000;
+
+// MySQL returns JSON columns parsed, MariaDB as text
+const parseJsonColumn = (val, fallback = null) => {
+  if (val === null || val === undefined) return fallback;
+  if (typeof val !== 'string') return val;
+  try {
+    return JSON.parse(val);
+  } catch {
+    return fallback;
+  }
+};
+
+// TOR reports 0,0 when the device has no GPS fix
+const isValidCoordinate = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) &&
+  Math.abs(lat) <= 90 && Math.abs(lng) <= 180 &&
+  !(lat === 0 && lng === 0);
+
+const haversineMeters = (lat1, lng1, lat2, lng2) => {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
+
+// Ray casting; polygon is a list of { lat, lng } vertices
+const pointInPolygon = (lat, lng, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.lat > lat) !== (b.lat > lat) &&
+      lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+const isInsideGeofence = (fence, lat, lng) => {
+  if (fence.type === 'circle')
+    return haversineMeters(fence.centerLat, fence.centerLng, lat, lng) <= fence.radiusMeters;
+
+  const polygon = parseJsonColumn(fence.polygon, []);
+  return polygon.length >= 3 && pointInPolygon(lat, lng, polygon);
+};
+
+const chunk = (list, size) => {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+};
+
+const loadVehicleOwners = async (vehicleIds) => {
+  const owners = new Map();
+
+  for (const ids of chunk([...new Set(vehicleIds)], 1000)) {
+    const [rows] = await db.query(
+      'SELECT vehicleId, customerId, dealerId, modelNumber, deletedAt FROM vehicles WHERE vehicleId IN (?)',
+      [ids]
+    );
+    rows.forEach(r => owners.set(String(r.vehicleId), r));
+  }
+
+  return owners;
+};
+
+const evaluateGeofences = async (positions) => {
+  const valid = positions.filter(p => isValidCoordinate(p.lat, p.lng));
+  if (!valid.length) return;
+
+  const [fences] = await db.query('SELECT * FROM geofences WHERE isActive = 1');
+  if (!fences.length) return;
+
+  const owners = await loadVehicleOwners(valid.map(p => p.vehicleId));
+
+  const [stateRows] = await db.query(
+    'SELECT geofenceId, vehicleId, inside FROM geofence_vehicle_state WHERE geofenceId IN (?)',
+    [fences.map(f => f.id)]
+  );
+  const states = new Map(stateRows.map(s => [`${s.geofenceId}:${s.vehicleId}`, !!s.inside]));
+
+  const stateUpdates = [];
+  const events = [];
+
+  for (const fence of fences) {
+    for (const p of valid) {
+      if (!tenantAppliesTo(fence, owners.get(p.vehicleId))) continue;
+
+      const inside = isInsideGeofence(fence, p.lat, p.lng);
+      const key = `${fence.id}:${p.vehicleId}`;
+      const previous = states.get(key);
+
+      if (previous === inside) continue;
+
+      stateUpdates.push([fence.id, p.vehicleId, inside ? 1 : 0, p.time]);
+
+      // First sighting only establishes the baseline
+      if (previous !== undefined) {
+        events.push([fence.id, p.vehicleId, inside ? 'enter' : 'exit', p.lat, p.lng, p.time]);
+      }
+    }
+  }
+
+  for (const rows of chunk(stateUpdates, 1000)) {
+    await db.query(
+      `INSERT INTO geofence_vehicle_state (geofenceId, vehicleId, inside, updatedAt)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE inside = VALUES(inside), updatedAt = VALUES(updatedAt)`,
+      [rows]
+    );
+  }
+
+  for (const rows of chunk(events, 1000)) {
+    await db.query(
+      `INSERT INTO geofence_events (geofenceId, vehicleId, eventType, lat, lng, eventTime)
+       VALUES ?`,
+      [rows]
+    );
+  }
+
+  if (events.length) console.log(`📍 Geofence events recorded: ${events.length}`);
+
+  const fenceNames = new Map(fences.map(f => [f.id, f.name]));
+
+  for (const type of ['enter', 'exit']) {
+    await emitFleetEvents(`geofence.${type}`, events
+      .filter(e => e[2] === type)
+      .map(([geofenceId, vehicleId, , lat, lng, eventTime]) => ({
+        vehicleId,
+        data: { geofenceId, geofenceName: fenceNames.get(geofenceId), vehicleId, lat, lng, at: eventTime }
+      })));
+  }
+};
+
+const formatGeofence = (g) => ({
+  id: g.id,
+  name: g.name,
+  type: g.type,
+  center: g.type === 'circle' ? { lat: g.centerLat, lng: g.centerLng } : null,
+  radiusMeters: g.type === 'circle' ? g.radiusMeters : null,
+  polygon: g.type === 'polygon' ? parseJsonColumn(g.polygon, []) : null,
+  customerId: g.customerId,
+  dealerId: g.dealerId,
+  isActive: !!g.isActive,
+  createdAt: g.createdAt,
+  updatedAt: g.updatedAt
+});
+
+// Accepts [[lat, lng], ...] or [{ lat, lng }, ...]
+const normalizePolygon = (points) => {
+  if (!Array.isArray(points)) return null;
+
+  const polygon = points.map(p => Array.isArray(p)
+    ? { lat: Number(p[0]), lng: Number(p[1]) }
+    : { lat: Number(p?.lat), lng: Number(p?.lng) });
+
+  if (polygon.length < 3 || polygon.some(p => !isValidCoordinate(p.lat, p.lng))) return null;
+  return polygon;
+};
+
+const parseGeofenceInput = (body, user) => {
+  const { name, type, center, radiusMeters, polygon, isActive } = body;
+
+  if (!name) return { error: 'Geofence name is required' };
+
+  const values = {
+    name,
+    type,
+    centerLat: null,
+    centerLng: null,
+    radiusMeters: null,
+    polygon: null,
+    isActive: isActive === undefined ? 1 : (isActive ? 1 : 0)
+  };
+
+  if (type === 'circle') {
+    const lat = Number(center?.lat);
+    const lng = Number(center?.lng);
+    const radius = Number(radiusMeters);
+
+    if (!isValidCoordinate(lat, lng)) return { error: 'Invalid circle center' };
+    if (!(radius > 0)) return { error: 'radiusMeters must be greater than 0' };
+
+    Object.assign(values, { centerLat: lat, centerLng: lng, radiusMeters: radius });
+  } else if (type === 'polygon') {
+    const points = normalizePolygon(polygon);
+    if (!points) return { error: 'Polygon needs at least 3 valid points' };
+
+    values.polygon = JSON.stringify(points);
+  } else {
+    return { error: "type must be 'circle' or 'polygon'" };
+  }
+
+  Object.assign(values, tenantOwnerFor(user, body));
+
+  return { values };
+};
+
+const findGeofence = async (id) => {
+  const [rows] = await db.query('SELECT * FROM geofences WHERE id = ?', [id]);
+  return rows[0] || null;
+};
+
+app.get('/api/geofences', requirePermission('geofences:read'), async (req, res) => {
+  try {
+    let query = 'SELECT * FROM geofences';
+    let params = [];
+
+    const scope = ownerFilter(req.user);
+    if (scope) {
+      query += ` WHERE ${scope.sql}`;
+      params = scope.params;
+    }
+
+    query += ' ORDER BY id DESC';
+
+    const [rows] = await db.query(query, params);
+    res.json(rows.map(formatGeofence));
+
+  } catch (e) {
+    console.error('Fetch geofences error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch geofences' });
+  }
+});
+
+app.get('/api/geofences/:id', requirePermission('geofences:read'), async (req, res) => {
+  try {
+    const fence = await findGeofence(req.params.id);
+
+    if (!fence || !canAccessOwned(req.user, fence))
+      return res.status(404).json({ error: 'Geofence not found' });
+
+    res.json(formatGeofence(fence));
+
+  } catch (e) {
+    console.error('Fetch geofence error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch geofence' });
+  }
+});
+
+app.post('/api/geofences', requirePermission('geofences:write'), async (req, res) => {
+  try {
+    const { values, error } = parseGeofenceInput(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    const [result] = await db.execute(
+      `INSERT INTO geofences
+        (name, type, centerLat, centerLng, radiusMeters, polygon, customerId, dealerId, isActive, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        values.name,
+        values.type,
+        values.centerLat,
+        values.centerLng,
+        values.radiusMeters,
+        values.polygon,
+        values.customerId,
+        values.dealerId,
+        values.isActive,
+        req.user.id || null
+      ]
+    );
+
+    res.json({ success: true, id: result.insertId });
+
+  } catch (e) {
+    console.error('Geofence save error:', e.message);
+    res.status(500).json({ error: 'Failed to save geofence' });
+  }
+});
+
+app.put('/api/geofences/:id', requirePermission('geofences:write'), async (req, res) => {
+  try {
+    const fence = await findGeofence(req.params.id);
+
+    if (!fence || !canAccessOwned(req.user, fence))
+      return res.status(404).json({ error: 'Geofence not found' });
+
+    const { values, error } = parseGeofenceInput(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    await db.execute(
+      `UPDATE geofences
+       SET name = ?, type = ?, centerLat = ?, centerLng = ?, radiusMeters = ?,
+           polygon = ?, customerId = ?, dealerId = ?, isActive = ?
+       WHERE id = ?`,
+      [
+        values.name,
+        values.type,
+        values.centerLat,
+        values.centerLng,
+        values.radiusMeters,
+        values.polygon,
+        values.customerId,
+        values.dealerId,
+        values.isActive,
+        fence.id
+      ]
+    );
+
+    // The shape changed, so previous inside/outside states no longer apply
+    await db.execute('DELETE FROM geofence_vehicle_state WHERE geofenceId = ?', [fence.id]);
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Geofence update error:', e.message);
+    res.status(500).json({ error: 'Failed to update geofence' });
+  }
+});
+
+app.delete('/api/geofences/:id', requirePermission('geofences:write'), async (req, res) => {
+  try {
+    const fence = await findGeofence(req.params.id);
+
+    if (!fence || !canAccessOwned(req.user, fence))
+      return res.status(404).json({ error: 'Geofence not found' });
+
+    await db.execute('DELETE FROM geofence_vehicle_state WHERE geofenceId = ?', [fence.id]);
+    await db.execute('DELETE FROM geofence_events WHERE geofenceId = ?', [fence.id]);
+    await db.execute('DELETE FROM geofences WHERE id = ?', [fence.id]);
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Geofence delete error:', e.message);
+    res.status(500).json({ error: 'Failed to delete geofence' });
+  }
+});
+
+const GEOFENCE_EVENTS_LIMIT = 5000;
+
+app.get('/api/geofences/:id/events', requirePermission('geofences:read'), async (req, res) => {
+  try {
+    const fence = await findGeofence(req.params.id);
+
+    if (!fence || !canAccessOwned(req.user, fence))
+      return res.status(404).json({ error: 'Geofence not found' });
+
+    const { vehicleId, from, to } = req.query;
+
+    let query = `
+      SELECT id, geofenceId, vehicleId, eventType, lat, lng, eventTime
+      FROM geofence_events
+      WHERE geofenceId = ?
+    `;
+    const params = [fence.id];
+
+    if (vehicleId) {
+      query += ' AND vehicleId = ?';
+      params.push(vehicleId);
+    }
+
+    if (from && to) {
+      query += ' AND eventTime BETWEEN ? AND ?';
+      params.push(from, to);
+    }
+
+    query += ` ORDER BY eventTime DESC LIMIT ${GEOFENCE_EVENTS_LIMIT}`;
+
+    const [rows] = await db.query(query, params);
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Geofence events error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch geofence events' });
+  }
+});
+
+app.get('/api/vehicles/:id/geofence-events', requirePermission('geofences:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const window = await vehicleAccessWindow(req.user, id);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    const { from, to } = req.query.from && req.query.to
+      ? clipToWindow(window, req.query.from, req.query.to)
+      : window;
+
+    let query = `
+      SELECT e.id, e.geofenceId, g.name AS geofenceName, e.vehicleId,
+             e.eventType, e.lat, e.lng, e.eventTime
+      FROM geofence_events e
+      JOIN geofences g ON g.id = e.geofenceId
+      WHERE e.vehicleId = ?
+    `;
+    const params = [id];
+
+    // Only events from fences the caller can see
+    const scope = ownerFilter(req.user, 'g');
+    if (scope) {
+      query += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
+    if (from) {
+      query += ' AND e.eventTime >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      query += ' AND e.eventTime <= ?';
+      params.push(to);
+    }
+
+    query += ` ORDER BY e.eventTime DESC LIMIT ${GEOFENCE_EVENTS_LIMIT}`;
+
+    const [rows] = await db.query(query, params);
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Vehicle geofence events error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch geofence events' });
+  }
+});
+
+/* ---------------- TRACK PLAYBACK ---------------- */
+const TRACK_DEFAULT_TOLERANCE_M = 10;
+const TRACK_MAX_TOLERANCE_M = 1000;
+const TRACK_DEFAULT_STOP_MINUTES = 5;
+const TRACK_STOP_RADIUS_M = 50;      // GPS drift while parked stays within this
+
+// Distance (m) from p to the segment a-b, on a local flat projection around a
+const segmentDistanceMeters = (p, a, b) => {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const cosLat = Math.cos(toRad(a.lat));
+  const project = (q) => ({
+    x: toRad(q.lng - a.lng) * cosLat * EARTH_RADIUS_M,
+    y: toRad(q.lat - a.lat) * EARTH_RADIUS_M
+  });
+
+  const pp = project(p);
+  const pb = project(b);
+  const lengthSq = pb.x ** 2 + pb.y ** 2;
+  const t = lengthSq ? Math.max(0, Math.min(1, (pp.x * pb.x + pp.y * pb.y) / lengthSq)) : 0;
+
+  return Math.hypot(pp.x - t * pb.x, pp.y - t * pb.y);
+};
+
+// Douglas-Peucker; iterative so long tracks can't overflow the stack
+const simplifyTrack = (points, toleranceM) => {
+  if (points.length <= 2 || toleranceM <= 0) return points;
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = keep[points.length - 1] = true;
+
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const dist = segmentDistanceMeters(points[i], points[first], points[last]);
+      if (dist > maxDist) {
+        maxDist = dist;
+        index = i;
+      }
+    }
+
+    if (maxDist > toleranceM) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+// Ascending rows -> valid points, one per timestamp
+const toTrackPoints = (rows) => {
+  const points = [];
+  let lastTime = null;
+
+  for (const r of rows) {
+    const lat = toNumberOrNull(r.Latitude);
+    const lng = toNumberOrNull(r.Longitude);
+    const time = new Date(r.DeviceDate);
+
+    if (!isValidCoordinate(lat, lng) || isNaN(time.getTime())) continue;
+    if (lastTime === time.getTime()) continue;
+
+    lastTime = time.getTime();
+    points.push({
+      lat,
+      lng,
+      time,
+      speed: toNumberOrNull(r.Speed),
+      soc: toNumberOrNull(r.StateofCharge),
+      keyOn: String(r.KeyOnSignal) === '1'
+    });
+  }
+
+  return points;
+};
+
+// A stop is a run of stationary points within TRACK_STOP_RADIUS_M of where it began,
+// lasting at least `minMinutes` (including packet gaps while parked)
+const detectStops = (points, minMinutes) => {
+  const stops = [];
+  let run = null;
+
+  const close = () => {
+    if (!run) return;
+    const durationMin = (run.end.time - run.start.time) / 60000;
+
+    if (durationMin >= minMinutes) {
+      stops.push({
+        lat: run.start.lat,
+        lng: run.start.lng,
+        startTime: run.start.time,
+        endTime: run.end.time,
+        durationMin: round(durationMin, 1),
+        keyOn: run.keyOn
+      });
+    }
+    run = null;
+  };
+
+  for (const p of points) {
+    const stationary = !(p.speed > 0);
+    const nearby = run && haversineMeters(run.start.lat, run.start.lng, p.lat, p.lng) <= TRACK_STOP_RADIUS_M;
+
+    if (run && stationary && nearby) {
+      run.end = p;
+      run.keyOn = run.keyOn || p.keyOn;
+      continue;
+    }
+
+    // Moving on from the stop: the first point away still marks when it ended
+    if (run && nearby) run.end = p;
+    close();
+
+    if (stationary) run = { start: p, end: p, keyOn: p.keyOn };
+  }
+
+  close();
+  return stops;
+};
+
+const trackToGeoJson = (vehicleId, points, stops) => ({
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: points.map(p => [p.lng, p.lat]) },
+      properties: {
+        type: 'track',
+        vehicleId,
+        times: points.map(p => p.time),
+        speeds: points.map(p => p.speed)
+      }
+    },
+    ...stops.map(s => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [s.lng, s.lat] },
+      properties: {
+        type: 'stop',
+        vehicleId,
+        startTime: s.startTime,
+        endTime: s.endTime,
+        durationMin: s.durationMin,
+        keyOn: s.keyOn
+      }
+    }))
+  ]
+});
+
+app.get('/api/vehicles/:id/track', requirePermission('telemetry:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const window = await vehicleAccessWindow(req.user, id);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    const range = parseReportRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const { from, to } = clipToWindow(window, range.from, range.to);
+
+    const tolerance = req.query.tolerance === undefined
+      ? TRACK_DEFAULT_TOLERANCE_M
+      : Number(req.query.tolerance);
+    if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > TRACK_MAX_TOLERANCE_M)
+      return res.status(400).json({ error: `tolerance must be between 0 and ${TRACK_MAX_TOLERANCE_M} meters` });
+
+    const stopMinutes = req.query.stopMinutes === undefined
+      ? TRACK_DEFAULT_STOP_MINUTES
+      : Number(req.query.stopMinutes);
+    if (!Number.isFinite(stopMinutes) || stopMinutes <= 0)
+      return res.status(400).json({ error: 'stopMinutes must be a positive number' });
+
+    // Older stretches are drawn from the rollups, one point per bucket
+    const segments = await rawdataSegments(id, from, to);
+    res.set('X-Data-Resolution', segments.map(s => s.resolution).join(','));
+
+    const { query, params } = rawdataQuery(id, segments, {
+      columns: ['DeviceDate', 'Latitude', 'Longitude', 'Speed', 'StateofCharge', 'KeyOnSignal'],
+      from,
+      to
+    });
+    const [rows] = await db.query(`SELECT * FROM (${query}) u ORDER BY DeviceDate ASC`, params);
+
+    const points = toTrackPoints(rows);
+    const stops = detectStops(points, stopMinutes);
+    const simplified = simplifyTrack(points, tolerance);
+
+    let distanceM = 0;
+    for (let i = 1; i < points.length; i++)
+      distanceM += haversineMeters(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+
+    const wantsGeoJson = String(req.query.format || '').toLowerCase() === 'geojson' ||
+      (req.headers.accept || '').includes('application/geo+json');
+
+    if (wantsGeoJson) {
+      res.type('application/geo+json');
+      return res.send(JSON.stringify(trackToGeoJson(id, simplified, stops)));
+    }
+
+    res.json({
+      vehicleId: id,
+      from,
+      to,
+      tolerance,
+      summary: {
+        packets: rows.length,
+        validPoints: points.length,
+        points: simplified.length,
+        distanceKm: round(distanceM / 1000),
+        stops: stops.length
+      },
+      points: simplified.map(({ keyOn, ...p }) => p),
+      stops
+    });
+
+  } catch (e) {
+    console.error('Track API error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch track' });
+  }
+});
+
+/* ---------------- ALERTS ---------------- */
+defineTable(`
+  CREATE TABLE IF NOT EXISTS alert_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    metric VARCHAR(40) NOT NULL,
+    threshold DOUBLE NULL,
+    severity ENUM('info', 'warning', 'critical') NOT NULL DEFAULT 'warning',
+    customerId INT NULL,
+    dealerId INT NULL,
+    isActive TINYINT(1) NOT NULL DEFAULT 1,
+    createdBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_alert_rules_customer (customerId),
+    INDEX idx_alert_rules_dealer (dealerId)
+  )
+`);
+
+defineTable(`
+  CREATE TABLE IF NOT EXISTS alerts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    ruleId INT NOT NULL,
+    vehicleId VARCHAR(64) NOT NULL,
+    metric VARCHAR(40) NOT NULL,
+    severity ENUM('info', 'warning', 'critical') NOT NULL,
+    status ENUM('open', 'acknowledged', 'resolved') NOT NULL DEFAULT 'open',
+    message VARCHAR(255) NOT NULL,
+    value DOUBLE NULL,
+    threshold DOUBLE NULL,
+    openedAt DATETIME NOT NULL,
+    lastSeenAt DATETIME NOT NULL,
+    acknowledgedAt DATETIME NULL,
+    acknowledgedBy INT NULL,
+    resolvedAt DATETIME NULL,
+    resolvedBy INT NULL,
+    note VARCHAR(255) NULL,
+    INDEX idx_alerts_rule_vehicle (ruleId, vehicleId, status),
+    INDEX idx_alerts_vehicle (vehicleId, openedAt),
+    INDEX idx_alerts_status (status, openedAt)
+  )
+`);
+
+// Set when an alert is resolved by hand while its condition still holds: the rule
+// does not open a new alert for the vehicle until the value is back within threshold
+defineColumn('alerts', 'awaitingClear', 'TINYINT(1) NOT NULL DEFAULT 0');
+defineIndex('alerts', 'idx_alerts_awaiting_clear', 'INDEX idx_alerts_awaiting_clear (awaitingClear, ruleId, vehicleId)');
+
+const minutesSince = (date, now = Date.now()) => {
+  const t = new Date(date).getTime();
+  return isNaN(t) ? null : (now - t) / 60000;
+};
+
+// read() pulls the watched value out of a normalized packet; breached() compares it to the rule threshold
+const ALERT_METRICS = {
+  soc_below: {
+    label: 'Battery SoC',
+    unit: '%',
+    read: (v) => toNumberOrNull(v.StateofCharge),
+    breached: (val, threshold) => val < threshold
+  },
+  batt_temp_above: {
+    label: 'Battery temperature',
+    unit: '°C',
+    read: (v) => toNumberOrNull(v.BattTemp),
+    breached: (val, threshold) => val > threshold
+  },
+  controller_temp_above: {
+    label: 'Controller temperature',
+    unit: '°C',
+    read: (v) => toNumberOrNull(v.ControllerTemperature),
+    breached: (val, threshold) => val > threshold
+  },
+  offline_minutes: {
+    label: 'No data for',
+    unit: ' min',
+    read: (v) => minutesSince(v.DeviceDate),
+    breached: (val, threshold) => val > threshold
+  },
+  speed_above: {
+    label: 'Speed',
+    unit: ' km/h',
+    read: (v) => toNumberOrNull(v.Speed),
+    breached: (val, threshold) => val > threshold
+  },
+  immobilized: {
+    label: 'Immobilization status',
+    unit: '',
+    noThreshold: true,
+    read: (v) => v.Immobilization_status === undefined || v.Immobilization_status === null
+      ? null
+      : Number(String(v.Immobilization_status) === '1'),
+    breached: (val) => val === 1
+  }
+};
+
+const alertMessage = (rule, metric, value) => metric.noThreshold
+  ? `${rule.name}: ${metric.label} active`
+  : `${rule.name}: ${metric.label} ${round(value, 1)}${metric.unit} (threshold ${rule.threshold}${metric.unit})`;
+
+// One alert stays open per rule and vehicle until the condition clears, so a
+// vehicle that stays hot only refreshes lastSeenAt on every sync
+const evaluateAlertRules = async (packets) => {
+  if (!packets.length) return;
+
+  const [rules] = await db.query('SELECT * FROM alert_rules WHERE isActive = 1');
+  if (!rules.length) return;
+
+  const vehicleIds = [...new Set(packets.map(p => p.vehicleId))];
+  const ruleIds = rules.map(r => r.id);
+
+  const owners = await loadVehicleOwners(vehicleIds);
+
+  const active = new Map();
+  const held = new Map();
+
+  for (const ids of chunk(vehicleIds, 1000)) {
+    const [activeRows] = await db.query(
+      `SELECT id, ruleId, vehicleId FROM alerts
+       WHERE status IN ('open', 'acknowledged') AND vehicleId IN (?)`,
+      [ids]
+    );
+    activeRows.forEach(a => active.set(`${a.ruleId}:${a.vehicleId}`, a.id));
+
+    const [heldRows] = await db.query(
+      'SELECT id, ruleId, vehicleId FROM alerts WHERE awaitingClear = 1 AND ruleId IN (?) AND vehicleId IN (?)',
+      [ruleIds, ids]
+    );
+    heldRows.forEach(a => held.set(`${a.ruleId}:${a.vehicleId}`, a.id));
+  }
+
+  const now = new Date();
+  const opened = [];
+  const stillActive = [];
+  const cleared = [];
+  const released = [];
+
+  for (const rule of rules) {
+    const metric = ALERT_METRICS[rule.metric];
+    if (!metric) continue;
+
+    for (const { vehicleId, packet } of packets) {
+      if (!tenantAppliesTo(rule, owners.get(vehicleId))) continue;
+
+      const value = metric.read(packet);
+      if (value === null) continue;
+
+      const alertId = active.get(`${rule.id}:${vehicleId}`);
+      const heldId = held.get(`${rule.id}:${vehicleId}`);
+
+      if (metric.breached(value, Number(rule.threshold))) {
+        if (alertId) {
+          stillActive.push(alertId);
+        } else if (!heldId) {
+          opened.push([
+            rule.id,
+            vehicleId,
+            rule.metric,
+            rule.severity,
+            alertMessage(rule, metric, value),
+            round(value),
+            rule.threshold,
+            now,
+            now
+          ]);
+        }
+      } else {
+        if (alertId) cleared.push({ id: alertId, ruleId: rule.id, vehicleId, value: round(value) });
+        if (heldId) released.push(heldId);
+      }
+    }
+  }
+
+  const openedIds = new Map();
+
+  for (const rows of chunk(opened, 1000)) {
+    await db.query(
+      `INSERT INTO alerts
+        (ruleId, vehicleId, metric, severity, message, value, threshold, openedAt, lastSeenAt)
+       VALUES ?`,
+      [rows]
+    );
+
+    // A bulk insert only reports the first id; a rule has one open alert per vehicle
+    const [inserted] = await db.query(
+      `SELECT id, ruleId, vehicleId FROM alerts
+       WHERE status = 'open' AND (ruleId, vehicleId) IN (?)`,
+      [rows.map(([ruleId, vehicleId]) => [ruleId, vehicleId])]
+    );
+    inserted.forEach(a => openedIds.set(`${a.ruleId}:${a.vehicleId}`, a.id));
+  }
+
+  for (const ids of chunk(stillActive, 1000)) {
+    await db.query('UPDATE alerts SET lastSeenAt = ? WHERE id IN (?)', [now, ids]);
+  }
+
+  for (const batch of chunk(cleared, 1000)) {
+    await db.query(
+      `UPDATE alerts SET status = 'resolved', resolvedAt = ? WHERE id IN (?)`,
+      [now, batch.map(a => a.id)]
+    );
+  }
+
+  for (const ids of chunk(released, 1000)) {
+    await db.query('UPDATE alerts SET awaitingClear = 0 WHERE id IN (?)', [ids]);
+  }
+
+  await emitFleetEvents('alert.opened', opened.map(([ruleId, vehicleId, metric, severity, message, value, threshold]) => ({
+    vehicleId,
+    data: {
+      alertId: openedIds.get(`${ruleId}:${vehicleId}`) ?? null,
+      ruleId,
+      vehicleId,
+      metric,
+      severity,
+      message,
+      value,
+      threshold,
+      openedAt: now
+    }
+  })));
+
+  await emitFleetEvents('alert.resolved', cleared.map(a => ({
+    vehicleId: a.vehicleId,
+    data: { alertId: a.id, ruleId: a.ruleId, vehicleId: a.vehicleId, value: a.value, resolvedAt: now, resolvedBy: null }
+  })));
+
+  if (opened.length || cleared.length)
+    console.log(`🚨 Alerts opened: ${opened.length}, auto-resolved: ${cleared.length}`);
+};
+
+const ALERTS_LIMIT = 5000;
+
+const findAlert = async (id) => {
+  const [rows] = await db.query('SELECT * FROM alerts WHERE id = ?', [id]);
+  return rows[0] || null;
+};
+
+app.get('/api/alerts', requirePermission('alerts:read'), async (req, res) => {
+  try {
+    const { status, severity, vehicleId, from, to } = req.query;
+
+    let query = `
+      SELECT a.*
+      FROM alerts a
+      JOIN vehicles v ON v.vehicleId = a.vehicleId
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    // Alerts raised while the caller owned the vehicle
+    const scope = ownedAtFilter(req.user, 'a.vehicleId', 'a.openedAt');
+    if (scope) {
+      query += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
+    if (status) {
+      query += ' AND a.status IN (?)';
+      params.push(String(status).split(','));
+    }
+
+    if (severity) {
+      query += ' AND a.severity = ?';
+      params.push(severity);
+    }
+
+    if (vehicleId) {
+      query += ' AND a.vehicleId = ?';
+      params.push(vehicleId);
+    }
+
+    if (from && to) {
+      query += ' AND a.openedAt BETWEEN ? AND ?';
+      params.push(from, to);
+    }
+
+    query += ` ORDER BY a.openedAt DESC LIMIT ${ALERTS_LIMIT}`;
+
+    const [rows] = await db.query(query, params);
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Fetch alerts error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+app.get('/api/alerts/:id', requirePermission('alerts:read'), async (req, res) => {
+  try {
+    let query = `
+      SELECT a.*
+      FROM alerts a
+      JOIN vehicles v ON v.vehicleId = a.vehicleId
+      WHERE a.id = ?
+    `;
+    const params = [req.params.id];
+
+    // Same ownership periods as the list
+    const scope = ownedAtFilter(req.user, 'a.vehicleId', 'a.openedAt');
+    if (scope) {
+      query += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
+    const [rows] = await db.query(query, params);
+    if (!rows.length) return res.status(404).json({ error: 'Alert not found' });
+
+    res.json(rows[0]);
+
+  } catch (e) {
+    console.error('Fetch alert error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch alert' });
+  }
+});
+
+app.post('/api/alerts/:id/acknowledge', requirePermission('alerts:write'), async (req, res) => {
+  try {
+    const alert = await findAlert(req.params.id);
+
+    if (!alert || !(await canAccessVehicle(req.user, alert.vehicleId)))
+      return res.status(404).json({ error: 'Alert not found' });
+
+    if (alert.status !== 'open')
+      return res.status(409).json({ error: `Alert is already ${alert.status}` });
+
+    await db.execute(
+      `UPDATE alerts
+       SET status = 'acknowledged', acknowledgedAt = ?, acknowledgedBy = ?, note = ?
+       WHERE id = ?`,
+      [new Date(), req.user.id || null, req.body?.note || null, alert.id]
+    );
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Alert acknowledge error:', e.message);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+app.post('/api/alerts/:id/resolve', requirePermission('alerts:write'), async (req, res) => {
+  try {
+    const alert = await findAlert(req.params.id);
+
+    if (!alert || !(await canAccessVehicle(req.user, alert.vehicleId)))
+      return res.status(404).json({ error: 'Alert not found' });
+
+    if (alert.status === 'resolved')
+      return res.status(409).json({ error: 'Alert is already resolved' });
+
+    // Re-opening waits until the condition has cleared once (see evaluateAlertRules)
+    await db.execute(
+      `UPDATE alerts
+       SET status = 'resolved', resolvedAt = ?, resolvedBy = ?, note = COALESCE(?, note), awaitingClear = 1
+       WHERE id = ?`,
+      [new Date(), req.user.id || null, req.body?.note || null, alert.id]
+    );
+
+    await emitFleetEvents('alert.resolved', [{
+      vehicleId: alert.vehicleId,
+      data: {
+        alertId: alert.id,
+        ruleId: alert.ruleId,
+        vehicleId: alert.vehicleId,
+        value: alert.value,
+        resolvedAt: new Date(),
+        resolvedBy: req.user.id || null
+      }
+    }]);
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Alert resolve error:', e.message);
+    res.status(500).json({ error: 'Failed to resolve alert' });
+  }
+});
+
+const parseAlertRuleInput = (body, user) => {
+  const { name, metric, threshold, severity, isActive } = body;
+
+  if (!name) return { error: 'Rule name is required' };
+
+  const definition = ALERT_METRICS[metric];
+  if (!definition)
+    return { error: `metric must be one of: ${Object.keys(ALERT_METRICS).join(', ')}` };
+
+  const value = toNumberOrNull(threshold);
+  if (!definition.noThreshold && value === null)
+    return { error: 'threshold must be a number' };
+
+  const level = severity || 'warning';
+  if (!['info', 'warning', 'critical'].includes(level))
+    return { error: "severity must be 'info', 'warning' or 'critical'" };
+
+  return {
+    values: {
+      name,
+      metric,
+      threshold: definition.noThreshold ? null : value,
+      severity: level,
+      isActive: isActive === undefined ? 1 : (isActive ? 1 : 0),
+      ...tenantOwnerFor(user, body)
+    }
+  };
+};
+
+// Alerts of a disabled or deleted rule would otherwise never auto-resolve
+// Also drops the rule's hold on re-opening: an inactive rule no longer evaluates
+// the vehicles that would release it
+const resolveRuleAlerts = async (ruleId, userId) => {
+  await db.execute(
+    `UPDATE alerts SET status = 'resolved', resolvedAt = ?, resolvedBy = ?
+     WHERE ruleId = ? AND status <> 'resolved'`,
+    [new Date(), userId || null, ruleId]
+  );
+
+  await db.execute(
+    'UPDATE alerts SET awaitingClear = 0 WHERE ruleId = ? AND awaitingClear = 1',
+    [ruleId]
+  );
+};
+
+const findAlertRule = async (id) => {
+  const [rows] = await db.query('SELECT * FROM alert_rules WHERE id = ?', [id]);
+  return rows[0] || null;
+};
+
+app.get('/api/alert-rules', requirePermission('alert-rules:read'), async (req, res) => {
+  try {
+    let query = 'SELECT * FROM alert_rules';
+    let params = [];
+
+    const scope = ownerFilter(req.user);
+    if (scope) {
+      query += ` WHERE ${scope.sql}`;
+      params = scope.params;
+    }
+
+    query += ' ORDER BY id DESC';
+
+    const [rows] = await db.query(query, params);
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Fetch alert rules error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch alert rules' });
+  }
+});
+
+app.post('/api/alert-rules', requirePermission('alert-rules:write'), async (req, res) => {
+  try {
+    const { values, error } = parseAlertRuleInput(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    const [result] = await db.execute(
+      `INSERT INTO alert_rules
+        (name, metric, threshold, severity, customerId, dealerId, isActive, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        values.name,
+        values.metric,
+        values.threshold,
+        values.severity,
+        values.customerId,
+        values.dealerId,
+        values.isActive,
+        req.user.id || null
+      ]
+    );
+
+    res.json({ success: true, id: result.insertId });
+
+  } catch (e) {
+    console.error('Alert rule save error:', e.message);
+    res.status(500).json({ error: 'Failed to save alert rule' });
+  }
+});
+
+app.put('/api/alert-rules/:id', requirePermission('alert-rules:write'), async (req, res) => {
+  try {
+    const rule = await findAlertRule(req.params.id);
+
+    if (!rule || !canAccessOwned(req.user, rule))
+      return res.status(404).json({ error: 'Alert rule not found' });
+
+    const { values, error } = parseAlertRuleInput(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    await db.execute(
+      `UPDATE alert_rules
+       SET name = ?, metric = ?, threshold = ?, severity = ?,
+           customerId = ?, dealerId = ?, isActive = ?
+       WHERE id = ?`,
+      [
+        values.name,
+        values.metric,
+        values.threshold,
+        values.severity,
+        values.customerId,
+        values.dealerId,
+        values.isActive,
+        rule.id
+      ]
+    );
+
+    if (!values.isActive) await resolveRuleAlerts(rule.id, req.user.id);
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Alert rule update error:', e.message);
+    res.status(500).json({ error: 'Failed to update alert rule' });
+  }
+});
+
+app.delete('/api/alert-rules/:id', requirePermission('alert-rules:write'), async (req, res) => {
+  try {
+    const rule = await findAlertRule(req.params.id);
+
+    if (!rule || !canAccessOwned(req.user, rule))
+      return res.status(404).json({ error: 'Alert rule not found' });
+
+    await resolveRuleAlerts(rule.id, req.user.id);
+    await db.execute('DELETE FROM alert_rules WHERE id = ?', [rule.id]);
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Alert rule delete error:', e.message);
+    res.status(500).json({ error: 'Failed to delete alert rule' });
+  }
+});
+
+/* ---------------- STATUS RULES & HISTORY ---------------- */
+const STATUS_SWEEP_INTERVAL_MS = 60000;
+
+// Same for offline_minutes alert rules. Only the last device time is known, which is
+// all that metric reads; every other metric skips the packet.
+const evaluateOfflineAlerts = async (now) => {
+  const [[{ threshold }]] = await db.query(
+    `SELECT MIN(threshold) AS threshold FROM alert_rules WHERE isActive = 1 AND metric = 'offline_minutes'`
+  );
+  if (threshold === null) return;
+
+  const [rows] = await db.query(
+    `SELECT c.vehicleId, c.lastUpdate
+     FROM vehicle_current c
+     JOIN vehicles v ON v.vehicleId = c.vehicleId
+     WHERE v.deletedAt IS NULL AND c.lastUpdate < ?`,
+    [new Date(now - Number(threshold) * 60000)]
+  );
+
+  for (const batch of chunk(rows, 1000)) {
+    await evaluateAlertRules(batch.map(r => ({ vehicleId: r.vehicleId, packet: { DeviceDate: r.lastUpdate } })));
+  }
+};
+
+// Vehicles that stop reporting never send the packet that would mark them offline
+// (push-only providers in particular), so timeout statuses are also applied on a timer
+let isStatusSweepRunning = false;
+
+const runStatusSweep = async () => {
+  if (isStatusSweepRunning) return;
+
+  try {
+    isStatusSweepRunning = true;
+
+    const rules = await loadStatusRules();
+    const minOfflineMinutes = Math.min(DEFAULT_STATUS_RULE.offlineMinutes, ...rules.map(r => r.offlineMinutes));
+    const now = Date.now();
+
+    const [rows] = await db.query(
+      `SELECT c.*, v.modelNumber, v.customerId AS ownerCustomerId, v.dealerId AS ownerDealerId
+       FROM vehicle_current c
+       JOIN vehicles v ON v.vehicleId = c.vehicleId
+       WHERE v.deletedAt IS NULL
+         AND (c.status IS NULL OR c.status <> 'Non-Communicating')
+         AND c.lastUpdate < ?`,
+      [new Date(now - minOfflineMinutes * 60000)]
+    );
+
+    const changes = [];
+    const updates = [];
+
+    for (const row of rows) {
+      const rule = statusRuleFor(rules, row.modelNumber, { customerId: row.ownerCustomerId, dealerId: row.ownerDealerId });
+      const status = timeoutStatus(minutesSince(row.lastUpdate, now), rule);
+      if (!status || status === row.status) continue;
+
+      // A sync that stored a newer packet in the meantime wins
+      const [result] = await db.execute(
+        'UPDATE vehicle_current SET status = ? WHERE vehicleId = ? AND status <=> ? AND lastUpdate = ?',
+        [status, row.vehicleId, row.status, row.lastUpdate]
+      );
+      if (!result.affectedRows) continue;
+
+      changes.push({
+        vehicleId: row.vehicleId,
+        status,
+        previousStatus: row.status,
+        at: statusStartedAt(status, row.lastUpdate, rule),
+        ruleId: rule.id
+      });
+      updates.push({ ...row, status });
+    }
+
+    await recordStatusChanges(changes);
+    await publishVehicleUpdates(updates);
+
+    if (changes.length) console.log(`📴 Vehicles timed out: ${changes.length}`);
+
+    try {
+      await evaluateOfflineAlerts(now);
+    } catch (e) {
+      console.error('❌ Offline alert evaluation failed:', e.message);
+    }
+
+  } catch (e) {
+    console.error('❌ Status sweep failed:', e.message);
+  } finally {
+    isStatusSweepRunning = false;
+  }
+};
+
+setInterval(runStatusSweep, STATUS_SWEEP_INTERVAL_MS);
+
+const formatStatusRule = (row) => ({
+  ...row,
+  precedence: parseJsonColumn(row.precedence)
+});
+
+// Blank thresholds fall back to the defaults when the rule is applied
+const parseStatusRuleInput = (body, user) => {
+  const { name, modelNumber, offlineMinutes, nonCommMinutes, minSpeedKmh, precedence, isActive } = body;
+
+  if (!name) return { error: 'Rule name is required' };
+
+  const isBlank = (val) => val === undefined || val === null || val === '';
+  const values = {
+    name,
+    modelNumber: isBlank(modelNumber) ? null : String(modelNumber).trim().slice(0, 64),
+    offlineMinutes: toNumberOrNull(offlineMinutes),
+    nonCommMinutes: toNumberOrNull(nonCommMinutes),
+    minSpeedKmh: toNumberOrNull(minSpeedKmh),
+    precedence: null,
+    isActive: isActive === undefined ? 1 : (isActive ? 1 : 0),
+    ...tenantOwnerFor(user, body)
+  };
+
+  for (const key of ['offlineMinutes', 'nonCommMinutes']) {
+    if (!isBlank(body[key]) && !(Number.isInteger(values[key]) && values[key] > 0))
+      return { error: `${key} must be a positive whole number of minutes` };
+  }
+
+  if ((values.nonCommMinutes ?? DEFAULT_STATUS_RULE.nonCommMinutes) <=
+      (values.offlineMinutes ?? DEFAULT_STATUS_RULE.offlineMinutes))
+    return { error: 'nonCommMinutes must be greater than offlineMinutes' };
+
+  if (!isBlank(minSpeedKmh) && !(values.minSpeedKmh >= 0))
+    return { error: 'minSpeedKmh must be a number of at least 0' };
+
+  if (!isBlank(precedence)) {
+    if (!Array.isArray(precedence))
+      return { error: 'precedence must be a list of { status, signal } entries' };
+
+    for (const entry of precedence) {
+      if (!PRECEDENCE_STATUSES.includes(entry?.status))
+        return { error: `precedence status must be one of: ${PRECEDENCE_STATUSES.join(', ')}` };
+
+      if (!STATUS_SIGNALS[entry.signal])
+        return { error: `precedence signal must be one of: ${Object.keys(STATUS_SIGNALS).join(', ')}` };
+    }
+
+    values.precedence = JSON.stringify(precedence.map(({ status, signal }) => ({ status, signal })));
+  }
+
+  return { values };
+};
+
+const findStatusRule = async (id) => {
+  const [rows] = await db.query('SELECT * FROM status_rules WHERE id = ?', [id]);
+  return rows[0] || null;
+};
+
+// New and changed rules apply from the next sync; earlier history is not rewritten
+app.get('/api/status-rules', requirePermission('status-rules:manage'), async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT * FROM status_rules ORDER BY id DESC');
+    res.json(rows.map(formatStatusRule));
+
+  } catch (e) {
+    console.error('Fetch status rules error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch status rules' });
+  }
+});
+
+app.get('/api/status-rules/defaults', requirePermission('status-rules:manage'), (req, res) => {
+  res.json({
+    offlineMinutes: DEFAULT_STATUS_RULE.offlineMinutes,
+    nonCommMinutes: DEFAULT_STATUS_RULE.nonCommMinutes,
+    minSpeedKmh: DEFAULT_STATUS_RULE.minSpeedKmh,
+    precedence: DEFAULT_STATUS_RULE.precedence,
+    statuses: PRECEDENCE_STATUSES,
+    signals: Object.keys(STATUS_SIGNALS)
+  });
+});
+
+app.post('/api/status-rules', requirePermission('status-rules:manage'), async (req, res) => {
+  try {
+    const { values, error } = parseStatusRuleInput(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    const [result] = await db.execute(
+      `INSERT INTO status_rules
+        (name, modelNumber, customerId, dealerId, offlineMinutes, nonCommMinutes,
+         minSpeedKmh, precedence, isActive, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        values.name,
+        values.modelNumber,
+        values.customerId,
+        values.dealerId,
+        values.offlineMinutes,
+        values.nonCommMinutes,
+        values.minSpeedKmh,
+        values.precedence,
+        values.isActive,
+        req.user.id || null
+      ]
+    );
+
+    res.json({ success: true, id: result.insertId });
+
+  } catch (e) {
+    console.error('Status rule save error:', e.message);
+    res.status(500).json({ error: 'Failed to save status rule' });
+  }
+});
+
+app.put('/api/status-rules/:id', requirePermission('status-rules:manage'), async (req, res) => {
+  try {
+    const rule = await findStatusRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Status rule not found' });
+
+    const { values, error } = parseStatusRuleInput(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    await db.execute(
+      `UPDATE status_rules
+       SET name = ?, modelNumber = ?, customerId = ?, dealerId = ?, offlineMinutes = ?,
+           nonCommMinutes = ?, minSpeedKmh = ?, precedence = ?, isActive = ?
+       WHERE id = ?`,
+      [
+        values.name,
+        values.modelNumber,
+        values.customerId,
+        values.dealerId,
+        values.offlineMinutes,
+        values.nonCommMinutes,
+        values.minSpeedKmh,
+        values.precedence,
+        values.isActive,
+        rule.id
+      ]
+    );
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Status rule update error:', e.message);
+    res.status(500).json({ error: 'Failed to update status rule' });
+  }
+});
+
+app.delete('/api/status-rules/:id', requirePermission('status-rules:manage'), async (req, res) => {
+  try {
+    const rule = await findStatusRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Status rule not found' });
+
+    await db.execute('DELETE FROM status_rules WHERE id = ?', [rule.id]);
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Status rule delete error:', e.message);
+    res.status(500).json({ error: 'Failed to delete status rule' });
+  }
+});
+
+// Status periods overlapping the range, cut to it, with minutes spent per status
+app.get('/api/vehicles/:id/status-history', requirePermission('telemetry:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const range = parseReportRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const window = await vehicleAccessWindow(req.user, id);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    const clipped = clipToWindow(window, range.from, range.to);
+    const from = new Date(clipped.from);
+    const to = new Date(Math.min(new Date(clipped.to).getTime(), Date.now()));
+
+    const [rows] = from < to
+      ? await db.query(
+        `SELECT status, previousStatus, startedAt, endedAt
+         FROM vehicle_status_history
+         WHERE vehicleId = ? AND startedAt < ? AND (endedAt IS NULL OR endedAt > ?)
+         ORDER BY startedAt ASC, id ASC`,
+        [id, to, from]
+      )
+      : [[]];
+
+    const totals = {};
+
+    const periods = rows.map(r => {
+      const start = Math.max(new Date(r.startedAt).getTime(), from.getTime());
+      const end = Math.min(r.endedAt ? new Date(r.endedAt).getTime() : Infinity, to.getTime());
+      const minutes = round(Math.max(0, end - start) / 60000, 1);
+
+      totals[r.status] = round((totals[r.status] || 0) + minutes, 1);
+
+      return { ...r, minutes };
+    });
+
+    res.json({ vehicleId: id, from, to, totals, periods });
+
+  } catch (e) {
+    console.error('Status history error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch status history' });
+  }
+});
+
+/* ---------------- SERVICE SCHEDULING ---------------- */
+// Plans apply to one model (or every model when modelNumber is NULL); a service is
+// due after intervalKm or intervalMonths, whichever comes first
+defineTable(`
+  CREATE TABLE IF NOT EXISTS service_plans (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    modelNumber VARCHAR(64) NULL,
+    intervalKm DOUBLE NULL,
+    intervalMonths INT NULL,
+    isActive TINYINT(1) NOT NULL DEFAULT 1,
+    createdBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_service_plans_model (modelNumber)
+  )
+`);
+
+// A record without planId is a general service and resets every plan
+defineTable(`
+  CREATE TABLE IF NOT EXISTS service_records (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    vehicleId VARCHAR(64) NOT NULL,
+    planId INT NULL,
+    serviceDate DATE NOT NULL,
+    odometer DOUBLE NULL,
+    dealerId INT NULL,
+    notes VARCHAR(1000) NULL,
+    createdBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_service_records_vehicle (vehicleId, serviceDate),
+    INDEX idx_service_records_dealer (dealerId, serviceDate)
+  )
+`);
+
+// Calculator output, one row per vehicle and applicable plan
+defineTable(`
+  CREATE TABLE IF NOT EXISTS vehicle_service_due (
+    vehicleId VARCHAR(64) NOT NULL,
+    planId INT NOT NULL,
+    lastServiceDate DATE NULL,
+    lastServiceOdometer DOUBLE NULL,
+    dueDate DATE NULL,
+    dueOdometer DOUBLE NULL,
+    currentOdometer DOUBLE NULL,
+    status ENUM('ok', 'due', 'overdue') NOT NULL DEFAULT 'ok',
+    calculatedAt DATETIME NOT NULL,
+    PRIMARY KEY (vehicleId, planId),
+    INDEX idx_service_due_status (status, dueDate)
+  )
+`);
+
+const SERVICE_DUE_SOON_KM = 300;
+const SERVICE_DUE_SOON_DAYS = 14;
+const SERVICE_BATCH_SIZE = 1000;
+const SERVICE_REFRESH_INTERVAL_MS = 60 * 60000;
+const SERVICE_NOTES_MAX_LENGTH = 1000;
+
+// Month ends clamp: Jan 31 + 1 month is the last day of February
+const addMonths = (date, months) => {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setMonth(d.getMonth() + months);
+  if (d.getDate() !== day) d.setDate(0);
+  return d;
+};
+
+const isBlankInput = (val) => val === undefined || val === null || val === '';
+
+// null when blank, undefined when invalid; plain dates are local midnight, like DATE columns
+const parseDateInput = (val) => {
+  if (isBlankInput(val)) return null;
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(String(val)) ? startOfDay(String(val)) : new Date(val);
+  return isNaN(d.getTime()) ? undefined : d;
+};
+
+const serviceStatus = ({ dueDate, dueOdometer, currentOdometer }, now) => {
+  const kmLeft = dueOdometer !== null && currentOdometer !== null ? dueOdometer - currentOdometer : null;
+  const daysLeft = dueDate ? (dueDate.getTime() - now.getTime()) / 86400000 : null;
+
+  if ((kmLeft !== null && kmLeft <= 0) || (daysLeft !== null && daysLeft <= 0)) return 'overdue';
+  if ((kmLeft !== null && kmLeft <= SERVICE_DUE_SOON_KM) || (daysLeft !== null && daysLeft <= SERVICE_DUE_SOON_DAYS))
+    return 'due';
+  return 'ok';
+};
+
+// `records` are the vehicle's service records, newest first. Before the first service
+// the interval runs from the invoice date at 0 km.
+const serviceDueFor = (plan, vehicle, records, now) => {
+  const last = records.find(r => r.planId === null || String(r.planId) === String(plan.id));
+  const baseDate = last ? last.serviceDate : vehicle.invoiceDate;
+  const baseOdometer = last ? toNumberOrNull(last.odometer) : 0;
+
+  const due = {
+    lastServiceDate: last ? last.serviceDate : null,
+    lastServiceOdometer: last ? baseOdometer : null,
+    dueDate: plan.intervalMonths && baseDate ? addMonths(baseDate, plan.intervalMonths) : null,
+    dueOdometer: plan.intervalKm && baseOdometer !== null ? baseOdometer + Number(plan.intervalKm) : null,
+    currentOdometer: toNumberOrNull(vehicle.odometer)
+  };
+
+  return { ...due, status: serviceStatus(due, now) };
+};
+
+// Recalculates the vehicles' due services from their latest odometer; returns how
+// many services became due or overdue
+const refreshServiceDue = async (vehicleIds) => {
+  const ids = [...new Set(vehicleIds)];
+  if (!ids.length) return 0;
+
+  const [plans] = await db.query(
+    'SELECT id, name, modelNumber, intervalKm, intervalMonths FROM service_plans WHERE isActive = 1'
+  );
+
+  // Whole seconds, so rows written by this run are never older than `now`
+  const now = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const newlyDue = [];
+
+  for (const batch of chunk(ids, SERVICE_BATCH_SIZE)) {
+    const [vehicles] = await db.query(
+      `SELECT v.vehicleId, v.modelNumber, v.invoiceDate, c.odometer
+       FROM vehicles v
+       LEFT JOIN vehicle_current c ON c.vehicleId = v.vehicleId
+       WHERE v.vehicleId IN (?) AND v.deletedAt IS NULL`,
+      [batch]
+    );
+
+    const [records] = await db.query(
+      `SELECT vehicleId, planId, serviceDate, odometer FROM service_records
+       WHERE vehicleId IN (?) ORDER BY serviceDate DESC, id DESC`,
+      [batch]
+    );
+
+    const [existing] = await db.query(
+      'SELECT vehicleId, planId, status FROM vehicle_service_due WHERE vehicleId IN (?)',
+      [batch]
+    );
+    const previous = new Map(existing.map(r => [`${r.vehicleId}:${r.planId}`, r.status]));
+
+    const history = new Map();
+    records.forEach(r => {
+      if (!history.has(r.vehicleId)) history.set(r.vehicleId, []);
+      history.get(r.vehicleId).push(r);
+    });
+
+    const rows = [];
+
+    for (const v of vehicles) {
+      for (const plan of plans) {
+        if (plan.modelNumber && String(plan.modelNumber) !== String(v.modelNumber ?? '')) continue;
+
+        const due = serviceDueFor(plan, v, history.get(v.vehicleId) || [], now);
+        if (due.status !== 'ok' && previous.get(`${v.vehicleId}:${plan.id}`) !== due.status) {
+          newlyDue.push({
+            vehicleId: v.vehicleId,
+            data: {
+              vehicleId: v.vehicleId,
+              planId: plan.id,
+              planName: plan.name,
+              status: due.status,
+              dueDate: due.dueDate ? toDayString(due.dueDate) : null,
+              dueOdometer: due.dueOdometer,
+              currentOdometer: due.currentOdometer
+            }
+          });
+        }
+
+        rows.push([
+          v.vehicleId,
+          plan.id,
+          due.lastServiceDate,
+          due.lastServiceOdometer,
+          due.dueDate,
+          due.dueOdometer,
+          due.currentOdometer,
+          due.status,
+          now
+        ]);
+      }
+    }
+
+    for (const values of chunk(rows, SERVICE_BATCH_SIZE)) {
+      await db.query(
+        `INSERT INTO vehicle_service_due
+          (vehicleId, planId, lastServiceDate, lastServiceOdometer, dueDate, dueOdometer,
+           currentOdometer, status, calculatedAt)
+         VALUES ?
+         ON DUPLICATE KEY UPDATE
+         lastServiceDate = VALUES(lastServiceDate),
+         lastServiceOdometer = VALUES(lastServiceOdometer),
+         dueDate = VALUES(dueDate),
+         dueOdometer = VALUES(dueOdometer),
+         currentOdometer = VALUES(currentOdometer),
+         status = VALUES(status),
+         calculatedAt = VALUES(calculatedAt)`,
+        [values]
+      );
+    }
+
+    // Plans that no longer apply (deactivated, other model) and deleted vehicles
+    await db.query(
+      'DELETE FROM vehicle_service_due WHERE vehicleId IN (?) AND calculatedAt < ?',
+      [batch, now]
+    );
+  }
+
+  await emitFleetEvents('service.due', newlyDue);
+
+  return newlyDue.length;
+};
+
+// Date-based dues advance without new packets, so the whole fleet is recalculated
+// periodically on top of the per-sync refresh
+let isServiceRefreshRunning = false;
+
+const runServiceRefresh = async () => {
+  if (isServiceRefreshRunning) return;
+
+  try {
+    isServiceRefreshRunning = true;
+
+    const [vehicles] = await db.query('SELECT vehicleId FROM vehicles');
+    const newlyDue = await refreshServiceDue(vehicles.map(v => v.vehicleId));
+
+    if (newlyDue) console.log(`🔧 Services due or overdue: ${newlyDue}`);
+
+  } catch (e) {
+    console.error('❌ Service due refresh failed:', e.message);
+  } finally {
+    isServiceRefreshRunning = false;
+  }
+};
+
+setInterval(runServiceRefresh, SERVICE_REFRESH_INTERVAL_MS);
+
+const parseServicePlanInput = (body) => {
+  const { name, modelNumber, intervalKm, intervalMonths, isActive } = body;
+
+  if (!name) return { error: 'Plan name is required' };
+
+  const km = toNumberOrNull(intervalKm);
+  const months = toNumberOrNull(intervalMonths);
+
+  if (!isBlankInput(intervalKm) && !(km > 0))
+    return { error: 'intervalKm must be a positive number' };
+
+  if (!isBlankInput(intervalMonths) && !(Number.isInteger(months) && months > 0))
+    return { error: 'intervalMonths must be a positive whole number' };
+
+  if (km === null && months === null)
+    return { error: 'intervalKm or intervalMonths is required' };
+
+  return {
+    values: {
+      name,
+      modelNumber: isBlankInput(modelNumber) ? null : String(modelNumber).trim().slice(0, 64),
+      intervalKm: km,
+      intervalMonths: months,
+      isActive: isActive === undefined ? 1 : (isActive ? 1 : 0)
+    }
+  };
+};
+
+const findServicePlan = async (id) => {
+  const [rows] = await db.query('SELECT * FROM service_plans WHERE id = ?', [id]);
+  return rows[0] || null;
+};
+
+app.get('/api/service-plans', requirePermission('service:read'), async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT * FROM service_plans ORDER BY modelNumber, name');
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Fetch service plans error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch service plans' });
+  }
+});
+
+// Plan changes reach vehicle_service_due with the next fleet refresh, started right away
+app.post('/api/service-plans', requirePermission('service-plans:manage'), async (req, res) => {
+  try {
+    const { values, error } = parseServicePlanInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const [result] = await db.execute(
+      `INSERT INTO service_plans (name, modelNumber, intervalKm, intervalMonths, isActive, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [values.name, values.modelNumber, values.intervalKm, values.intervalMonths, values.isActive, req.user.id || null]
+    );
+
+    runServiceRefresh();
+    res.json({ success: true, id: result.insertId });
+
+  } catch (e) {
+    console.error('Service plan save error:', e.message);
+    res.status(500).json({ error: 'Failed to save service plan' });
+  }
+});
+
+app.put('/api/service-plans/:id', requirePermission('service-plans:manage'), async (req, res) => {
+  try {
+    const plan = await findServicePlan(req.params.id);
+    if (!plan) return res.status(404).json({ error: 'Service plan not found' });
+
+    const { values, error } = parseServicePlanInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    await db.execute(
+      `UPDATE service_plans
+       SET name = ?, modelNumber = ?, intervalKm = ?, intervalMonths = ?, isActive = ?
+       WHERE id = ?`,
+      [values.name, values.modelNumber, values.intervalKm, values.intervalMonths, values.isActive, plan.id]
+    );
+
+    if (!values.isActive) await db.execute('DELETE FROM vehicle_service_due WHERE planId = ?', [plan.id]);
+
+    runServiceRefresh();
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Service plan update error:', e.message);
+    res.status(500).json({ error: 'Failed to update service plan' });
+  }
+});
+
+// Records logged against the plan are kept
+app.delete('/api/service-plans/:id', requirePermission('service-plans:manage'), async (req, res) => {
+  try {
+    const plan = await findServicePlan(req.params.id);
+    if (!plan) return res.status(404).json({ error: 'Service plan not found' });
+
+    await db.execute('DELETE FROM vehicle_service_due WHERE planId = ?', [plan.id]);
+    await db.execute('DELETE FROM service_plans WHERE id = ?', [plan.id]);
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Service plan delete error:', e.message);
+    res.status(500).json({ error: 'Failed to delete service plan' });
+  }
+});
+
+app.get('/api/vehicles/:id/service-records', requirePermission('service:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await canAccessVehicle(req.user, id)))
+      return res.status(403).json({ error: 'Access denied' });
+
+    const [rows] = await db.query(
+      `SELECT r.*, p.name AS planName, d.dealerName
+       FROM service_records r
+       LEFT JOIN service_plans p ON p.id = r.planId
+       LEFT JOIN dealers d ON d.id = r.dealerId
+       WHERE r.vehicleId = ?
+       ORDER BY r.serviceDate DESC, r.id DESC`,
+      [id]
+    );
+
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Service records error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch service records' });
+  }
+});
+
+// Dealers log services for their vehicles; the odometer defaults to the latest reading
+app.post('/api/vehicles/:id/service-records', requirePermission('service:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { planId, serviceDate, odometer, notes } = req.body;
+
+    if (!(await canAccessVehicle(req.user, id)))
+      return res.status(403).json({ error: 'Access denied' });
+
+    const [vehicles] = await db.query(
+      `SELECT v.vehicleId, v.dealerId, c.odometer
+       FROM vehicles v
+       LEFT JOIN vehicle_current c ON c.vehicleId = v.vehicleId
+       WHERE v.vehicleId = ? AND v.deletedAt IS NULL`,
+      [id]
+    );
+    if (!vehicles.length) return res.status(404).json({ error: 'Vehicle not found' });
+
+    if (!isBlankInput(planId) && !(await findServicePlan(planId)))
+      return res.status(400).json({ error: 'Service plan not found' });
+
+    const date = parseDateInput(serviceDate) ?? new Date();
+    if (date === undefined) return res.status(400).json({ error: 'Invalid serviceDate' });
+    if (toDayString(date) > toDayString(new Date()))
+      return res.status(400).json({ error: 'serviceDate cannot be in the future' });
+
+    const reading = toNumberOrNull(isBlankInput(odometer) ? vehicles[0].odometer : odometer);
+    if (!isBlankInput(odometer) && !(reading >= 0))
+      return res.status(400).json({ error: 'odometer must be a number of at least 0' });
+
+    if (notes && String(notes).length > SERVICE_NOTES_MAX_LENGTH)
+      return res.status(400).json({ error: `notes cannot exceed ${SERVICE_NOTES_MAX_LENGTH} characters` });
+
+    const dealerId = req.user.role === 'dealer'
+      ? req.user.dealerId
+      : (req.body.dealerId || vehicles[0].dealerId || null);
+
+    const [result] = await db.execute(
+      `INSERT INTO service_records (vehicleId, planId, serviceDate, odometer, dealerId, notes, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, planId || null, toDayString(date), reading, dealerId, notes || null, req.user.id || null]
+    );
+
+    await refreshServiceDue([id]);
+    res.json({ success: true, id: result.insertId });
+
+  } catch (e) {
+    console.error('Service record save error:', e.message);
+    res.status(500).json({ error: 'Failed to save service record' });
+  }
+});
+
+// Dealers can only remove records they logged
+app.delete('/api/service-records/:id', requirePermission('service:write'), async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT * FROM service_records WHERE id = ?', [req.params.id]);
+    const record = rows[0];
+
+    if (!record || !canAccessOwned(req.user, record) || !(await canAccessVehicle(req.user, record.vehicleId)))
+      return res.status(404).json({ error: 'Service record not found' });
+
+    await db.execute('DELETE FROM service_records WHERE id = ?', [record.id]);
+    await refreshServiceDue([record.vehicleId]);
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Service record delete error:', e.message);
+    res.status(500).json({ error: 'Failed to delete service record' });
+  }
+});
+
+const SERVICE_DUE_SELECT = `
+  s.vehicleId, v.registrationNo, v.modelNumber,
+  s.planId, p.name AS planName, p.intervalKm, p.intervalMonths,
+  s.status, s.dueDate, s.dueOdometer, s.currentOdometer,
+  s.dueOdometer - s.currentOdometer AS remainingKm,
+  DATEDIFF(s.dueDate, CURDATE()) AS daysLeft,
+  s.lastServiceDate, s.lastServiceOdometer, s.calculatedAt,
+  v.customerId, c.customerName, c.phoneNo AS customerPhone,
+  v.dealerId, d.dealerName
+`;
+
+const SERVICE_DUE_FROM = `
+  vehicle_service_due s
+  JOIN vehicles v ON v.vehicleId = s.vehicleId
+  JOIN service_plans p ON p.id = s.planId
+  LEFT JOIN customers c ON c.id = v.customerId
+  LEFT JOIN dealers d ON d.id = v.dealerId
+`;
+
+const SERVICE_DUE_SORTS = {
+  dueDate: 's.dueDate',
+  remainingKm: 's.dueOdometer - s.currentOdometer',
+  status: 's.status',
+  vehicleId: 's.vehicleId',
+  customerName: 'c.customerName'
+};
+
+app.get('/api/vehicles/:id/service-due', requirePermission('service:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await canAccessVehicle(req.user, id)))
+      return res.status(403).json({ error: 'Access denied' });
+
+    const [rows] = await db.query(
+      `SELECT ${SERVICE_DUE_SELECT} FROM ${SERVICE_DUE_FROM} WHERE s.vehicleId = ? ORDER BY s.dueDate`,
+      [id]
+    );
+
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Service due error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch service due' });
+  }
+});
+
+// Due and overdue services for calling customers in. Dealers and customers see their
+// own vehicles; admins can narrow to one ?dealerId= or ?customerId=.
+app.get('/api/services/upcoming', requirePermission('service:read'), async (req, res) => {
+  try {
+    const { status, dealerId, customerId, planId, q } = req.query;
+
+    const statuses = status ? String(status).split(',') : ['due', 'overdue'];
+    if (statuses.some(s => !['ok', 'due', 'overdue'].includes(s)))
+      return res.status(400).json({ error: "status must be 'ok', 'due' or 'overdue'" });
+
+    const list = parseListQuery(req.query, SERVICE_DUE_SORTS, 'dueDate', 'ASC');
+    const where = ['v.deletedAt IS NULL', 'p.isActive = 1', 's.status IN (?)'];
+    const params = [statuses];
+
+    const scope = ownerFilter(req.user, 'v');
+    if (scope) {
+      where.push(scope.sql);
+      params.push(...scope.params);
+    }
+
+    if (dealerId) {
+      where.push('v.dealerId = ?');
+      params.push(dealerId);
+    }
+
+    if (customerId) {
+      where.push('v.customerId = ?');
+      params.push(customerId);
+    }
+
+    if (planId) {
+      where.push('s.planId = ?');
+      params.push(planId);
+    }
+
+    addSearch(where, params, ['s.vehicleId', 'v.registrationNo', 'c.customerName', 'c.phoneNo'], q);
+
+    await sendList(res, {
+      select: SERVICE_DUE_SELECT,
+      from: SERVICE_DUE_FROM,
+      where,
+      params,
+      list
+    });
+
+  } catch (e) {
+    console.error('Upcoming services error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch upcoming services' });
+  }
+});
+
+/* ---------------- WARRANTY & AMC ---------------- */
+// Contracts cover one component, or the whole vehicle. Contracts derived from the
+// invoice (fromInvoice) follow vehicles.invoiceDate when it changes.
+defineTable(`
+  CREATE TABLE IF NOT EXISTS warranty_contracts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    vehicleId VARCHAR(64) NOT NULL,
+    type ENUM('warranty', 'amc') NOT NULL DEFAULT 'warranty',
+    component ENUM('vehicle', 'battery', 'motor', 'controller') NOT NULL,
+    startDate DATE NOT NULL,
+    endDate DATE NOT NULL,
+    termMonths INT NULL,
+    fromInvoice TINYINT(1) NOT NULL DEFAULT 0,
+    maxKm DOUBLE NULL,
+    contractNo VARCHAR(100) NULL,
+    notes VARCHAR(1000) NULL,
+    createdBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_warranty_contracts_vehicle (vehicleId, component)
+  )
+`);
+
+// evidence holds the warranty check the claim was filed and decided with
+defineTable(`
+  CREATE TABLE IF NOT EXISTS warranty_claims (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    vehicleId VARCHAR(64) NOT NULL,
+    chassisNumber VARCHAR(100) NULL,
+    contractId INT NULL,
+    component ENUM('vehicle', 'battery', 'motor', 'controller') NOT NULL,
+    failureDate DATE NOT NULL,
+    odometer DOUBLE NULL,
+    description VARCHAR(1000) NOT NULL,
+    status ENUM('open', 'accepted', 'rejected') NOT NULL DEFAULT 'open',
+    recommendation ENUM('accept', 'review', 'reject') NULL,
+    evidence JSON NULL,
+    decisionNote VARCHAR(1000) NULL,
+    decidedBy INT NULL,
+    decidedAt DATETIME NULL,
+    customerId INT NULL,
+    dealerId INT NULL,
+    createdBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_warranty_claims_vehicle (vehicleId),
+    INDEX idx_warranty_claims_status (status, createdAt),
+    INDEX idx_warranty_claims_dealer (dealerId)
+  )
+`);
+
+const WARRANTY_COMPONENTS = ['vehicle', 'battery', 'motor', 'controller'];
+
+// Manufacturer's standard terms, counted from the invoice date
+const WARRANTY_STANDARD_TERMS = {
+  vehicle: { months: 24, maxKm: 30000 },
+  battery: { months: 36, maxKm: 50000 },
+  motor: { months: 24, maxKm: 30000 },
+  controller: { months: 24, maxKm: 30000 }
+};
+
+// Daily maxima above these count as over-temperature evidence
+const WARRANTY_BATT_TEMP_LIMIT = 60;
+const WARRANTY_CONTROLLER_TEMP_LIMIT = 90;
+const WARRANTY_ODOMETER_TOLERANCE_KM = 100;
+const WARRANTY_TEXT_MAX_LENGTH = 1000;
+
+// Components whose failures each temperature can explain
+const WARRANTY_TEMP_COMPONENTS = {
+  battery: ['vehicle', 'battery'],
+  controller: ['vehicle', 'motor', 'controller']
+};
+
+// Called inside the vehicle update transactions after invoiceDate may have changed
+const rederiveWarrantyDates = (conn, vehicleId) => conn.execute(
+  `UPDATE warranty_contracts w
+   JOIN vehicles v ON v.vehicleId = w.vehicleId
+   SET w.startDate = v.invoiceDate,
+       w.endDate = DATE_ADD(v.invoiceDate, INTERVAL w.termMonths MONTH)
+   WHERE w.vehicleId = ? AND w.fromInvoice = 1 AND v.invoiceDate IS NOT NULL`,
+  [vehicleId]
+);
+
+const contractState = (contract, today = toDayString(new Date())) => {
+  if (toDayString(new Date(contract.startDate)) > today) return 'upcoming';
+  if (toDayString(new Date(contract.endDate)) < today) return 'expired';
+  return 'active';
+};
+
+const formatContract = (c) => ({
+  ...c,
+  startDate: toDayString(new Date(c.startDate)),
+  endDate: toDayString(new Date(c.endDate)),
+  state: contractState(c)
+});
+
+const findWarrantyVehicle = async ({ vehicleId, chassisNumber }) => {
+  const [rows] = await db.query(
+    `SELECT vehicleId, chassis_no AS chassisNumber, invoiceDate, customerId, dealerId
+     FROM vehicles
+     WHERE ${vehicleId ? 'vehicleId' : 'chassis_no'} = ? AND deletedAt IS NULL`,
+    [vehicleId || chassisNumber]
+  );
+  return rows[0] || null;
+};
+
+// Latest odometer reported up to `at`, from raw data or the rollups that replaced it
+const odometerAt = async (vehicleId, at, window) => {
+  const { from, to } = clipToWindow(window, null, at);
+  const segments = await rawdataSegments(vehicleId, from, to);
+  const { query, params } = rawdataQuery(vehicleId, segments, { columns: ['DeviceDate', 'Odometer'], from, to });
+
+  const [rows] = await db.query(
+    `SELECT DeviceDate, Odometer FROM (${query}) u
+     WHERE Odometer > 0 ORDER BY DeviceDate DESC LIMIT 1`,
+    params
+  );
+
+  return rows.length ? { odometer: Number(rows[0].Odometer), at: rows[0].DeviceDate } : null;
+};
+
+// Days whose rolled-up maximum temperature exceeded the limits
+const temperatureHistory = async (vehicleId, from, to) => {
+  const [[row]] = await db.query(
+    `SELECT COUNT(*) AS daysWithData,
+            MAX(maxBattTemp) AS maxBattTemp,
+            SUM(maxBattTemp > ?) AS battOverDays,
+            MIN(CASE WHEN maxBattTemp > ? THEN day END) AS battFirstDay,
+            MAX(CASE WHEN maxBattTemp > ? THEN day END) AS battLastDay,
+            MAX(maxControllerTemp) AS maxControllerTemp,
+            SUM(maxControllerTemp > ?) AS controllerOverDays,
+            MIN(CASE WHEN maxControllerTemp > ? THEN day END) AS controllerFirstDay,
+            MAX(CASE WHEN maxControllerTemp > ? THEN day END) AS controllerLastDay
+     FROM vehicle_daily_stats
+     WHERE vehicleId = ? AND day >= ? AND day <= ?`,
+    [
+      WARRANTY_BATT_TEMP_LIMIT, WARRANTY_BATT_TEMP_LIMIT, WARRANTY_BATT_TEMP_LIMIT,
+      WARRANTY_CONTROLLER_TEMP_LIMIT, WARRANTY_CONTROLLER_TEMP_LIMIT, WARRANTY_CONTROLLER_TEMP_LIMIT,
+      vehicleId, toDayString(from), toDayString(to)
+    ]
+  );
+
+  const day = (d) => (d ? toDayString(new Date(d)) : null);
+
+  return {
+    from: toDayString(from),
+    to: toDayString(to),
+    daysWithData: Number(row.daysWithData),
+    battery: {
+      limit: WARRANTY_BATT_TEMP_LIMIT,
+      max: row.maxBattTemp,
+      daysOverLimit: Number(row.battOverDays) || 0,
+      firstDay: day(row.battFirstDay),
+      lastDay: day(row.battLastDay)
+    },
+    controller: {
+      limit: WARRANTY_CONTROLLER_TEMP_LIMIT,
+      max: row.maxControllerTemp,
+      daysOverLimit: Number(row.controllerOverDays) || 0,
+      firstDay: day(row.controllerFirstDay),
+      lastDay: day(row.controllerLastDay)
+    }
+  };
+};
+
+// Combines the contracts covering the component on `at` with telemetry evidence.
+// Not covered → reject; covered with over-temperature or odometer doubts → review.
+const checkWarranty = async (vehicle, { component, at, odometer = null }, window) => {
+  const [contracts] = await db.query(
+    `SELECT * FROM warranty_contracts
+     WHERE vehicleId = ? AND component IN (?, 'vehicle')
+     ORDER BY endDate DESC`,
+    [vehicle.vehicleId, component]
+  );
+
+  const day = toDayString(at);
+  const dayEnd = new Date(Math.min(addDays(startOfDay(day), 1).getTime() - 1000, Date.now()));
+
+  const telemetry = await odometerAt(vehicle.vehicleId, dayEnd, window);
+  const reading = odometer ?? telemetry?.odometer ?? null;
+
+  const coverage = contracts.map(c => {
+    const contract = formatContract(c);
+    const inWindow = contract.startDate <= day && day <= contract.endDate;
+    const withinKm = c.maxKm === null || reading === null || reading <= Number(c.maxKm);
+    return { ...contract, inWindow, withinKm, covered: inWindow && withinKm };
+  });
+
+  const covering = coverage.find(c => c.covered) || null;
+
+  const historyStart = coverage.length
+    ? startOfDay(coverage.reduce((min, c) => (c.startDate < min ? c.startDate : min), day))
+    : (vehicle.invoiceDate ? new Date(vehicle.invoiceDate) : startOfDay(day));
+  const range = clipToWindow(window, historyStart, dayEnd);
+  const temperatures = await temperatureHistory(vehicle.vehicleId, new Date(range.from), new Date(range.to));
+
+  const findings = [];
+  if (!coverage.length) findings.push('no_contract');
+  else if (!coverage.some(c => c.inWindow)) findings.push('outside_warranty_period');
+  else if (!covering) findings.push('km_limit_exceeded');
+
+  if (!telemetry) findings.push('no_odometer_telemetry');
+  else if (odometer !== null && Math.abs(odometer - telemetry.odometer) > WARRANTY_ODOMETER_TOLERANCE_KM)
+    findings.push('odometer_mismatch');
+
+  for (const [sensor, components] of Object.entries(WARRANTY_TEMP_COMPONENTS)) {
+    if (components.includes(component) && temperatures[sensor].daysOverLimit > 0)
+      findings.push(`${sensor}_over_temperature`);
+  }
+
+  const doubts = findings.filter(f => f.endsWith('_over_temperature') || f === 'odometer_mismatch');
+
+  return {
+    vehicleId: vehicle.vehicleId,
+    chassisNumber: vehicle.chassisNumber,
+    invoiceDate: vehicle.invoiceDate ? toDayString(new Date(vehicle.invoiceDate)) : null,
+    component,
+    date: day,
+    odometer: {
+      claimed: odometer,
+      telemetry: telemetry?.odometer ?? null,
+      telemetryAt: telemetry?.at ?? null
+    },
+    covered: Boolean(covering),
+    contractId: covering?.id ?? null,
+    coverage,
+    temperatures,
+    findings,
+    recommendation: !covering ? 'reject' : doubts.length ? 'review' : 'accept'
+  };
+};
+
+// startDate left out on a warranty means "from the invoice date"; months defaults to
+// the standard term of the component
+const parseContractInput = (body, vehicle) => {
+  const type = body.type || 'warranty';
+  if (!['warranty', 'amc'].includes(type)) return { error: "type must be 'warranty' or 'amc'" };
+
+  const { component } = body;
+  if (!WARRANTY_COMPONENTS.includes(component))
+    return { error: `component must be one of: ${WARRANTY_COMPONENTS.join(', ')}` };
+
+  const startDate = parseDateInput(body.startDate);
+  const endDate = parseDateInput(body.endDate);
+  if (startDate === undefined || endDate === undefined) return { error: 'Invalid startDate or endDate' };
+
+  const fromInvoice = !startDate;
+  if (fromInvoice && type === 'amc') return { error: 'startDate is required for AMC contracts' };
+  if (fromInvoice && !vehicle.invoiceDate)
+    return { error: 'The vehicle has no invoiceDate; set it or pass startDate' };
+
+  const standard = type === 'warranty' ? WARRANTY_STANDARD_TERMS[component] : {};
+  const months = isBlankInput(body.months) ? null : toNumberOrNull(body.months);
+  if (!isBlankInput(body.months) && !(Number.isInteger(months) && months > 0))
+    return { error: 'months must be a positive whole number' };
+
+  // An explicit endDate fixes the contract; otherwise it runs for the term
+  const termMonths = endDate ? null : (months ?? standard.months ?? null);
+  if (!endDate && !termMonths) return { error: 'endDate or months is required' };
+  if (endDate && fromInvoice) return { error: 'endDate needs a startDate; pass months instead' };
+
+  const start = startDate || new Date(vehicle.invoiceDate);
+  const end = endDate || addMonths(start, termMonths);
+  if (end <= start) return { error: 'endDate must be after startDate' };
+
+  const maxKm = isBlankInput(body.maxKm) ? (standard.maxKm ?? null) : toNumberOrNull(body.maxKm);
+  if (!isBlankInput(body.maxKm) && !(maxKm > 0)) return { error: 'maxKm must be a positive number' };
+
+  if (body.notes && String(body.notes).length > WARRANTY_TEXT_MAX_LENGTH)
+    return { error: `notes cannot exceed ${WARRANTY_TEXT_MAX_LENGTH} characters` };
+
+  return {
+    values: {
+      type,
+      component,
+      startDate: toDayString(start),
+      endDate: toDayString(end),
+      termMonths,
+      fromInvoice: fromInvoice ? 1 : 0,
+      maxKm,
+      contractNo: body.contractNo ? String(body.contractNo).slice(0, 100) : null,
+      notes: body.notes || null
+    }
+  };
+};
+
+const CONTRACT_COLUMNS = [
+  'type', 'component', 'startDate', 'endDate', 'termMonths', 'fromInvoice', 'maxKm', 'contractNo', 'notes'
+];
+
+const insertContract = (vehicleId, values, user) => db.execute(
+  `INSERT INTO warranty_contracts (vehicleId, ${CONTRACT_COLUMNS.join(', ')}, createdBy)
+   VALUES (?, ${CONTRACT_COLUMNS.map(() => '?').join(', ')}, ?)`,
+  [vehicleId, ...CONTRACT_COLUMNS.map(c => values[c]), user.id || null]
+);
+
+app.get('/api/vehicles/:id/warranties', requirePermission('warranty:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await canAccessVehicle(req.user, id)))
+      return res.status(403).json({ error: 'Access denied' });
+
+    const [rows] = await db.query(
+      'SELECT * FROM warranty_contracts WHERE vehicleId = ? ORDER BY component, startDate',
+      [id]
+    );
+
+    res.json(rows.map(formatContract));
+
+  } catch (e) {
+    console.error('Fetch warranties error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch warranties' });
+  }
+});
+
+app.post('/api/vehicles/:id/warranties', requirePermission('warranty:manage'), async (req, res) => {
+  try {
+    const vehicle = await findWarrantyVehicle({ vehicleId: req.params.id });
+    if (!vehicle) return res.status(404).json({ error: 'Vehicle not found' });
+
+    const { values, error } = parseContractInput(req.body, vehicle);
+    if (error) return res.status(400).json({ error });
+
+    const [result] = await insertContract(vehicle.vehicleId, values, req.user);
+    res.json({ success: true, id: result.insertId });
+
+  } catch (e) {
+    console.error('Warranty save error:', e.message);
+    res.status(500).json({ error: 'Failed to save warranty' });
+  }
+});
+
+// Adds the standard warranty of every component that has no invoice-based warranty yet
+app.post('/api/vehicles/:id/warranties/standard', requirePermission('warranty:manage'), async (req, res) => {
+  try {
+    const vehicle = await findWarrantyVehicle({ vehicleId: req.params.id });
+    if (!vehicle) return res.status(404).json({ error: 'Vehicle not found' });
+    if (!vehicle.invoiceDate) return res.status(400).json({ error: 'The vehicle has no invoiceDate' });
+
+    const [existing] = await db.query(
+      `SELECT component FROM warranty_contracts WHERE vehicleId = ? AND type = 'warranty' AND fromInvoice = 1`,
+      [vehicle.vehicleId]
+    );
+    const covered = new Set(existing.map(r => r.component));
+
+    const created = [];
+    for (const component of WARRANTY_COMPONENTS) {
+      if (covered.has(component)) continue;
+
+      const { values } = parseContractInput({ type: 'warranty', component }, vehicle);
+      const [result] = await insertContract(vehicle.vehicleId, values, req.user);
+      created.push({ id: result.insertId, component });
+    }
+
+    res.json({ success: true, created });
+
+  } catch (e) {
+    console.error('Standard warranty error:', e.message);
+    res.status(500).json({ error: 'Failed to add standard warranties' });
+  }
+});
+
+app.put('/api/warranties/:id', requirePermission('warranty:manage'), async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT * FROM warranty_contracts WHERE id = ?', [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Warranty not found' });
+
+    const vehicle = await findWarrantyVehicle({ vehicleId: rows[0].vehicleId });
+    if (!vehicle) return res.status(404).json({ error: 'Vehicle not found' });
+
+    const { values, error } = parseContractInput(req.body, vehicle);
+    if (error) return res.status(400).json({ error });
+
+    await db.execute(
+      `UPDATE warranty_contracts SET ${CONTRACT_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...CONTRACT_COLUMNS.map(c => values[c]), rows[0].id]
+    );
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Warranty update error:', e.message);
+    res.status(500).json({ error: 'Failed to update warranty' });
+  }
+});
+
+app.delete('/api/warranties/:id', requirePermission('warranty:manage'), async (req, res) => {
+  try {
+    const [result] = await db.execute('DELETE FROM warranty_contracts WHERE id = ?', [req.params.id]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Warranty not found' });
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Warranty delete error:', e.message);
+    res.status(500).json({ error: 'Failed to delete warranty' });
+  }
+});
+
+// ?vehicleId= or ?chassisNumber=, &component= (default vehicle), &date= (default
+// today) and the &odometer= the customer reports
+app.get('/api/warranty-check', requirePermission('warranty:read'), async (req, res) => {
+  try {
+    const { vehicleId, chassisNumber } = req.query;
+    const component = req.query.component || 'vehicle';
+
+    if (!vehicleId && !chassisNumber)
+      return res.status(400).json({ error: 'vehicleId or chassisNumber is required' });
+
+    if (!WARRANTY_COMPONENTS.includes(component))
+      return res.status(400).json({ error: `component must be one of: ${WARRANTY_COMPONENTS.join(', ')}` });
+
+    const at = parseDateInput(req.query.date) ?? new Date();
+    if (at === undefined) return res.status(400).json({ error: 'Invalid date' });
+
+    const odometer = isBlankInput(req.query.odometer) ? null : toNumberOrNull(req.query.odometer);
+    if (!isBlankInput(req.query.odometer) && odometer === null)
+      return res.status(400).json({ error: 'odometer must be a number' });
+
+    const vehicle = await findWarrantyVehicle({ vehicleId, chassisNumber });
+    if (!vehicle) return res.status(404).json({ error: 'Vehicle not found' });
+
+    const window = await vehicleAccessWindow(req.user, vehicle.vehicleId);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    res.json(await checkWarranty(vehicle, { component, at, odometer }, window));
+
+  } catch (e) {
+    console.error('Warranty check error:', e.message);
+    res.status(500).json({ error: 'Warranty check failed' });
+  }
+});
+
+const WARRANTY_CLAIM_SORTS = {
+  createdAt: 'w.createdAt',
+  failureDate: 'w.failureDate',
+  status: 'w.status',
+  vehicleId: 'w.vehicleId'
+};
+
+const formatClaim = (claim) => ({
+  ...claim,
+  failureDate: toDayString(new Date(claim.failureDate)),
+  evidence: parseJsonColumn(claim.evidence)
+});
+
+app.get('/api/warranty-claims', requirePermission('warranty:read'), async (req, res) => {
+  try {
+    const { status, vehicleId, dealerId, customerId, component, q } = req.query;
+
+    const list = parseListQuery(req.query, WARRANTY_CLAIM_SORTS, 'createdAt');
+    const where = [];
+    const params = [];
+
+    const scope = ownerFilter(req.user, 'w');
+    if (scope) {
+      where.push(scope.sql);
+      params.push(...scope.params);
+    }
+
+    for (const [column, value] of [
+      ['w.status', status],
+      ['w.vehicleId', vehicleId],
+      ['w.dealerId', dealerId],
+      ['w.customerId', customerId],
+      ['w.component', component]
+    ]) {
+      if (!value) continue;
+      where.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    addSearch(where, params, ['w.vehicleId', 'w.chassisNumber', 'w.description'], q);
+
+    await sendList(res, {
+      select: `w.id, w.vehicleId, w.chassisNumber, w.contractId, w.component, w.failureDate, w.odometer,
+               w.description, w.status, w.recommendation, w.decisionNote, w.decidedAt,
+               w.customerId, w.dealerId, w.createdAt`,
+      from: 'warranty_claims w',
+      where,
+      params,
+      list
+    });
+
+  } catch (e) {
+    console.error('Fetch warranty claims error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch warranty claims' });
+  }
+});
+
+const findClaim = async (id) => {
+  const [rows] = await db.query('SELECT * FROM warranty_claims WHERE id = ?', [id]);
+  return rows[0] || null;
+};
+
+// Open claims are re-checked, since telemetry may have arrived since filing
+app.get('/api/warranty-claims/:id', requirePermission('warranty:read'), async (req, res) => {
+  try {
+    const claim = await findClaim(req.params.id);
+    if (!claim || !canAccessOwned(req.user, claim)) return res.status(404).json({ error: 'Claim not found' });
+
+    if (claim.status !== 'open') return res.json(formatClaim(claim));
+
+    const vehicle = await findWarrantyVehicle({ vehicleId: claim.vehicleId });
+    const window = vehicle && await vehicleAccessWindow(req.user, claim.vehicleId);
+
+    const check = window
+      ? await checkWarranty(vehicle, {
+        component: claim.component,
+        at: new Date(claim.failureDate),
+        odometer: toNumberOrNull(claim.odometer)
+      }, window)
+      : null;
+
+    res.json({ ...formatClaim(claim), check });
+
+  } catch (e) {
+    console.error('Fetch warranty claim error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch warranty claim' });
+  }
+});
+
+app.post('/api/vehicles/:id/warranty-claims', requirePermission('warranty:claim'), async (req, res) => {
+  try {
+    const { component, description } = req.body;
+
+    const vehicle = await findWarrantyVehicle({ vehicleId: req.params.id });
+    if (!vehicle) return res.status(404).json({ error: 'Vehicle not found' });
+
+    const window = await vehicleAccessWindow(req.user, vehicle.vehicleId);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    if (!WARRANTY_COMPONENTS.includes(component))
+      return res.status(400).json({ error: `component must be one of: ${WARRANTY_COMPONENTS.join(', ')}` });
+
+    if (!description || !String(description).trim())
+      return res.status(400).json({ error: 'description is required' });
+    if (String(description).length > WARRANTY_TEXT_MAX_LENGTH)
+      return res.status(400).json({ error: `description cannot exceed ${WARRANTY_TEXT_MAX_LENGTH} characters` });
+
+    const failureDate = parseDateInput(req.body.failureDate) ?? new Date();
+    if (failureDate === undefined) return res.status(400).json({ error: 'Invalid failureDate' });
+    if (toDayString(failureDate) > toDayString(new Date()))
+      return res.status(400).json({ error: 'failureDate cannot be in the future' });
+
+    const odometer = isBlankInput(req.body.odometer) ? null : toNumberOrNull(req.body.odometer);
+    if (!isBlankInput(req.body.odometer) && !(odometer >= 0))
+      return res.status(400).json({ error: 'odometer must be a number of at least 0' });
+
+    const check = await checkWarranty(vehicle, { component, at: failureDate, odometer }, window);
+
+    const [result] = await db.execute(
+      `INSERT INTO warranty_claims
+        (vehicleId, chassisNumber, contractId, component, failureDate, odometer, description,
+         recommendation, evidence, customerId, dealerId, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        vehicle.vehicleId,
+        vehicle.chassisNumber || null,
+        check.contractId,
+        component,
+        toDayString(failureDate),
+        odometer ?? check.odometer.telemetry,
+        String(description).trim(),
+        check.recommendation,
+        JSON.stringify(check),
+        vehicle.customerId || null,
+        vehicle.dealerId || null,
+        req.user.id || null
+      ]
+    );
+
+    res.json({ success: true, id: result.insertId, check });
+
+  } catch (e) {
+    console.error('Warranty claim save error:', e.message);
+    res.status(500).json({ error: 'Failed to save warranty claim' });
+  }
+});
+
+// Going against the recommendation needs a note explaining why
+app.post('/api/warranty-claims/:id/decision', requirePermission('warranty:decide'), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    if (!['accept', 'reject'].includes(decision))
+      return res.status(400).json({ error: "decision must be 'accept' or 'reject'" });
+
+    if (note && String(note).length > WARRANTY_TEXT_MAX_LENGTH)
+      return res.status(400).json({ error: `note cannot exceed ${WARRANTY_TEXT_MAX_LENGTH} characters` });
+
+    const claim = await findClaim(req.params.id);
+    if (!claim || !canAccessOwned(req.user, claim)) return res.status(404).json({ error: 'Claim not found' });
+    if (claim.status !== 'open') return res.status(409).json({ error: `Claim already ${claim.status}` });
+
+    const vehicle = await findWarrantyVehicle({ vehicleId: claim.vehicleId });
+    const check = vehicle
+      ? await checkWarranty(vehicle, {
+        component: claim.component,
+        at: new Date(claim.failureDate),
+        odometer: toNumberOrNull(claim.odometer)
+      }, { from: null, to: null })
+      : parseJsonColumn(claim.evidence);
+
+    if (check && check.recommendation !== decision && !(note && String(note).trim()))
+      return res.status(400).json({
+        error: `A note is required to ${decision} against the '${check.recommendation}' recommendation`,
+        check
+      });
+
+    const [result] = await db.execute(
+      `UPDATE warranty_claims
+       SET status = ?, recommendation = ?, evidence = ?, decisionNote = ?, decidedBy = ?, decidedAt = ?
+       WHERE id = ? AND status = 'open'`,
+      [
+        decision === 'accept' ? 'accepted' : 'rejected',
+        check?.recommendation ?? null,
+        check ? JSON.stringify(check) : null,
+        note ? String(note).trim() : null,
+        req.user.id || null,
+        new Date(),
+        claim.id
+      ]
+    );
+
+    if (!result.affectedRows) return res.status(409).json({ error: 'Claim already decided' });
+
+    res.json({ success: true, check });
+
+  } catch (e) {
+    console.error('Warranty decision error:', e.message);
+    res.status(500).json({ error: 'Failed to record warranty decision' });
+  }
+});
+
+/* ---------------- WEBHOOKS ---------------- */
+// Tenants subscribe their own systems to fleet events. Events are queued in
+// webhook_deliveries (in the same transaction as the change, where there is one)
+// and a dispatcher POSTs them, signed, retrying with backoff until they go dead.
+defineTable(`
+  CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    url VARCHAR(500) NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    events JSON NULL,
+    description VARCHAR(255) NULL,
+    customerId INT NULL,
+    dealerId INT NULL,
+    isActive TINYINT(1) NOT NULL DEFAULT 1,
+    createdBy INT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_webhook_subscriptions_customer (customerId),
+    INDEX idx_webhook_subscriptions_dealer (dealerId)
+  )
+`);
+
+// status 'dead' is the dead-letter store: out of retries until redelivered.
+// The payload is kept as sent, so the signature can be reproduced.
+defineTable(`
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    subscriptionId INT NOT NULL,
+    eventId VARCHAR(36) NOT NULL,
+    eventType VARCHAR(50) NOT NULL,
+    payload MEDIUMTEXT NOT NULL,
+    status ENUM('pending', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    nextAttemptAt DATETIME NOT NULL,
+    lastAttemptAt DATETIME NULL,
+    responseStatus INT NULL,
+    lastError VARCHAR(500) NULL,
+    deliveredAt DATETIME NULL,
+    deadAt DATETIME NULL,
+    createdAt DATETIME NOT NULL,
+    INDEX idx_webhook_deliveries_due (status, nextAttemptAt),
+    INDEX idx_webhook_deliveries_subscription (subscriptionId, createdAt)
+  )
+`);
+
+defineTable(`
+  CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    deliveryId BIGINT NOT NULL,
+    attempt INT NOT NULL,
+    attemptedAt DATETIME NOT NULL,
+    responseStatus INT NULL,
+    error VARCHAR(500) NULL,
+    durationMs INT NULL,
+    INDEX idx_webhook_attempts_delivery (deliveryId),
+    INDEX idx_webhook_attempts_time (attemptedAt)
+  )
+`);
+
+const WEBHOOK_EVENTS = [
+  'vehicle.status_changed',
+  'vehicle.auto_added',
+  'vehicle.ownership_changed',
+  'alert.opened',
+  'alert.resolved',
+  'geofence.enter',
+  'geofence.exit',
+  'service.due'
+];
+
+const WEBHOOK_DISPATCH_INTERVAL_MS = 5000;
+const WEBHOOK_DISPATCH_BATCH = 100;
+const WEBHOOK_CONCURRENCY = 5;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_BACKOFF_BASE_MS = 30000;
+const WEBHOOK_BACKOFF_MAX_MS = 6 * 60 * 60000;
+const WEBHOOK_LOG_RETENTION_DAYS = 30;
+const WEBHOOK_PRUNE_INTERVAL_MS = 60 * 60000;
+const WEBHOOK_PRUNE_BATCH = 10000;
+
+// Tenant-owned subscriptions may not reach our own network. The check runs on the
+// resolved address, both when the URL is saved and on every connection, so DNS names
+// and alternative spellings of private addresses are covered as well.
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((n, octet) => n * 256 + Number(octet), 0);
+
+const isPrivateIPv4 = (ip) => PRIVATE_IPV4_RANGES.some(([base, bits]) =>
+  Math.floor(ipv4ToInt(ip) / 2 ** (32 - bits)) === Math.floor(ipv4ToInt(base) / 2 ** (32 - bits)));
+
+// The eight 16-bit groups of an IPv6 address (a trailing dotted IPv4 becomes two)
+const ipv6Groups = (ip) => {
+  let address = ip.toLowerCase().split('%')[0];
+
+  const dotted = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const n = ipv4ToInt(dotted[1]);
+    address = address.slice(0, -dotted[1].length) + `${Math.floor(n / 65536).toString(16)}:${(n % 65536).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const fill = address.includes('::') ? Array(8 - left.length - right.length).fill('0') : [];
+
+  return [...left, ...fill, ...right].map(g => parseInt(g, 16));
+};
+
+const embeddedIPv4 = (high, low) =>
+  [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+const isPrivateIPv6 = (ip) => {
+  const g = ipv6Groups(ip);
+
+  // ::, ::1 and the deprecated IPv4-compatible ::a.b.c.d
+  if (g.slice(0, 6).every(x => x === 0)) return true;
+  // IPv4-mapped ::ffff:a.b.c.d and NAT64 64:ff9b::a.b.c.d carry an IPv4 address
+  if (g.slice(0, 5).every(x => x === 0) && g[5] === 0xffff) return isPrivateIPv4(embeddedIPv4(g[6], g[7]));
+  if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0))
+    return isPrivateIPv4(embeddedIPv4(g[6], g[7]));
+  // 6to4 2002:a.b.c.d::
+  if (g[0] === 0x2002) return isPrivateIPv4(embeddedIPv4(g[1], g[2]));
+
+  return (g[0] & 0xfe00) === 0xfc00 // unique local fc00::/7
+    || (g[0] & 0xffc0) === 0xfe80 // link-local fe80::/10
+    || (g[0] & 0xffc0) === 0xfec0 // site-local fec0::/10
+    || (g[0] & 0xff00) === 0xff00; // multicast
+};
+
+const isPrivateAddress = (ip) => {
+  const family = net.isIP(ip);
+  if (family === 4) return isPrivateIPv4(ip);
+  if (family === 6) return isPrivateIPv6(ip);
+  return true;
+};
+
+// dns.lookup replacement that refuses private addresses
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(new Error(`Host ${hostname} resolves to a private address`));
+
+    callback(null, address, family);
+  });
+};
+
+const publicOnlyAgents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+// Throws unless every address of the URL's host is public. IP literals never reach
+// the lookup, so they are checked here.
+const assertPublicUrl = async (url) => {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+
+  if (!addresses.length || addresses.some(a => isPrivateAddress(a.address)))
+    throw new Error('url must point to a public host');
+};
+
+const isTenantOwned = (subscription) => Boolean(subscription.customerId || subscription.dealerId);
+
+const subscribesTo = (subscription, type) => {
+  const events = parseJsonColumn(subscription.events);
+  return !events || events.includes('*') || events.includes(type);
+};
+
+// Fans a fleet event out to webhook subscriptions and user notifications. items:
+// { vehicleId, data, owners? } — owners defaults to the vehicle's current owner. Pass
+// the transaction's `conn` so the event is only queued if the change commits.
+const emitFleetEvents = async (type, items, { conn = db } = {}) => {
+  if (!items.length) return 0;
+
+  const [subscriptions] = await conn.query(
+    'SELECT id, events, customerId, dealerId FROM webhook_subscriptions WHERE isActive = 1'
+  );
+  const listening = subscriptions.filter(s => subscribesTo(s, type));
+  if (!listening.length && !NOTIFICATION_TRIGGERS[type]) return 0;
+
+  const unresolved = items.filter(i => !i.owners).map(i => i.vehicleId);
+  const owners = unresolved.length ? await loadVehicleOwners(unresolved) : new Map();
+
+  const now = new Date();
+  const events = items.map(item => ({
+    ...item,
+    id: crypto.randomUUID(),
+    owners: item.owners || [owners.get(String(item.vehicleId))]
+  }));
+
+  const rows = [];
+
+  for (const event of events) {
+    const payload = JSON.stringify({ id: event.id, type, createdAt: now.toISOString(), data: event.data });
+
+    for (const subscription of listening) {
+      if (!event.owners.some(owner => tenantAppliesTo(subscription, owner))) continue;
+      rows.push([subscription.id, event.id, type, payload, now, now]);
+    }
+  }
+
+  for (const batch of chunk(rows, 1000)) {
+    await conn.query(
+      `INSERT INTO webhook_deliveries (subscriptionId, eventId, eventType, payload, nextAttemptAt, createdAt)
+       VALUES ?`,
+      [batch]
+    );
+  }
+
+  await queueNotifications(type, events, conn);
+
+  return rows.length;
+};
+
+// Receivers verify HMAC-SHA256(secret, `${timestamp}.${body}`) against X-Webhook-Signature
+const signWebhook = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const webhookBackoffMs = (attempts) =>
+  Math.min(WEBHOOK_BACKOFF_BASE_MS * 2 ** (attempts - 1), WEBHOOK_BACKOFF_MAX_MS);
+
+const deliverWebhook = async (delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    const guarded = isTenantOwned(delivery);
+    if (guarded) await assertPublicUrl(delivery.url);
+
+    const response = await axios.post(delivery.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FleetWebhooks/1.0',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhook(delivery.secret, timestamp, delivery.payload)}`
+      },
+      // The payload is already serialized; it must go out byte for byte as signed
+      transformRequest: [(data) => data],
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      ...(guarded ? { ...publicOnlyAgents, proxy: false } : {})
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    return { status: response.status, error: ok ? null : `HTTP ${response.status}`, durationMs: Date.now() - started };
+  } catch (e) {
+    return { status: null, error: e.message, durationMs: Date.now() - started };
+  }
+};
+
+const recordDeliveryResult = async (delivery, result) => {
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+
+  await db.execute(
+    `INSERT INTO webhook_delivery_attempts (deliveryId, attempt, attemptedAt, responseStatus, error, durationMs)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [delivery.id, attempts, now, result.status, result.error ? result.error.slice(0, 500) : null, result.durationMs]
+  );
+
+  if (!result.error) {
+    await db.execute(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = ?, lastAttemptAt = ?, deliveredAt = ?, responseStatus = ?, lastError = NULL
+       WHERE id = ?`,
+      [attempts, now, now, result.status, delivery.id]
+    );
+    return;
+  }
+
+  const dead = attempts >= WEBHOOK_MAX_ATTEMPTS;
+
+  await db.execute(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = ?, lastAttemptAt = ?, responseStatus = ?, lastError = ?,
+         nextAttemptAt = ?, deadAt = ?
+     WHERE id = ?`,
+    [
+      dead ? 'dead' : 'pending',
+      attempts,
+      now,
+      result.status,
+      result.error.slice(0, 500),
+      new Date(now.getTime() + webhookBackoffMs(attempts)),
+      dead ? now : null,
+      delivery.id
+    ]
+  );
+
+  if (dead) console.error(`☠️ Webhook delivery ${delivery.id} moved to dead letters:`, result.error);
+};
+
+// Delivered deliveries and old attempt rows are dropped after the log retention;
+// dead letters stay until they are redelivered
+let lastWebhookPrune = 0;
+
+const pruneWebhookLog = async () => {
+  if (Date.now() - lastWebhookPrune < WEBHOOK_PRUNE_INTERVAL_MS) return;
+  lastWebhookPrune = Date.now();
+
+  const cutoff = addDays(new Date(), -WEBHOOK_LOG_RETENTION_DAYS);
+
+  await db.query(
+    `DELETE FROM webhook_deliveries WHERE status = 'delivered' AND createdAt < ? LIMIT ${WEBHOOK_PRUNE_BATCH}`,
+    [cutoff]
+  );
+  await db.query(
+    `DELETE FROM webhook_delivery_attempts WHERE attemptedAt < ? LIMIT ${WEBHOOK_PRUNE_BATCH}`,
+    [cutoff]
+  );
+};
+
+let isDispatchingWebhooks = false;
+
+// Paused subscriptions keep their pending deliveries until they are re-enabled
+const dispatchWebhooks = async () => {
+  if (isDispatchingWebhooks) return;
+
+  try {
+    isDispatchingWebhooks = true;
+
+    const [deliveries] = await db.query(
+      `SELECT d.id, d.eventId, d.eventType, d.payload, d.attempts, s.url, s.secret, s.customerId, s.dealerId
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscriptionId
+       WHERE d.status = 'pending' AND d.nextAttemptAt <= ? AND s.isActive = 1
+       ORDER BY d.nextAttemptAt ASC
+       LIMIT ${WEBHOOK_DISPATCH_BATCH}`,
+      [new Date()]
+    );
+
+    let delivered = 0;
+
+    for (const batch of chunk(deliveries, WEBHOOK_CONCURRENCY)) {
+      await Promise.all(batch.map(async (delivery) => {
+        const result = await deliverWebhook(delivery);
+        await recordDeliveryResult(delivery, result);
+        if (!result.error) delivered++;
+      }));
+    }
+
+    if (deliveries.length)
+      console.log(`🪝 Webhooks delivered: ${delivered}/${deliveries.length}`);
+
+    await pruneWebhookLog();
+
+  } catch (e) {
+    console.error('❌ Webhook dispatch failed:', e.message);
+  } finally {
+    isDispatchingWebhooks = false;
+  }
+};
+
+setInterval(dispatchWebhooks, WEBHOOK_DISPATCH_INTERVAL_MS);
+
+const WEBHOOK_FIELDS = 'id, url, events, description, customerId, dealerId, isActive, createdBy, createdAt, updatedAt';
+
+const formatWebhook = (w) => ({
+  ...w,
+  events: parseJsonColumn(w.events) || ['*'],
+  isActive: !!w.isActive
+});
+
+const parseWebhookInput = async (body, user) => {
+  let url;
+  try {
+    url = new URL(String(body.url || ''));
+  } catch {
+    return { error: 'url must be a valid http(s) URL' };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) return { error: 'url must be a valid http(s) URL' };
+  if (url.toString().length > 500) return { error: 'url cannot exceed 500 characters' };
+
+  const events = body.events === undefined || body.events === null ? ['*'] : body.events;
+  if (!Array.isArray(events) || !events.length)
+    return { error: 'events must be a non-empty list' };
+
+  const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length)
+    return { error: `Unknown events: ${unknown.join(', ')}. Use '*' or: ${WEBHOOK_EVENTS.join(', ')}` };
+
+  const owner = tenantOwnerFor(user, body);
+
+  if (isTenantOwned(owner)) {
+    try {
+      await assertPublicUrl(url.toString());
+    } catch (e) {
+      return { error: e.code ? 'url host could not be resolved' : e.message };
+    }
+  }
+
+  return {
+    values: {
+      url: url.toString(),
+      events: JSON.stringify(events.includes('*') ? ['*'] : [...new Set(events)]),
+      description: body.description ? String(body.description).slice(0, 255) : null,
+      isActive: body.isActive === undefined ? 1 : (body.isActive ? 1 : 0),
+      ...owner
+    }
+  };
+};
+
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const findWebhook = async (user, id) => {
+  const [rows] = await db.query('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+  return rows[0] && canAccessOwned(user, rows[0]) ? rows[0] : null;
+};
+
+app.get('/api/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    let query = `SELECT ${WEBHOOK_FIELDS} FROM webhook_subscriptions`;
+    let params = [];
+
+    const scope = ownerFilter(req.user);
+    if (scope) {
+      query += ` WHERE ${scope.sql}`;
+      params = scope.params;
+    }
+
+    const [rows] = await db.query(`${query} ORDER BY id DESC`, params);
+    res.json(rows.map(formatWebhook));
+
+  } catch (e) {
+    console.error('Fetch webhooks error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+app.get('/api/webhooks/events', requirePermission('webhooks:manage'), (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+// The signing secret is only returned here and when rotated
+app.post('/api/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { values, error } = await parseWebhookInput(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    const secret = newWebhookSecret();
+
+    const [result] = await db.execute(
+      `INSERT INTO webhook_subscriptions
+        (url, secret, events, description, customerId, dealerId, isActive, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        values.url,
+        secret,
+        values.events,
+        values.description,
+        values.customerId,
+        values.dealerId,
+        values.isActive,
+        req.user.id || null
+      ]
+    );
+
+    res.status(201).json({ success: true, id: result.insertId, secret });
+
+  } catch (e) {
+    console.error('Webhook save error:', e.message);
+    res.status(500).json({ error: 'Failed to save webhook' });
+  }
+});
+
+app.put('/api/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+
+    const { values, error } = await parseWebhookInput(req.body, req.user);
+    if (error) return res.status(400).json({ error });
+
+    await db.execute(
+      `UPDATE webhook_subscriptions
+       SET url = ?, events = ?, description = ?, customerId = ?, dealerId = ?, isActive = ?
+       WHERE id = ?`,
+      [
+        values.url,
+        values.events,
+        values.description,
+        values.customerId,
+        values.dealerId,
+        values.isActive,
+        webhook.id
+      ]
+    );
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Webhook update error:', e.message);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Pending deliveries of a deleted subscription become dead letters
+app.delete('/api/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+
+    await db.execute(
+      `UPDATE webhook_deliveries
+       SET status = 'dead', deadAt = ?, lastError = 'Subscription deleted'
+       WHERE subscriptionId = ? AND status = 'pending'`,
+      [new Date(), webhook.id]
+    );
+    await db.execute('DELETE FROM webhook_subscriptions WHERE id = ?', [webhook.id]);
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Webhook delete error:', e.message);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Deliveries still pending are signed with the new secret when they go out
+app.post('/api/webhooks/:id/rotate-secret', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+
+    const secret = newWebhookSecret();
+    await db.execute('UPDATE webhook_subscriptions SET secret = ? WHERE id = ?', [secret, webhook.id]);
+
+    res.json({ success: true, secret });
+
+  } catch (e) {
+    console.error('Webhook secret rotation error:', e.message);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// Queues a webhook.test event for this subscription only
+app.post('/api/webhooks/:id/test', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+
+    const now = new Date();
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({
+      id: eventId,
+      type: 'webhook.test',
+      createdAt: now.toISOString(),
+      data: { subscriptionId: webhook.id }
+    });
+
+    const [result] = await db.execute(
+      `INSERT INTO webhook_deliveries (subscriptionId, eventId, eventType, payload, nextAttemptAt, createdAt)
+       VALUES (?, ?, 'webhook.test', ?, ?, ?)`,
+      [webhook.id, eventId, payload, now, now]
+    );
+
+    res.status(202).json({ success: true, deliveryId: result.insertId });
+
+  } catch (e) {
+    console.error('Webhook test error:', e.message);
+    res.status(500).json({ error: 'Failed to queue test event' });
+  }
+});
+
+const WEBHOOK_DELIVERY_SORTS = {
+  createdAt: 'd.createdAt',
+  lastAttemptAt: 'd.lastAttemptAt',
+  attempts: 'd.attempts'
+};
+
+// Delivery log; ?status=dead lists the dead letters
+app.get('/api/webhook-deliveries', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { status, subscriptionId, eventType, eventId } = req.query;
+
+    if (status && !['pending', 'delivered', 'dead'].includes(status))
+      return res.status(400).json({ error: "status must be 'pending', 'delivered' or 'dead'" });
+
+    const list = parseListQuery(req.query, WEBHOOK_DELIVERY_SORTS, 'createdAt');
+    const where = [];
+    const params = [];
+
+    const scope = ownerFilter(req.user, 's');
+    if (scope) {
+      where.push(scope.sql);
+      params.push(...scope.params);
+    }
+
+    for (const [column, value] of [
+      ['d.status', status],
+      ['d.subscriptionId', subscriptionId],
+      ['d.eventType', eventType],
+      ['d.eventId', eventId]
+    ]) {
+      if (!value) continue;
+      where.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    await sendList(res, {
+      select: `d.id, d.subscriptionId, s.url, d.eventId, d.eventType, d.status, d.attempts,
+               d.nextAttemptAt, d.lastAttemptAt, d.responseStatus, d.lastError, d.deliveredAt,
+               d.deadAt, d.createdAt`,
+      from: 'webhook_deliveries d LEFT JOIN webhook_subscriptions s ON s.id = d.subscriptionId',
+      where,
+      params,
+      list
+    });
+
+  } catch (e) {
+    console.error('Fetch webhook deliveries error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Deliveries of deleted subscriptions are only visible to admins
+const findDelivery = async (user, id) => {
+  const [rows] = await db.query(
+    `SELECT d.*, s.id AS liveSubscriptionId, s.customerId, s.dealerId
+     FROM webhook_deliveries d
+     LEFT JOIN webhook_subscriptions s ON s.id = d.subscriptionId
+     WHERE d.id = ?`,
+    [id]
+  );
+  return rows[0] && canAccessOwned(user, rows[0]) ? rows[0] : null;
+};
+
+app.get('/api/webhook-deliveries/:id', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const delivery = await findDelivery(req.user, req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+
+    const [attempts] = await db.query(
+      'SELECT * FROM webhook_delivery_attempts WHERE deliveryId = ? ORDER BY id ASC',
+      [delivery.id]
+    );
+
+    const { liveSubscriptionId, ...rest } = delivery;
+    res.json({ ...rest, payload: parseJsonColumn(delivery.payload), attempts });
+
+  } catch (e) {
+    console.error('Fetch webhook delivery error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+// Sends the same event (same id, so receivers can dedupe) again with a fresh retry
+// budget; the attempt log numbers the new round from 1
+app.post('/api/webhook-deliveries/:id/redeliver', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const delivery = await findDelivery(req.user, req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+
+    if (!delivery.liveSubscriptionId) return res.status(409).json({ error: 'The subscription no longer exists' });
+    if (delivery.status === 'pending') return res.status(409).json({ error: 'Delivery is already pending' });
+
+    await db.execute(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, nextAttemptAt = ?, deadAt = NULL
+       WHERE id = ?`,
+      [new Date(), delivery.id]
+    );
+
+    res.status(202).json({ success: true });
+
+  } catch (e) {
+    console.error('Webhook redeliver error:', e.message);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+/* ---------------- NOTIFICATIONS ---------------- */
+// Email/SMS to the customer and dealer users of a vehicle. Fleet events map to
+// notification kinds; every message is a notification_log row, queued with the event
+// and sent by the dispatcher through the channel's transport.
+defineTable(`
+  CREATE TABLE IF NOT EXISTS notification_preferences (
+    userId INT PRIMARY KEY,
+    emailEnabled TINYINT(1) NOT NULL DEFAULT 1,
+    smsEnabled TINYINT(1) NOT NULL DEFAULT 0,
+    kinds JSON NULL,
+    quietHoursStart CHAR(5) NULL,
+    quietHoursEnd CHAR(5) NULL,
+    timezone VARCHAR(64) NULL,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )
+`);
+
+// Overrides of the built-in templates
+defineTable(`
+  CREATE TABLE IF NOT EXISTS notification_templates (
+    kind VARCHAR(30) NOT NULL,
+    channel ENUM('email', 'sms') NOT NULL,
+    subject VARCHAR(255) NULL,
+    body TEXT NOT NULL,
+    updatedBy INT NULL,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (kind, channel)
+  )
+`);
+
+defineTable(`
+  CREATE TABLE IF NOT EXISTS notification_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    userId INT NOT NULL,
+    channel ENUM('email', 'sms') NOT NULL,
+    kind VARCHAR(30) NOT NULL,
+    topic VARCHAR(64) NULL,
+    eventId VARCHAR(36) NULL,
+    vehicleId VARCHAR(64) NULL,
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NULL,
+    body TEXT NOT NULL,
+    status ENUM('pending', 'sent', 'failed', 'suppressed') NOT NULL DEFAULT 'pending',
+    reason VARCHAR(255) NULL,
+    transport VARCHAR(20) NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    sendAfter DATETIME NOT NULL,
+    sentAt DATETIME NULL,
+    createdAt DATETIME NOT NULL,
+    INDEX idx_notification_log_due (status, sendAfter),
+    INDEX idx_notification_log_user (userId, channel, sentAt),
+    INDEX idx_notification_log_vehicle (vehicleId, createdAt)
+  )
+`);
+
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+const NOTIFICATION_KINDS = ['battery_low', 'vehicle_offline', 'service_due', 'alert'];
+
+// Fleet event → notification kind (null: not notified) and topic, what the message
+// is about within the kind: each alert rule or service plan is deduplicated on its own.
+// Low battery is an open soc_below alert and "offline for a day" the Non-Communicating status.
+const NOTIFICATION_TRIGGERS = {
+  'alert.opened': {
+    kind: (data) => (data.metric === 'soc_below' ? 'battery_low' : 'alert'),
+    topic: (data) => `rule:${data.ruleId}`
+  },
+  'vehicle.status_changed': {
+    kind: (data) => (data.status === 'Non-Communicating' ? 'vehicle_offline' : null),
+    topic: () => null
+  },
+  'service.due': {
+    kind: () => 'service_due',
+    topic: (data) => `plan:${data.planId}`
+  }
+};
+
+// Email on for every kind, SMS opt-in
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  emailEnabled: true,
+  smsEnabled: false,
+  kinds: null,
+  quietHoursStart: null,
+  quietHoursEnd: null,
+  timezone: null
+};
+
+// {{name}} placeholders take the event data plus vehicleId and registrationNo
+const DEFAULT_NOTIFICATION_TEMPLATES = {
+  battery_low: {
+    email: {
+      subject: 'Low battery: {{registrationNo}}',
+      body: 'Vehicle {{registrationNo}} ({{vehicleId}}) is at {{value}}% battery, below the {{threshold}}% threshold.'
+    },
+    sms: { body: 'Low battery on {{registrationNo}}: {{value}}%' }
+  },
+  vehicle_offline: {
+    email: {
+      subject: 'Vehicle offline: {{registrationNo}}',
+      body: 'Vehicle {{registrationNo}} ({{vehicleId}}) has not reported for over a day (marked offline at {{at}}).'
+    },
+    sms: { body: '{{registrationNo}} has not reported for over a day' }
+  },
+  service_due: {
+    email: {
+      subject: 'Service {{status}}: {{registrationNo}}',
+      body: 'Vehicle {{registrationNo}} ({{vehicleId}}) is {{status}} for {{planName}}: due on {{dueDate}} or at {{dueOdometer}} km (odometer {{currentOdometer}} km).'
+    },
+    sms: { body: '{{registrationNo}} service {{status}} ({{planName}})' }
+  },
+  alert: {
+    email: {
+      subject: '{{severity}} alert: {{registrationNo}}',
+      body: '{{message}}\n\nVehicle {{registrationNo}} ({{vehicleId}}), opened {{openedAt}}.'
+    },
+    sms: { body: '{{registrationNo}}: {{message}}' }
+  },
+  test: {
+    email: { subject: 'Test notification', body: 'Notifications are set up for {{username}}.' },
+    sms: { body: 'Test notification for {{username}}' }
+  }
+};
+
+const NOTIFY_DISPATCH_INTERVAL_MS = 10000;
+const NOTIFY_DISPATCH_BATCH = 100;
+const NOTIFY_MAX_ATTEMPTS = 3;
+const NOTIFY_RETRY_MS = 5 * 60000;
+const NOTIFY_SEND_TIMEOUT_MS = 15000;
+const NOTIFY_DEDUP_MINUTES = 60;
+
+// Messages per user and channel per hour; the rest are logged as suppressed
+const NOTIFY_RATE_LIMITS = {
+  email: Number(process.env.NOTIFY_EMAIL_PER_HOUR) || 20,
+  sms: Number(process.env.NOTIFY_SMS_PER_HOUR) || 5
+};
+
+let smtpTransporter = null;
+
+// NOTIFY_EMAIL_TRANSPORT / NOTIFY_SMS_TRANSPORT pick the transport; by default smtp and
+// sms-http when configured, the console otherwise
+const NOTIFICATION_TRANSPORTS = {
+  smtp: {
+    channels: ['email'],
+    send: async ({ recipient, subject, body }) => {
+      smtpTransporter ||= nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+        connectionTimeout: NOTIFY_SEND_TIMEOUT_MS
+      });
+
+      await smtpTransporter.sendMail({
+        from: process.env.NOTIFY_EMAIL_FROM || process.env.SMTP_USER,
+        to: recipient,
+        subject,
+        text: body
+      });
+    }
+  },
+
+  // Generic gateway: POST { to, message, sender } with an optional bearer token
+  'sms-http': {
+    channels: ['sms'],
+    send: async ({ recipient, body }) => {
+      await axios.post(
+        process.env.SMS_GATEWAY_URL,
+        { to: recipient, message: body, sender: process.env.SMS_SENDER_ID || undefined },
+        {
+          headers: process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {},
+          timeout: NOTIFY_SEND_TIMEOUT_MS
+        }
+      );
+    }
+  },
+
+  // Development and tests: one JSON line per message in NOTIFY_OUTBOX_FILE, or the log
+  console: {
+    channels: ['email', 'sms'],
+    send: async (message) => {
+      if (process.env.NOTIFY_OUTBOX_FILE) {
+        await fs.promises.appendFile(
+          process.env.NOTIFY_OUTBOX_FILE,
+          `${JSON.stringify({ ...message, at: new Date().toISOString() })}\n`
+        );
+      } else {
+        console.log(`✉️ [${message.channel}] ${message.recipient}: ${message.subject || message.body}`);
+      }
+    }
+  }
+};
+
+const transportFor = (channel) => {
+  const name = channel === 'email'
+    ? process.env.NOTIFY_EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')
+    : process.env.NOTIFY_SMS_TRANSPORT || (process.env.SMS_GATEWAY_URL ? 'sms-http' : 'console');
+
+  const transport = NOTIFICATION_TRANSPORTS[name];
+  return transport?.channels.includes(channel) ? { name, ...transport } : null;
+};
+
+const renderTemplate = (text, context) => String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+  const value = context[key];
+  if (value === undefined || value === null) return '';
+  return value instanceof Date ? formatDateTime(value) : String(value);
+});
+
+const loadNotificationTemplates = async (conn = db) => {
+  const [rows] = await conn.query('SELECT kind, channel, subject, body FROM notification_templates');
+  const templates = JSON.parse(JSON.stringify(DEFAULT_NOTIFICATION_TEMPLATES));
+
+  rows.forEach(r => {
+    if (templates[r.kind]) templates[r.kind][r.channel] = { subject: r.subject, body: r.body };
+  });
+
+  return templates;
+};
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinuteOfDay = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// Minutes past midnight in the user's timezone (server time when unset)
+const localMinuteOfDay = (date, timeZone) => {
+  if (!timeZone) return date.getHours() * 60 + date.getMinutes();
+
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+
+  return part('hour') * 60 + part('minute');
+};
+
+// Messages queued during quiet hours wait until the quiet hours end
+const quietHoursRelease = (prefs, now) => {
+  if (!prefs.quietHoursStart || !prefs.quietHoursEnd) return now;
+
+  const start = toMinuteOfDay(prefs.quietHoursStart);
+  const end = toMinuteOfDay(prefs.quietHoursEnd);
+  if (start === end) return now;
+
+  const current = localMinuteOfDay(now, prefs.timezone);
+  const quiet = start < end ? current >= start && current < end : current >= start || current < end;
+
+  return quiet ? new Date(now.getTime() + ((end - current + 1440) % 1440) * 60000) : now;
+};
+
+// Users with their contact details (customer or dealer record) and preferences
+const NOTIFICATION_USER_SELECT = `
+  SELECT u.id, u.username, u.role, u.customerId, u.dealerId,
+         c.emailId AS customerEmail, c.phoneNo AS customerPhone,
+         d.email AS dealerEmail, d.contactNumber AS dealerPhone,
+         p.emailEnabled, p.smsEnabled, p.kinds, p.quietHoursStart, p.quietHoursEnd, p.timezone
+  FROM users u
+  LEFT JOIN customers c ON u.role = 'customer' AND c.id = u.customerId
+  LEFT JOIN dealers d ON u.role = 'dealer' AND d.id = u.dealerId
+  LEFT JOIN notification_preferences p ON p.userId = u.id
+`;
+
+const notificationPreferences = (user) => ({
+  emailEnabled: user.emailEnabled === null || user.emailEnabled === undefined
+    ? DEFAULT_NOTIFICATION_PREFERENCES.emailEnabled
+    : !!user.emailEnabled,
+  smsEnabled: user.smsEnabled === null || user.smsEnabled === undefined
+    ? DEFAULT_NOTIFICATION_PREFERENCES.smsEnabled
+    : !!user.smsEnabled,
+  kinds: parseJsonColumn(user.kinds),
+  quietHoursStart: user.quietHoursStart || null,
+  quietHoursEnd: user.quietHoursEnd || null,
+  timezone: user.timezone || null
+});
+
+const notificationRecipient = (user, channel) => {
+  const address = user.role === 'dealer'
+    ? (channel === 'email' ? user.dealerEmail : user.dealerPhone)
+    : (channel === 'email' ? user.customerEmail : user.customerPhone);
+
+  return address ? String(address).trim() || null : null;
+};
+
+const notifiesUser = (user, owner) => user.role === 'dealer'
+  ? Boolean(owner?.dealerId) && String(owner.dealerId) === String(user.dealerId)
+  : Boolean(owner?.customerId) && String(owner.customerId) === String(user.customerId);
+
+const notificationRow = ({ user, channel, kind, topic = null, eventId = null, vehicleId = null, template, context, recipient, now }) => [
+  user.id,
+  channel,
+  kind,
+  topic,
+  eventId,
+  vehicleId,
+  recipient || '',
+  template.subject ? renderTemplate(template.subject, context).slice(0, 255) : null,
+  renderTemplate(template.body, context),
+  recipient ? 'pending' : 'suppressed',
+  recipient ? null : 'No contact on file',
+  quietHoursRelease(notificationPreferences(user), now),
+  now
+];
+
+const insertNotifications = async (conn, rows) => {
+  for (const batch of chunk(rows, 1000)) {
+    await conn.query(
+      `INSERT INTO notification_log
+        (userId, channel, kind, topic, eventId, vehicleId, recipient, subject, body, status, reason, sendAfter, createdAt)
+       VALUES ?`,
+      [batch]
+    );
+  }
+};
+
+// Called by emitFleetEvents. The same kind and topic for the same vehicle reaches a
+// user at most once per NOTIFY_DEDUP_MINUTES on each channel.
+const queueNotifications = async (type, events, conn = db) => {
+  const trigger = NOTIFICATION_TRIGGERS[type];
+  if (!trigger) return 0;
+
+  const notable = events
+    .map(e => ({ ...e, kind: trigger.kind(e.data), topic: trigger.topic(e.data) }))
+    .filter(e => e.kind);
+  if (!notable.length) return 0;
+
+  const customerIds = new Set();
+  const dealerIds = new Set();
+  notable.forEach(e => e.owners.forEach(o => {
+    if (o?.customerId) customerIds.add(o.customerId);
+    if (o?.dealerId) dealerIds.add(o.dealerId);
+  }));
+  if (!customerIds.size && !dealerIds.size) return 0;
+
+  const [users] = await conn.query(
+    `${NOTIFICATION_USER_SELECT}
+     WHERE u.isActive = 1
+       AND ((u.role = 'customer' AND u.customerId IN (?)) OR (u.role = 'dealer' AND u.dealerId IN (?)))`,
+    [customerIds.size ? [...customerIds] : [null], dealerIds.size ? [...dealerIds] : [null]]
+  );
+  if (!users.length) return 0;
+
+  const vehicleIds = [...new Set(notable.map(e => String(e.vehicleId)))];
+  const now = new Date();
+
+  const [vehicles] = await conn.query(
+    'SELECT vehicleId, registrationNo FROM vehicles WHERE vehicleId IN (?)',
+    [vehicleIds]
+  );
+  const registrations = new Map(vehicles.map(v => [String(v.vehicleId), v.registrationNo]));
+
+  const [recent] = await conn.query(
+    `SELECT userId, channel, kind, topic, vehicleId FROM notification_log
+     WHERE vehicleId IN (?) AND createdAt >= ? AND status IN ('pending', 'sent')`,
+    [vehicleIds, new Date(now.getTime() - NOTIFY_DEDUP_MINUTES * 60000)]
+  );
+  const dedupKey = (userId, channel, kind, topic, vehicleId) => `${userId}:${channel}:${kind}:${topic || ''}:${vehicleId}`;
+  const queued = new Set(recent.map(r => dedupKey(r.userId, r.channel, r.kind, r.topic, r.vehicleId)));
+
+  const templates = await loadNotificationTemplates(conn);
+  const rows = [];
+
+  for (const event of notable) {
+    const vehicleId = String(event.vehicleId);
+    const context = { ...event.data, vehicleId, registrationNo: registrations.get(vehicleId) || vehicleId };
+
+    for (const user of users) {
+      if (!event.owners.some(owner => notifiesUser(user, owner))) continue;
+
+      const prefs = notificationPreferences(user);
+      if (prefs.kinds && !prefs.kinds.includes(event.kind)) continue;
+
+      for (const channel of NOTIFICATION_CHANNELS) {
+        if (!prefs[`${channel}Enabled`]) continue;
+
+        const key = dedupKey(user.id, channel, event.kind, event.topic, vehicleId);
+        if (queued.has(key)) continue;
+        queued.add(key);
+
+        rows.push(notificationRow({
+          user,
+          channel,
+          kind: event.kind,
+          topic: event.topic,
+          eventId: event.id,
+          vehicleId,
+          template: templates[event.kind][channel],
+          context,
+          recipient: notificationRecipient(user, channel),
+          now
+        }));
+      }
+    }
+  }
+
+  await insertNotifications(conn, rows);
+
+  return rows.length;
+};
+
+let isDispatchingNotifications = false;
+
+const dispatchNotifications = async () => {
+  if (isDispatchingNotifications) return;
+
+  try {
+    isDispatchingNotifications = true;
+
+    const [messages] = await db.query(
+      `SELECT * FROM notification_log
+       WHERE status = 'pending' AND sendAfter <= ?
+       ORDER BY sendAfter ASC
+       LIMIT ${NOTIFY_DISPATCH_BATCH}`,
+      [new Date()]
+    );
+    if (!messages.length) return;
+
+    const [counts] = await db.query(
+      `SELECT userId, channel, COUNT(*) AS sent, MIN(sentAt) AS firstSentAt FROM notification_log
+       WHERE status = 'sent' AND sentAt >= ? AND userId IN (?)
+       GROUP BY userId, channel`,
+      [new Date(Date.now() - 3600000), [...new Set(messages.map(m => m.userId))]]
+    );
+    const sentLastHour = new Map(counts.map(c => [
+      `${c.userId}:${c.channel}`,
+      { sent: Number(c.sent), firstSentAt: new Date(c.firstSentAt) }
+    ]));
+
+    let sent = 0;
+
+    for (const message of messages) {
+      const key = `${message.userId}:${message.channel}`;
+      const usage = sentLastHour.get(key);
+
+      // Over the limit: a live burst is dropped, but messages already held back (quiet
+      // hours, retries) move to the next window so they are not lost
+      if (usage && usage.sent >= NOTIFY_RATE_LIMITS[message.channel]) {
+        if (new Date(message.sendAfter) > new Date(message.createdAt)) {
+          await db.execute(
+            'UPDATE notification_log SET sendAfter = ?, reason = ? WHERE id = ?',
+            [new Date(usage.firstSentAt.getTime() + 3600000), 'Rate limit reached, deferred', message.id]
+          );
+        } else {
+          await db.execute(
+            `UPDATE notification_log SET status = 'suppressed', reason = 'Rate limit reached' WHERE id = ?`,
+            [message.id]
+          );
+        }
+        continue;
+      }
+
+      const transport = transportFor(message.channel);
+      if (!transport) {
+        await db.execute(
+          `UPDATE notification_log SET status = 'failed', reason = ? WHERE id = ?`,
+          [`No ${message.channel} transport configured`, message.id]
+        );
+        continue;
+      }
+
+      const attempts = message.attempts + 1;
+
+      try {
+        await transport.send({
+          channel: message.channel,
+          recipient: message.recipient,
+          subject: message.subject,
+          body: message.body
+        });
+
+        await db.execute(
+          `UPDATE notification_log
+           SET status = 'sent', attempts = ?, transport = ?, sentAt = ?, reason = NULL
+           WHERE id = ?`,
+          [attempts, transport.name, new Date(), message.id]
+        );
+
+        sentLastHour.set(key, usage
+          ? { ...usage, sent: usage.sent + 1 }
+          : { sent: 1, firstSentAt: new Date() });
+        sent++;
+      } catch (e) {
+        const failed = attempts >= NOTIFY_MAX_ATTEMPTS;
+
+        await db.execute(
+          `UPDATE notification_log
+           SET status = ?, attempts = ?, transport = ?, reason = ?, sendAfter = ?
+           WHERE id = ?`,
+          [
+            failed ? 'failed' : 'pending',
+            attempts,
+            transport.name,
+            e.message.slice(0, 255),
+            new Date(Date.now() + NOTIFY_RETRY_MS * attempts),
+            message.id
+          ]
+        );
+
+        console.error(`❌ Notification ${message.id} send failed:`, e.message);
+      }
+    }
+
+    if (sent) console.log(`✉️ Notifications sent: ${sent}`);
+
+  } catch (e) {
+    console.error('❌ Notification dispatch failed:', e.message);
+  } finally {
+    isDispatchingNotifications = false;
+  }
+};
+
+setInterval(dispatchNotifications, NOTIFY_DISPATCH_INTERVAL_MS);
+
+const findNotificationUser = async (id) => {
+  const [rows] = await db.query(`${NOTIFICATION_USER_SELECT} WHERE u.id = ?`, [id]);
+  return rows[0] || null;
+};
+
+app.get('/api/me/notification-preferences', verifyToken, async (req, res) => {
+  try {
+    const user = await findNotificationUser(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({
+      ...notificationPreferences(user),
+      contact: {
+        email: notificationRecipient(user, 'email'),
+        sms: notificationRecipient(user, 'sms')
+      },
+      availableKinds: NOTIFICATION_KINDS,
+      channels: NOTIFICATION_CHANNELS
+    });
+
+  } catch (e) {
+    console.error('Fetch notification preferences error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Fields left out keep their current value; kinds null means every kind
+app.put('/api/me/notification-preferences', verifyToken, async (req, res) => {
+  try {
+    const user = await findNotificationUser(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const prefs = { ...notificationPreferences(user) };
+    const body = req.body;
+
+    for (const field of ['emailEnabled', 'smsEnabled']) {
+      if (body[field] === undefined) continue;
+      if (typeof body[field] !== 'boolean') return res.status(400).json({ error: `${field} must be true or false` });
+      prefs[field] = body[field];
+    }
+
+    if (body.kinds !== undefined) {
+      if (body.kinds !== null &&
+          (!Array.isArray(body.kinds) || body.kinds.some(k => !NOTIFICATION_KINDS.includes(k))))
+        return res.status(400).json({ error: `kinds must be null or a list of: ${NOTIFICATION_KINDS.join(', ')}` });
+      prefs.kinds = body.kinds === null ? null : [...new Set(body.kinds)];
+    }
+
+    for (const field of ['quietHoursStart', 'quietHoursEnd']) {
+      if (body[field] === undefined) continue;
+      if (body[field] !== null && body[field] !== '' && !TIME_OF_DAY_PATTERN.test(body[field]))
+        return res.status(400).json({ error: `${field} must be HH:MM (24h)` });
+      prefs[field] = body[field] || null;
+    }
+
+    if (Boolean(prefs.quietHoursStart) !== Boolean(prefs.quietHoursEnd))
+      return res.status(400).json({ error: 'quietHoursStart and quietHoursEnd must be set together' });
+    if (prefs.quietHoursStart && prefs.quietHoursStart === prefs.quietHoursEnd)
+      return res.status(400).json({ error: 'quietHoursStart and quietHoursEnd must differ' });
+
+    if (body.timezone !== undefined) {
+      if (body.timezone) {
+        try {
+          new Intl.DateTimeFormat('en-GB', { timeZone: body.timezone });
+        } catch {
+          return res.status(400).json({ error: 'Unknown timezone' });
+        }
+      }
+      prefs.timezone = body.timezone || null;
+    }
+
+    await db.execute(
+      `INSERT INTO notification_preferences
+        (userId, emailEnabled, smsEnabled, kinds, quietHoursStart, quietHoursEnd, timezone)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+       emailEnabled = VALUES(emailEnabled),
+       smsEnabled = VALUES(smsEnabled),
+       kinds = VALUES(kinds),
+       quietHoursStart = VALUES(quietHoursStart),
+       quietHoursEnd = VALUES(quietHoursEnd),
+       timezone = VALUES(timezone)`,
+      [
+        user.id,
+        prefs.emailEnabled ? 1 : 0,
+        prefs.smsEnabled ? 1 : 0,
+        prefs.kinds ? JSON.stringify(prefs.kinds) : null,
+        prefs.quietHoursStart,
+        prefs.quietHoursEnd,
+        prefs.timezone
+      ]
+    );
+
+    res.json({ success: true, ...prefs });
+
+  } catch (e) {
+    console.error('Notification preferences update error:', e.message);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// Sends a test message to the caller's own contact, honouring quiet hours but not
+// the opt-in; admins (who have no contact record) can pass a recipient
+app.post('/api/notifications/test', verifyToken, async (req, res) => {
+  try {
+    const channel = req.body.channel || 'email';
+    if (!NOTIFICATION_CHANNELS.includes(channel))
+      return res.status(400).json({ error: "channel must be 'email' or 'sms'" });
+
+    const user = await findNotificationUser(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const recipient = req.user.role === 'admin' && req.body.recipient
+      ? String(req.body.recipient).trim().slice(0, 255)
+      : notificationRecipient(user, channel);
+    if (!recipient) return res.status(400).json({ error: `No ${channel} contact on file` });
+
+    const templates = await loadNotificationTemplates();
+    const now = new Date();
+
+    await insertNotifications(db, [notificationRow({
+      user,
+      channel,
+      kind: 'test',
+      template: templates.test[channel],
+      context: { username: user.username },
+      recipient,
+      now
+    })]);
+
+    res.status(202).json({
+      success: true,
+      recipient,
+      sendAfter: quietHoursRelease(notificationPreferences(user), now)
+    });
+
+  } catch (e) {
+    console.error('Test notification error:', e.message);
+    res.status(500).json({ error: 'Failed to queue test notification' });
+  }
+});
+
+const NOTIFICATION_LOG_SORTS = {
+  createdAt: 'createdAt',
+  sentAt: 'sentAt',
+  status: 'status'
+};
+
+// Users see their own notifications; admins everyone's, or one ?userId=
+app.get('/api/notifications', verifyToken, async (req, res) => {
+  try {
+    const { status, channel, kind, vehicleId, userId } = req.query;
+
+    const list = parseListQuery(req.query, NOTIFICATION_LOG_SORTS, 'createdAt');
+    const where = [];
+    const params = [];
+
+    const ownUser = hasPermission(req.user, 'notifications:manage') ? userId : req.user.id;
+
+    for (const [column, value] of [
+      ['userId', ownUser],
+      ['status', status],
+      ['channel', channel],
+      ['kind', kind],
+      ['vehicleId', vehicleId]
+    ]) {
+      if (!value) continue;
+      where.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    await sendList(res, {
+      select: `id, userId, channel, kind, eventId, vehicleId, recipient, subject, body, status,
+               reason, transport, attempts, sendAfter, sentAt, createdAt`,
+      from: 'notification_log',
+      where,
+      params,
+      list
+    });
+
+  } catch (e) {
+    console.error('Fetch notifications error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+app.get('/api/notification-templates', requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const templates = await loadNotificationTemplates();
+    const [overrides] = await db.query('SELECT kind, channel FROM notification_templates');
+    const customized = new Set(overrides.map(o => `${o.kind}:${o.channel}`));
+
+    res.json(Object.entries(templates).flatMap(([kind, channels]) =>
+      NOTIFICATION_CHANNELS.map(channel => ({
+        kind,
+        channel,
+        subject: channels[channel].subject || null,
+        body: channels[channel].body,
+        customized: customized.has(`${kind}:${channel}`)
+      }))));
+
+  } catch (e) {
+    console.error('Fetch notification templates error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch notification templates' });
+  }
+});
+
+app.put('/api/notification-templates/:kind/:channel', requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const { kind, channel } = req.params;
+    const { subject, body } = req.body;
+
+    if (!DEFAULT_NOTIFICATION_TEMPLATES[kind] || !NOTIFICATION_CHANNELS.includes(channel))
+      return res.status(404).json({ error: 'Template not found' });
+
+    if (!body || !String(body).trim()) return res.status(400).json({ error: 'body is required' });
+    if (channel === 'email' && !(subject && String(subject).trim()))
+      return res.status(400).json({ error: 'subject is required for email templates' });
+    if (subject && String(subject).length > 255)
+      return res.status(400).json({ error: 'subject cannot exceed 255 characters' });
+
+    await db.execute(
+      `INSERT INTO notification_templates (kind, channel, subject, body, updatedBy)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE subject = VALUES(subject), body = VALUES(body), updatedBy = VALUES(updatedBy)`,
+      [kind, channel, channel === 'email' ? String(subject).trim() : null, String(body), req.user.id || null]
+    );
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Notification template save error:', e.message);
+    res.status(500).json({ error: 'Failed to save notification template' });
+  }
+});
+
+// Back to the built-in template
+app.delete('/api/notification-templates/:kind/:channel', requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'DELETE FROM notification_templates WHERE kind = ? AND channel = ?',
+      [req.params.kind, req.params.channel]
+    );
+
+    if (!result.affectedRows) return res.status(404).json({ error: 'No custom template to reset' });
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Notification template reset error:', e.message);
+    res.status(500).json({ error: 'Failed to reset notification template' });
+  }
+});
+
+/* ---------------- LIVE STREAM (SSE) ---------------- */
+const STREAM_HEARTBEAT_MS = 25000;
+
+const streamClients = new Set();
+
+// Last payload sent per vehicle, so only rows that actually changed are pushed
+const streamState = new Map();
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Pushes changed vehicle_current rows to every connected client allowed to see them
+const publishVehicleUpdates = async (rows) => {
+  try {
+    const changed = [];
+
+    for (const row of rows) {
+      const vehicle = formatVehicle(row);
+      const serialized = JSON.stringify(vehicle);
+
+      if (streamState.get(vehicle.vehicleId) === serialized) continue;
+
+      streamState.set(vehicle.vehicleId, serialized);
+      changed.push(vehicle);
+    }
+
+    if (!changed.length || !streamClients.size) return;
+
+    const owners = await loadVehicleOwners(changed.map(v => v.vehicleId));
+
+    // Same rules as the snapshot (fetchFleet): the vehicle master's owner, deleted vehicles left out
+    for (const client of streamClients) {
+      const visible = changed.filter(v => {
+        const owner = owners.get(String(v.vehicleId));
+        return !owner?.deletedAt && canAccessOwned(client.user, owner || {});
+      });
+
+      if (visible.length) sendEvent(client.res, 'vehicles', visible);
+    }
+  } catch (e) {
+    console.error('❌ Stream publish failed:', e.message);
+  }
+};
+
+app.get('/api/stream/vehicles', requirePermission('vehicles:read', verifyStreamToken), async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const client = { res, user: req.user };
+  let heartbeat = null;
+  let closed = false;
+
+  // Registered before the snapshot query, which a client may not wait for
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    streamClients.delete(client);
+  });
+
+  try {
+    // Initial state so the client does not need a separate /api/vehicles call
+    sendEvent(res, 'snapshot', await fetchFleet(req.user));
+  } catch (e) {
+    console.error('❌ Stream snapshot failed:', e.message);
+    sendEvent(res, 'error', { error: 'Snapshot failed' });
+  }
+
+  if (closed) return;
+
+  streamClients.add(client);
+
+  heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+});
+
+/* ---------------- EXPORTS ---------------- */
+// Human-readable names for the TOR columns stored in vehicle_rawdata
+const RAWDATA_COLUMNS = [
+  { key: 'HWID', label: 'Hardware ID', type: 'text' },
+  { key: 'DeviceDate', label: 'Device Time', type: 'datetime' },
+  { key: 'ENTRYDATE', label: 'Received At', type: 'datetime' },
+  { key: 'ModelNumber', label: 'Model', type: 'text' },
+  { key: 'Latitude', label: 'Latitude', type: 'number' },
+  { key: 'Longitude', label: 'Longitude', type: 'number' },
+  { key: 'StateofCharge', label: 'State of Charge (%)', type: 'number' },
+  { key: 'TimetoCharge', label: 'Time to Full Charge (min)', type: 'number' },
+  { key: 'DistancetoEmpty1', label: 'Estimated Range (km)', type: 'number' },
+  { key: 'KeyOnSignal', label: 'Ignition On', type: 'flag' },
+  { key: 'BattTemp', label: 'Battery Temperature (°C)', type: 'number' },
+  { key: 'BatteryVoltage', label: 'Battery Voltage (V)', type: 'number' },
+  { key: 'BatteryChargingIndication1', label: 'Charging', type: 'flag' },
+  { key: 'Odometer', label: 'Odometer (km)', type: 'number' },
+  { key: 'Speed', label: 'Speed (km/h)', type: 'number' },
+  { key: 'RSSI', label: 'Signal Strength (RSSI)', type: 'number' },
+  { key: 'MachineStatus', label: 'Machine Status', type: 'text' },
+  { key: 'Immobilization_status', label: 'Immobilized', type: 'flag' },
+  { key: 'ControllerTemperature', label: 'Controller Temperature (°C)', type: 'number' }
+];
+
+const TRIP_COLUMNS = [
+  { key: 'startTime', label: 'Start Time', type: 'datetime' },
+  { key: 'endTime', label: 'End Time', type: 'datetime' },
+  { key: 'durationMin', label: 'Duration (min)', type: 'number' },
+  { key: 'startLat', label: 'Start Latitude', type: 'number' },
+  { key: 'startLng', label: 'Start Longitude', type: 'number' },
+  { key: 'endLat', label: 'End Latitude', type: 'number' },
+  { key: 'endLng', label: 'End Longitude', type: 'number' },
+  { key: 'distanceKm', label: 'Distance (km)', type: 'number' },
+  { key: 'maxSpeed', label: 'Max Speed (km/h)', type: 'number' },
+  { key: 'avgSpeed', label: 'Average Speed (km/h)', type: 'number' },
+  { key: 'startSoc', label: 'Start SoC (%)', type: 'number' },
+  { key: 'endSoc', label: 'End SoC (%)', type: 'number' },
+  { key: 'socConsumed', label: 'SoC Consumed (%)', type: 'number' },
+  { key: 'inProgress', label: 'In Progress', type: 'flag' }
+];
+
+const XLSX_MAX_ROWS = 1048575;
+
+const EXPORT_MIME_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+// ?format= wins over the Accept header; anything else stays JSON
+const resolveExportFormat = (req) => {
+  const format = String(req.query.format || '').toLowerCase();
+  if (format) return EXPORT_MIME_TYPES[format] ? format : 'json';
+
+  const accept = req.headers.accept || '';
+  return Object.keys(EXPORT_MIME_TYPES).find(f => accept.includes(EXPORT_MIME_TYPES[f])) || 'json';
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const formatDateTime = (val) => {
+  const d = val instanceof Date ? val : new Date(val);
+  if (isNaN(d.getTime())) return String(val);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ` +
+    `${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+};
+
+const formatCell = (column, val, typed = false) => {
+  if (val === null || val === undefined || val === '') return typed ? null : '';
+
+  switch (column.type) {
+    case 'number': {
+      const n = Number(val);
+      return Number.isFinite(n) ? n : String(val);
+    }
+    case 'datetime': {
+      const d = val instanceof Date ? val : new Date(val);
+      if (isNaN(d.getTime())) return String(val);
+      return typed ? d : formatDateTime(d);
+    }
+    case 'date': {
+      const d = val instanceof Date ? val : new Date(val);
+      if (isNaN(d.getTime())) return String(val);
+      return typed ? d : toDayString(d);
+    }
+    case 'flag':
+      return val === true || Number(val) > 0 ? 'Yes' : 'No';
+    default:
+      return String(val);
+  }
+};
+
+const csvEscape = (val) => {
+  const s = String(val ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const toCsvLine = (values) => values.map(csvEscape).join(',') + '\r\n';
+
+const exportFilename = (prefix, ext) =>
+  `${prefix}_${new Date().toISOString().slice(0, 10)}.${ext}`.replace(/[^\w.-]+/g, '_');
+
+// Honours backpressure so large exports don't pile up in memory. A client that
+// disconnects never drains, so 'close' and 'error' settle the wait as well.
+const writeChunk = (res, chunk) => {
+  if (res.destroyed || res.write(chunk)) return null;
+
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      resolve();
+    };
+
+    res.once('drain', done);
+    res.once('close', done);
+    res.once('error', done);
+  });
+};
+
+// Query result as a stream (for sendTable). Once destroyed, the paused connection is
+// resumed so the remaining rows are discarded and it goes back to the pool.
+const streamQuery = (sql, params) => {
+  const query = db.pool.query(sql, params);
+  const stream = query.stream();
+
+  stream.once('close', () => query._connection?.resume());
+
+  return stream;
+};
+
+// rows may be an array or an async iterable (e.g. a streamQuery)
+const sendTable = async (res, format, options) => {
+  // Stop reading as soon as the client goes away
+  const abort = () => options.rows.destroy?.();
+  res.once('close', abort);
+
+  try {
+    await writeTable(res, format, options);
+  } catch (e) {
+    if (!res.destroyed) throw e;
+  } finally {
+    res.off('close', abort);
+  }
+};
+
+const writeTable = async (res, format, { filename, columns, rows, sheetName = 'Report' }) => {
+  res.setHeader('Content-Type', EXPORT_MIME_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(filename, format)}"`);
+
+  if (format === 'csv') {
+    // BOM so Excel opens UTF-8 (°C) correctly
+    await writeChunk(res, '\uFEFF' + toCsvLine(columns.map(c => c.label)));
+
+    for await (const row of rows) {
+      if (res.destroyed) break;
+      await writeChunk(res, toCsvLine(columns.map(c => formatCell(c, row[c.key]))));
+    }
+
+    return res.end();
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map(c => ({
+    header: c.label,
+    key: c.key,
+    width: Math.max(12, c.label.length + 2),
+    style: c.type === 'datetime' ? { numFmt: 'yyyy-mm-dd hh:mm:ss' }
+      : c.type === 'date' ? { numFmt: 'yyyy-mm-dd' }
+      : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  let count = 0;
+  for await (const row of rows) {
+    if (res.destroyed || ++count > XLSX_MAX_ROWS) break;
+    sheet.addRow(columns.map(c => formatCell(c, row[c.key], true))).commit();
+  }
+
+  if (res.destroyed) return;
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+const streamRawData = ({ vehicleId, from, to, segments }) => {
+  const { query, params } = rawdataQuery(vehicleId, segments, {
+    columns: RAWDATA_COLUMNS.map(c => c.key),
+    from,
+    to
+  });
+
+  return streamQuery(`${query} ORDER BY DeviceDate ASC`, params);
+};
+
+const flattenTrip = (t) => ({
+  ...t,
+  startLat: t.start.lat,
+  startLng: t.start.lng,
+  endLat: t.end.lat,
+  endLng: t.end.lng
+});
+
+const fetchVehicleInfo = async (vehicleId) => {
+  const [rows] = await db.query(
+    `SELECT v.vehicleId, v.displayDeviceId, v.registrationNo, v.chassis_no,
+            c.customerName, d.dealerName
+     FROM vehicles v
+     LEFT JOIN customers c ON c.id = v.customerId
+     LEFT JOIN dealers d ON d.id = v.dealerId
+     WHERE v.vehicleId = ?`,
+    [vehicleId]
+  );
+  return rows[0] || { vehicleId };
+};
+
+// Printable one-vehicle summary: headline figures for the range plus its trips
+const sendVehicleSummaryPdf = async (res, { vehicleId, from, to }) => {
+  const vehicle = await fetchVehicleInfo(vehicleId);
+
+  // Headline figures also cover ranges only the rollups still hold
+  const segments = await rawdataSegments(vehicleId, from, to);
+  const { query, params } = rawdataQuery(vehicleId, segments, {
+    columns: ['Odometer', 'Speed', 'StateofCharge', 'BattTemp', 'ControllerTemperature'],
+    from,
+    to
+  });
+
+  const [[stats]] = await db.query(
+    `SELECT COUNT(*) AS packets,
+            MIN(NULLIF(Odometer, 0)) AS startOdometer, MAX(Odometer) AS endOdometer,
+            MAX(Speed) AS maxSpeed,
+            MIN(StateofCharge) AS minSoc, MAX(StateofCharge) AS maxSoc,
+            MAX(BattTemp) AS maxBattTemp, MAX(ControllerTemperature) AS maxControllerTemp
+     FROM (${query}) u`,
+    params
+  );
+
+  // Trips are only listed when the whole range is still raw
+  const tripsError = await rawOnlyRangeError(vehicleId, segments, from, to);
+  let trips = [];
+
+  if (!tripsError) {
+    const [rows] = await db.query(
+      `SELECT DeviceDate, Latitude, Longitude, KeyOnSignal, Speed, Odometer, StateofCharge
+       FROM vehicle_rawdata
+       WHERE HWID = ? AND DeviceDate BETWEEN ? AND ?
+       ORDER BY DeviceDate ASC`,
+      [vehicleId, from, to]
+    );
+    trips = detectTrips(rows);
+  }
+
+  const distance = stats.startOdometer !== null && stats.endOdometer !== null
+    ? Number(stats.endOdometer) - Number(stats.startOdometer)
+    : null;
+  const show = (val, unit = '') => (val === null || val === undefined ? '—' : `${round(Number(val), 1)}${unit}`);
+
+  res.setHeader('Content-Type', EXPORT_MIME_TYPES.pdf);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(`summary_${vehicleId}`, 'pdf')}"`);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(res);
+
+  doc.fontSize(18).text('Vehicle Summary Report');
+  doc.moveDown(0.3).fontSize(10).fillColor('#555')
+    .text(`Period: ${formatDateTime(from)}  to  ${formatDateTime(to)}`)
+    .text(`Generated: ${formatDateTime(new Date())}`);
+
+  doc.moveDown().fillColor('#000').fontSize(12).text('Vehicle', { underline: true });
+  doc.fontSize(10)
+    .text(`Hardware ID: ${vehicle.vehicleId}`)
+    .text(`Device ID: ${vehicle.displayDeviceId || '—'}`)
+    .text(`Registration No: ${vehicle.registrationNo || '—'}`)
+    .text(`Chassis No: ${vehicle.chassis_no || '—'}`)
+    .text(`Customer: ${vehicle.customerName || '—'}`)
+    .text(`Dealer: ${vehicle.dealerName || '—'}`);
+
+  doc.moveDown().fontSize(12).text('Summary', { underline: true });
+  doc.fontSize(10)
+    .text(`Data packets: ${stats.packets}`)
+    .text(`Data resolution: ${segments.map(s => s.resolution).join(', ')}`)
+    .text(`Distance (odometer): ${show(distance, ' km')}`)
+    .text(`Trips: ${tripsError ? '—' : trips.length}`)
+    .text(`Max speed: ${show(stats.maxSpeed, ' km/h')}`)
+    .text(`State of charge: ${show(stats.minSoc, '%')} – ${show(stats.maxSoc, '%')}`)
+    .text(`Max battery temperature: ${show(stats.maxBattTemp, ' °C')}`)
+    .text(`Max controller temperature: ${show(stats.maxControllerTemp, ' °C')}`);
+
+  doc.moveDown().fontSize(12).text('Trips', { underline: true });
+  doc.moveDown(0.3).fontSize(9);
+
+  const cols = [
+    { label: 'Start', x: 40, value: t => formatDateTime(t.startTime) },
+    { label: 'End', x: 150, value: t => formatDateTime(t.endTime) },
+    { label: 'Min', x: 260, value: t => show(t.durationMin) },
+    { label: 'Km', x: 310, value: t => show(t.distanceKm) },
+    { label: 'Max km/h', x: 360, value: t => show(t.maxSpeed) },
+    { label: 'Avg km/h', x: 420, value: t => show(t.avgSpeed) },
+    { label: 'SoC used', x: 480, value: t => show(t.socConsumed, '%') }
+  ];
+
+  const printRow = (values, bold = false) => {
+    if (doc.y > doc.page.height - 60) doc.addPage();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    values.forEach((val, i) => doc.text(val, cols[i].x, y, { lineBreak: false }));
+    doc.moveDown(0.4);
+    doc.x = 40;
+  };
+
+  if (tripsError) {
+    doc.text(`${tripsError}.`);
+  } else if (!trips.length) {
+    doc.text('No trips in this period.');
+  } else {
+    printRow(cols.map(c => c.label), true);
+    trips.forEach(t => printRow(cols.map(c => c.value(t))));
+  }
+
+  doc.end();
+};
+
+/* ---------------- ANALYTICS ROLLUPS ---------------- */
+defineTable(`
+  CREATE TABLE IF NOT EXISTS vehicle_daily_stats (
+    vehicleId VARCHAR(64) NOT NULL,
+    day DATE NOT NULL,
+    samples INT NOT NULL DEFAULT 0,
+    kmDriven DOUBLE NULL,
+    runningMin DOUBLE NOT NULL DEFAULT 0,
+    idleMin DOUBLE NOT NULL DEFAULT 0,
+    chargingMin DOUBLE NOT NULL DEFAULT 0,
+    onlineMin DOUBLE NOT NULL DEFAULT 0,
+    offMin DOUBLE NOT NULL DEFAULT 0,
+    offlineMin DOUBLE NOT NULL DEFAULT 0,
+    socConsumed DOUBLE NOT NULL DEFAULT 0,
+    chargeSessions INT NOT NULL DEFAULT 0,
+    maxBattTemp DOUBLE NULL,
+    maxControllerTemp DOUBLE NULL,
+    avgRssi DOUBLE NULL,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (vehicleId, day),
+    INDEX idx_vehicle_daily_stats_day (day)
+  )
+`);
+
+// Days whose rollup ran after the day ended, so they never need recomputing
+defineTable(`
+  CREATE TABLE IF NOT EXISTS analytics_rollup_days (
+    day DATE PRIMARY KEY,
+    vehicles INT NOT NULL,
+    completedAt DATETIME NOT NULL
+  )
+`);
+
+const ROLLUP_INTERVAL_MS = 60 * 60000;
+const ROLLUP_CATCHUP_DAYS = 7;
+const ANALYTICS_MAX_RANGE_DAYS = 366;
+
+const STATUS_MINUTE_FIELDS = {
+  Running: 'runningMin',
+  Idle: 'idleMin',
+  Charging: 'chargingMin',
+  Online: 'onlineMin',
+  Off: 'offMin'
+};
+
+const isChargingPacket = (r) => Number(r.BatteryChargingIndication1) > 0;
+
+const toDayString = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+const startOfDay = (day) => new Date(`${day}T00:00:00`);
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// Each packet's status (the vehicle's status rule, evaluated at the packet time) holds
+// until the next packet; gaps beyond the rule's offline threshold count as offline
+const summarizeVehicleDay = (rows, dayStart, dayEnd, rule = DEFAULT_STATUS_RULE) => {
+  const summary = {
+    samples: rows.length,
+    kmDriven: null,
+    runningMin: 0,
+    idleMin: 0,
+    chargingMin: 0,
+    onlineMin: 0,
+    offMin: 0,
+    offlineMin: 0,
+    socConsumed: 0,
+    chargeSessions: 0,
+    maxBattTemp: null,
+    maxControllerTemp: null,
+    avgRssi: null
+  };
+
+  const end = Math.min(dayEnd.getTime(), Date.now());
+  let firstOdo = null;
+  let lastOdo = null;
+  let rssiSum = 0;
+  let rssiCount = 0;
+  let prev = null;
+
+  const maxOf = (current, val) => (val === null ? current : current === null ? val : Math.max(current, val));
+
+  rows.forEach((r, i) => {
+    const time = new Date(r.DeviceDate).getTime();
+    if (isNaN(time)) return;
+
+    if (!prev) summary.offlineMin += Math.max(0, (time - dayStart.getTime()) / 60000);
+
+    const nextTime = i + 1 < rows.length ? new Date(rows[i + 1].DeviceDate).getTime() : end;
+    const gapMin = Math.max(0, (nextTime - time) / 60000);
+    const reportedMin = Math.min(gapMin, rule.offlineMinutes);
+
+    const field = STATUS_MINUTE_FIELDS[deriveVehicleStatus(r, time, rule)];
+    if (field) summary[field] += reportedMin;
+    summary.offlineMin += gapMin - reportedMin;
+
+    const odo = toNumberOrNull(r.Odometer);
+    if (odo) {
+      if (firstOdo === null) firstOdo = odo;
+      lastOdo = odo;
+    }
+
+    const charging = isChargingPacket(r);
+    if (charging && !(prev && isChargingPacket(prev))) summary.chargeSessions++;
+
+    const soc = toNumberOrNull(r.StateofCharge);
+    const prevSoc = prev ? toNumberOrNull(prev.StateofCharge) : null;
+    if (!charging && soc !== null && prevSoc !== null && soc < prevSoc) summary.socConsumed += prevSoc - soc;
+
+    summary.maxBattTemp = maxOf(summary.maxBattTemp, toNumberOrNull(r.BattTemp));
+    summary.maxControllerTemp = maxOf(summary.maxControllerTemp, toNumberOrNull(r.ControllerTemperature));
+
+    const rssi = toNumberOrNull(r.RSSI);
+    if (rssi !== null) {
+      rssiSum += rssi;
+      rssiCount++;
+    }
+
+    prev = r;
+  });
+
+  if (firstOdo !== null && lastOdo >= firstOdo) summary.kmDriven = round(lastOdo - firstOdo);
+  if (rssiCount) summary.avgRssi = round(rssiSum / rssiCount, 1);
+
+  for (const key of ['runningMin', 'idleMin', 'chargingMin', 'onlineMin', 'offMin', 'offlineMin', 'socConsumed'])
+    summary[key] = round(summary[key], 1);
+
+  return summary;
+};
+
+const rollupDay = async (day) => {
+  const dayStart = startOfDay(day);
+  const dayEnd = addDays(dayStart, 1);
+
+  const [vehicles] = await db.query(
+    `SELECT DISTINCT HWID FROM vehicle_rawdata WHERE DeviceDate >= ? AND DeviceDate < ?`,
+    [dayStart, dayEnd]
+  );
+
+  const statusRules = await loadStatusRules();
+  const owners = await loadVehicleOwners(vehicles.map(v => v.HWID));
+
+  // One vehicle at a time keeps memory bounded on large fleets
+  for (const { HWID } of vehicles) {
+    const [rows] = await db.query(
+      `SELECT DeviceDate, MachineStatus, BatteryChargingIndication1, Speed, KeyOnSignal,
+              Odometer, StateofCharge, BattTemp, ControllerTemperature, RSSI
+       FROM vehicle_rawdata
+       WHERE HWID = ? AND DeviceDate >= ? AND DeviceDate < ?
+       ORDER BY DeviceDate ASC`,
+      [HWID, dayStart, dayEnd]
+    );
+
+    const owner = owners.get(String(HWID));
+    const s = summarizeVehicleDay(rows, dayStart, dayEnd, statusRuleFor(statusRules, owner?.modelNumber, owner));
+
+    await db.query(
+      `INSERT INTO vehicle_daily_stats
+        (vehicleId, day, samples, kmDriven, runningMin, idleMin, chargingMin, onlineMin, offMin,
+         offlineMin, socConsumed, chargeSessions, maxBattTemp, maxControllerTemp, avgRssi)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         samples = VALUES(samples), kmDriven = VALUES(kmDriven),
+         runningMin = VALUES(runningMin), idleMin = VALUES(idleMin),
+         chargingMin = VALUES(chargingMin), onlineMin = VALUES(onlineMin),
+         offMin = VALUES(offMin), offlineMin = VALUES(offlineMin),
+         socConsumed = VALUES(socConsumed), chargeSessions = VALUES(chargeSessions),
+         maxBattTemp = VALUES(maxBattTemp), maxControllerTemp = VALUES(maxControllerTemp),
+         avgRssi = VALUES(avgRssi)`,
+      [
+        HWID, day, s.samples, s.kmDriven, s.runningMin, s.idleMin, s.chargingMin, s.onlineMin,
+        s.offMin, s.offlineMin, s.socConsumed, s.chargeSessions, s.maxBattTemp,
+        s.maxControllerTemp, s.avgRssi
+      ]
+    );
+  }
+
+  if (dayEnd <= new Date()) {
+    await db.query(
+      `INSERT INTO analytics_rollup_days (day, vehicles, completedAt) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE vehicles = VALUES(vehicles), completedAt = VALUES(completedAt)`,
+      [day, vehicles.length, new Date()]
+    );
+  }
+
+  return vehicles.length;
+};
+
+let isRollupRunning = false;
+
+// Refreshes today and finishes any recent day not rolled up after it ended
+const runDailyRollup = async () => {
+  if (isRollupRunning) return;
+
+  try {
+    isRollupRunning = true;
+
+    const today = toDayString(new Date());
+    const since = toDayString(addDays(startOfDay(today), -ROLLUP_CATCHUP_DAYS));
+
+    const [done] = await db.query(
+      `SELECT DATE_FORMAT(day, '%Y-%m-%d') AS day FROM analytics_rollup_days WHERE day >= ?`,
+      [since]
+    );
+    const completed = new Set(done.map(d => d.day));
+
+    for (let i = ROLLUP_CATCHUP_DAYS; i >= 1; i--) {
+      const day = toDayString(addDays(startOfDay(today), -i));
+      if (completed.has(day)) continue;
+
+      const count = await rollupDay(day);
+      console.log(`📊 Daily rollup for ${day}: ${count} vehicles`);
+    }
+
+    await rollupDay(today);
+
+  } catch (e) {
+    console.error('❌ Daily rollup failed:', e.message);
+  } finally {
+    isRollupRunning = false;
+  }
+};
+
+setInterval(runDailyRollup, ROLLUP_INTERVAL_MS);
+
+const ANALYTICS_PERIODS = {
+  day: `DATE_FORMAT(s.day, '%Y-%m-%d')`,
+  week: `DATE_FORMAT(DATE_SUB(s.day, INTERVAL WEEKDAY(s.day) DAY), '%Y-%m-%d')`,
+  month: `DATE_FORMAT(s.day, '%Y-%m')`
+};
+
+const ANALYTICS_AGGREGATES = `
+  COUNT(DISTINCT s.vehicleId) AS vehicles,
+  ROUND(SUM(s.kmDriven), 2) AS kmDriven,
+  ROUND(SUM(s.runningMin), 1) AS runningMin,
+  ROUND(SUM(s.idleMin), 1) AS idleMin,
+  ROUND(SUM(s.chargingMin), 1) AS chargingMin,
+  ROUND(SUM(s.onlineMin), 1) AS onlineMin,
+  ROUND(SUM(s.offMin), 1) AS offMin,
+  ROUND(SUM(s.offlineMin), 1) AS offlineMin,
+  ROUND(SUM(s.socConsumed), 1) AS socConsumed,
+  SUM(s.chargeSessions) AS chargeSessions,
+  MAX(s.maxBattTemp) AS maxBattTemp,
+  MAX(s.maxControllerTemp) AS maxControllerTemp,
+  ROUND(SUM(s.avgRssi * s.samples) / NULLIF(SUM(CASE WHEN s.avgRssi IS NULL THEN 0 ELSE s.samples END), 0), 1) AS avgRssi
+`;
+
+// Defaults to the last 30 days grouped by day
+const parseAnalyticsQuery = (query) => {
+  const groupBy = query.groupBy || 'day';
+  if (!ANALYTICS_PERIODS[groupBy])
+    return { error: "groupBy must be 'day', 'week' or 'month'" };
+
+  const to = query.to ? startOfDay(String(query.to).slice(0, 10)) : startOfDay(toDayString(new Date()));
+  const from = query.from ? startOfDay(String(query.from).slice(0, 10)) : addDays(to, -29);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to)
+    return { error: 'Invalid date range' };
+
+  if (to - from > ANALYTICS_MAX_RANGE_DAYS * 86400000)
+    return { error: `Date range cannot exceed ${ANALYTICS_MAX_RANGE_DAYS} days` };
+
+  return { groupBy, from: toDayString(from), to: toDayString(to) };
+};
+
+app.get('/api/analytics/fleet', requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const { groupBy, from, to, error } = parseAnalyticsQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    let query = `
+      SELECT ${ANALYTICS_PERIODS[groupBy]} AS period, ${ANALYTICS_AGGREGATES}
+      FROM vehicle_daily_stats s
+      JOIN vehicles v ON v.vehicleId = s.vehicleId
+      WHERE s.day BETWEEN ? AND ?
+    `;
+    const params = [from, to];
+
+    // Days the caller owned the vehicle for (a transfer day counts for both owners)
+    const scope = ownedAtFilter(req.user, 's.vehicleId', 's.day', 's.day + INTERVAL 1 DAY');
+    if (scope) {
+      query += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
+    query += ` GROUP BY period ORDER BY period ASC`;
+
+    const [rows] = await db.query(query, params);
+    res.json({ groupBy, from, to, periods: rows });
+
+  } catch (e) {
+    console.error('Fleet analytics error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch fleet analytics' });
+  }
+});
+
+app.get('/api/analytics/vehicles/:id', requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const window = await vehicleAccessWindow(req.user, id);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    const parsed = parseAnalyticsQuery(req.query);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const { groupBy } = parsed;
+    const clipped = clipToWindow(window, parsed.from, parsed.to);
+    const from = clipped.from instanceof Date ? toDayString(clipped.from) : clipped.from;
+    const to = clipped.to instanceof Date ? toDayString(clipped.to) : clipped.to;
+
+    const [rows] = await db.query(
+      `SELECT ${ANALYTICS_PERIODS[groupBy]} AS period, ${ANALYTICS_AGGREGATES}
+       FROM vehicle_daily_stats s
+       WHERE s.vehicleId = ? AND s.day BETWEEN ? AND ?
+       GROUP BY period
+       ORDER BY period ASC`,
+      [id, from, to]
+    );
+
+    res.json({ vehicleId: id, groupBy, from, to, periods: rows });
+
+  } catch (e) {
+    console.error('Vehicle analytics error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch vehicle analytics' });
+  }
+});
+
+// Recomputes a range, e.g. after a history backfill
+let lastRollupBackfill = null;
+
+// Rebuilds the rollups of [from, to] day by day, e.g. after importing history
+const runRollupBackfill = async (from, to) => {
+  if (isRollupRunning) return null;
+
+  const run = { from, to, startedAt: new Date(), vehicleDays: 0, error: null };
+
+  try {
+    isRollupRunning = true;
+
+    for (let d = startOfDay(from); d <= startOfDay(to); d = addDays(d, 1))
+      run.vehicleDays += await rollupDay(toDayString(d));
+
+    console.log(`📊 Rollup backfill ${from} → ${to}: ${run.vehicleDays} vehicle days`);
+
+  } catch (e) {
+    run.error = e.message;
+    console.error('❌ Rollup backfill failed:', e.message);
+  } finally {
+    run.finishedAt = new Date();
+    lastRollupBackfill = run;
+    isRollupRunning = false;
+  }
+
+  return run;
+};
+
+app.get('/api/analytics/rollup', requirePermission('analytics:manage'), (req, res) => {
+  res.json({ running: isRollupRunning, lastBackfill: lastRollupBackfill });
+});
+
+app.post('/api/analytics/rollup', requirePermission('analytics:manage'), async (req, res) => {
+  const { from, to, error } = parseAnalyticsQuery({ from: req.body.from, to: req.body.to });
+  if (error) return res.status(400).json({ error });
+
+  if (isRollupRunning) return res.status(409).json({ error: 'Rollup already running' });
+
+  // Up to a year of days; the result shows up in GET /api/analytics/rollup
+  runRollupBackfill(from, to);
+  res.status(202).json({ success: true, from, to });
+});
+
+/* ---------------- CHARGING SESSIONS & BATTERY HEALTH ---------------- */
+defineTable(`
+  CREATE TABLE IF NOT EXISTS charging_sessions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    vehicleId VARCHAR(64) NOT NULL,
+    status ENUM('active', 'completed') NOT NULL DEFAULT 'active',
+    startTime DATETIME NOT NULL,
+    endTime DATETIME NOT NULL,
+    durationMin DOUBLE NOT NULL DEFAULT 0,
+    startSoc DOUBLE NULL,
+    endSoc DOUBLE NULL,
+    socGained DOUBLE NULL,
+    chargeRate DOUBLE NULL,
+    startVoltage DOUBLE NULL,
+    endVoltage DOUBLE NULL,
+    peakBattTemp DOUBLE NULL,
+    abnormalTemp TINYINT(1) NOT NULL DEFAULT 0,
+    startTimeToCharge DOUBLE NULL,
+    startRange DOUBLE NULL,
+    endRange DOUBLE NULL,
+    lat DOUBLE NULL,
+    lng DOUBLE NULL,
+    samples INT NOT NULL DEFAULT 0,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_charging_sessions_start (vehicleId, startTime),
+    INDEX idx_charging_sessions_status (status)
+  )
+`);
+
+// How far each vehicle's vehicle_rawdata has been scanned for sessions
+defineTable(`
+  CREATE TABLE IF NOT EXISTS charging_scan_state (
+    vehicleId VARCHAR(64) PRIMARY KEY,
+    lastDeviceDate DATETIME NOT NULL
+  )
+`);
+
+const CHARGING_SCAN_INTERVAL_MS = 10 * 60000;
+const CHARGING_INITIAL_LOOKBACK_DAYS = 30;
+const CHARGING_GAP_MINUTES = 15;         // charging packets further apart start a new session
+const CHARGING_MIN_DURATION_MINUTES = 2;
+const CHARGING_SCAN_BATCH = 20000;
+const CHARGE_TEMP_LIMIT = Number(process.env.CHARGE_TEMP_LIMIT) || 45;
+
+const openChargingSession = (r) => {
+  const lat = toNumberOrNull(r.Latitude);
+  const lng = toNumberOrNull(r.Longitude);
+
+  return {
+    status: 'active',
+    startTime: new Date(r.DeviceDate),
+    endTime: new Date(r.DeviceDate),
+    startSoc: toNumberOrNull(r.StateofCharge),
+    endSoc: toNumberOrNull(r.StateofCharge),
+    startVoltage: toNumberOrNull(r.BatteryVoltage),
+    endVoltage: toNumberOrNull(r.BatteryVoltage),
+    peakBattTemp: toNumberOrNull(r.BattTemp),
+    startTimeToCharge: toNumberOrNull(r.TimetoCharge),
+    startRange: toNumberOrNull(r.DistancetoEmpty1),
+    endRange: toNumberOrNull(r.DistancetoEmpty1),
+    lat: isValidCoordinate(lat, lng) ? lat : null,
+    lng: isValidCoordinate(lat, lng) ? lng : null,
+    samples: 0
+  };
+};
+
+const extendChargingSession = (session, r) => {
+  const temp = toNumberOrNull(r.BattTemp);
+  const lat = toNumberOrNull(r.Latitude);
+  const lng = toNumberOrNull(r.Longitude);
+
+  session.endTime = new Date(r.DeviceDate);
+  session.endSoc = toNumberOrNull(r.StateofCharge) ?? session.endSoc;
+  session.endVoltage = toNumberOrNull(r.BatteryVoltage) ?? session.endVoltage;
+  session.endRange = toNumberOrNull(r.DistancetoEmpty1) ?? session.endRange;
+  if (temp !== null) session.peakBattTemp = Math.max(session.peakBattTemp ?? temp, temp);
+  if (session.lat === null && isValidCoordinate(lat, lng)) Object.assign(session, { lat, lng });
+  session.samples++;
+};
+
+const chargingSessionRow = (vehicleId, s) => {
+  const durationMin = (s.endTime - s.startTime) / 60000;
+  const socGained = s.startSoc !== null && s.endSoc !== null ? s.endSoc - s.startSoc : null;
+
+  return [
+    vehicleId,
+    s.status,
+    s.startTime,
+    s.endTime,
+    round(durationMin, 1),
+    s.startSoc,
+    s.endSoc,
+    round(socGained, 1),
+    socGained !== null && durationMin > 0 ? round(socGained / (durationMin / 60), 1) : null,
+    s.startVoltage,
+    s.endVoltage,
+    s.peakBattTemp,
+    s.peakBattTemp !== null && s.peakBattTemp > CHARGE_TEMP_LIMIT ? 1 : 0,
+    s.startTimeToCharge,
+    s.startRange,
+    s.endRange,
+    s.lat,
+    s.lng,
+    s.samples
+  ];
+};
+
+const isNoiseSession = (s) =>
+  (s.endTime - s.startTime) / 60000 < CHARGING_MIN_DURATION_MINUTES &&
+  !(s.endSoc - s.startSoc >= 1);
+
+// Continues from the scan cursor so each packet is looked at once; a session still
+// charging at the end of the batch is stored as active and picked up next run
+const scanChargingSessions = async (vehicleId, since) => {
+  const [openRows] = await db.query(
+    `SELECT * FROM charging_sessions WHERE vehicleId = ? AND status = 'active'`,
+    [vehicleId]
+  );
+  let session = openRows[0] ? { ...openRows[0] } : null;
+  if (session) session.samples = Number(session.samples) || 0;
+
+  const [rows] = await db.query(
+    `SELECT DeviceDate, StateofCharge, BatteryVoltage, BattTemp, TimetoCharge,
+            DistancetoEmpty1, BatteryChargingIndication1, Latitude, Longitude
+     FROM vehicle_rawdata
+     WHERE HWID = ? AND DeviceDate > ?
+     ORDER BY DeviceDate ASC
+     LIMIT ${CHARGING_SCAN_BATCH}`,
+    [vehicleId, since]
+  );
+
+  const touched = [];
+  const discarded = [];
+
+  const close = () => {
+    session.status = 'completed';
+    (isNoiseSession(session) ? discarded : touched).push(session);
+    session = null;
+  };
+
+  for (const r of rows) {
+    const time = new Date(r.DeviceDate);
+    if (isNaN(time.getTime())) continue;
+
+    if (session && (time - new Date(session.endTime)) / 60000 > CHARGING_GAP_MINUTES) close();
+
+    if (isChargingPacket(r)) {
+      if (!session) session = openChargingSession(r);
+      extendChargingSession(session, r);
+    } else if (session) {
+      close();
+    }
+  }
+
+  // Packets stopped arriving mid-charge (vehicle unplugged and went offline)
+  const reachedLatest = rows.length < CHARGING_SCAN_BATCH;
+  if (session && reachedLatest && (Date.now() - new Date(session.endTime)) / 60000 > CHARGING_GAP_MINUTES) close();
+  if (session) touched.push(session);
+
+  for (const batch of chunk(touched.map(s => chargingSessionRow(vehicleId, s)), 500)) {
+    await db.query(
+      `INSERT INTO charging_sessions
+        (vehicleId, status, startTime, endTime, durationMin, startSoc, endSoc, socGained,
+         chargeRate, startVoltage, endVoltage, peakBattTemp, abnormalTemp, startTimeToCharge,
+         startRange, endRange, lat, lng, samples)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE
+         status = VALUES(status), endTime = VALUES(endTime), durationMin = VALUES(durationMin),
+         endSoc = VALUES(endSoc), socGained = VALUES(socGained), chargeRate = VALUES(chargeRate),
+         endVoltage = VALUES(endVoltage), peakBattTemp = VALUES(peakBattTemp),
+         abnormalTemp = VALUES(abnormalTemp), endRange = VALUES(endRange),
+         lat = VALUES(lat), lng = VALUES(lng), samples = VALUES(samples)`,
+      [batch]
+    );
+  }
+
+  // A previously stored active session can turn out to be noise once it closes
+  for (const s of discarded.filter(s => s.id)) {
+    await db.execute('DELETE FROM charging_sessions WHERE id = ?', [s.id]);
+  }
+
+  if (rows.length) {
+    await db.query(
+      `INSERT INTO charging_scan_state (vehicleId, lastDeviceDate) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE lastDeviceDate = VALUES(lastDeviceDate)`,
+      [vehicleId, rows[rows.length - 1].DeviceDate]
+    );
+  }
+
+  return touched.filter(s => s.status === 'completed').length;
+};
+
+let isChargingScanRunning = false;
+
+const runChargingScan = async () => {
+  if (isChargingScanRunning) return;
+
+  try {
+    isChargingScanRunning = true;
+
+    const [vehicles] = await db.query(
+      `SELECT c.vehicleId, s.lastDeviceDate
+       FROM vehicle_current c
+       LEFT JOIN charging_scan_state s ON s.vehicleId = c.vehicleId
+       WHERE s.lastDeviceDate IS NULL OR c.lastUpdate > s.lastDeviceDate`
+    );
+
+    const initialSince = addDays(new Date(), -CHARGING_INITIAL_LOOKBACK_DAYS);
+    let completed = 0;
+
+    for (const v of vehicles) {
+      completed += await scanChargingSessions(v.vehicleId, v.lastDeviceDate || initialSince);
+    }
+
+    if (completed) console.log(`🔌 Charging sessions completed: ${completed}`);
+
+  } catch (e) {
+    console.error('❌ Charging session scan failed:', e.message);
+  } finally {
+    isChargingScanRunning = false;
+  }
+};
+
+setInterval(runChargingScan, CHARGING_SCAN_INTERVAL_MS);
+
+app.get('/api/vehicles/:id/charging-sessions', requirePermission('telemetry:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    const window = await vehicleAccessWindow(req.user, id);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    const { from, to } = req.query.from && req.query.to
+      ? clipToWindow(window, req.query.from, req.query.to)
+      : window;
+
+    let query = `SELECT * FROM charging_sessions WHERE vehicleId = ?`;
+    const params = [id];
+
+    if (from) {
+      query += ` AND startTime >= ?`;
+      params.push(from);
+    }
+
+    if (to) {
+      query += ` AND startTime <= ?`;
+      params.push(to);
+    }
+
+    if (status) {
+      query += ` AND status = ?`;
+      params.push(status);
+    }
+
+    query += ` ORDER BY startTime DESC LIMIT 1000`;
+
+    const [rows] = await db.query(query, params);
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Charging sessions error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch charging sessions' });
+  }
+});
+
+const BATTERY_HEALTH_MAX_MONTHS = 24;
+const BATTERY_HEALTH_DEGRADATION_PCT = 10;   // drop vs. first month that gets flagged
+
+const percentChange = (from, to) =>
+  from && to !== null && to !== undefined ? round(((to - from) / from) * 100, 1) : null;
+
+// Monthly trend of charge rate, hot charges and estimated vs. driven range per % SoC
+app.get('/api/vehicles/:id/battery-health', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const window = await vehicleAccessWindow(req.user, id);
+    if (!window) return res.status(403).json({ error: 'Access denied' });
+
+    const months = Math.min(Math.max(Number(req.query.months) || 6, 1), BATTERY_HEALTH_MAX_MONTHS);
+    const now = new Date();
+    const since = new Date(now.getFullYear(), now.getMonth() - months + 1, 1);
+
+    // Months outside the caller's ownership stay empty
+    const { from, to: until } = clipToWindow(window, since, now);
+
+    const [charging] = await db.query(
+      `SELECT DATE_FORMAT(startTime, '%Y-%m') AS month,
+              COUNT(*) AS sessions,
+              ROUND(AVG(chargeRate), 1) AS avgChargeRate,
+              ROUND(AVG(durationMin), 1) AS avgDurationMin,
+              MAX(peakBattTemp) AS peakBattTemp,
+              SUM(abnormalTemp) AS abnormalTempSessions
+       FROM charging_sessions
+       WHERE vehicleId = ? AND status = 'completed' AND startTime BETWEEN ? AND ?
+       GROUP BY month`,
+      [id, from, until]
+    );
+
+    // Range the vehicle itself estimates per % SoC (low SoC readings are too coarse)
+    // Months past raw retention are read from the rollups
+    const segments = await rawdataSegments(id, from, until);
+    const { query, params } = rawdataQuery(id, segments, {
+      columns: ['DeviceDate', 'StateofCharge', 'DistancetoEmpty1'],
+      from,
+      to: until
+    });
+
+    const [estimated] = await db.query(
+      `SELECT DATE_FORMAT(DeviceDate, '%Y-%m') AS month,
+              ROUND(AVG(DistancetoEmpty1 / StateofCharge), 3) AS estimatedKmPerSoc
+       FROM (${query}) u
+       WHERE StateofCharge >= 20 AND DistancetoEmpty1 > 0
+       GROUP BY month`,
+      params
+    );
+
+    // What it actually drove per % SoC
+    const [driven] = await db.query(
+      `SELECT DATE_FORMAT(day, '%Y-%m') AS month,
+              ROUND(SUM(kmDriven) / NULLIF(SUM(socConsumed), 0), 3) AS actualKmPerSoc
+       FROM vehicle_daily_stats
+       WHERE vehicleId = ? AND day BETWEEN ? AND ?
+       GROUP BY month`,
+      [id, from, until]
+    );
+
+    const byMonth = new Map();
+    for (let i = 0; i < months; i++) {
+      const d = new Date(since.getFullYear(), since.getMonth() + i, 1);
+      const month = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}`;
+      byMonth.set(month, {
+        month,
+        sessions: 0,
+        avgChargeRate: null,
+        avgDurationMin: null,
+        peakBattTemp: null,
+        abnormalTempSessions: 0,
+        estimatedKmPerSoc: null,
+        actualKmPerSoc: null,
+        rangeDriftPct: null
+      });
+    }
+
+    charging.forEach(r => byMonth.has(r.month) && Object.assign(byMonth.get(r.month), {
+      sessions: Number(r.sessions),
+      avgChargeRate: r.avgChargeRate,
+      avgDurationMin: r.avgDurationMin,
+      peakBattTemp: r.peakBattTemp,
+      abnormalTempSessions: Number(r.abnormalTempSessions)
+    }));
+    estimated.forEach(r => byMonth.has(r.month) && (byMonth.get(r.month).estimatedKmPerSoc = Number(r.estimatedKmPerSoc)));
+    driven.forEach(r => byMonth.has(r.month) && (byMonth.get(r.month).actualKmPerSoc = toNumberOrNull(r.actualKmPerSoc)));
+
+    const trend = [...byMonth.values()];
+    trend.forEach(m => {
+      // Positive drift = the vehicle promises more range than it delivers
+      m.rangeDriftPct = m.actualKmPerSoc ? percentChange(m.actualKmPerSoc, m.estimatedKmPerSoc) : null;
+    });
+
+    const first = (key) => trend.find(m => m[key] !== null)?.[key] ?? null;
+    const last = (key) => [...trend].reverse().find(m => m[key] !== null)?.[key] ?? null;
+
+    const summary = {
+      chargeRateChangePct: percentChange(first('avgChargeRate'), last('avgChargeRate')),
+      actualRangeChangePct: percentChange(first('actualKmPerSoc'), last('actualKmPerSoc')),
+      latestRangeDriftPct: last('rangeDriftPct'),
+      abnormalTempSessions: trend.reduce((sum, m) => sum + m.abnormalTempSessions, 0)
+    };
+
+    const warnings = [];
+    if (summary.chargeRateChangePct !== null && summary.chargeRateChangePct <= -BATTERY_HEALTH_DEGRADATION_PCT)
+      warnings.push('Charge rate has dropped compared to the first month');
+    if (summary.actualRangeChangePct !== null && summary.actualRangeChangePct <= -BATTERY_HEALTH_DEGRADATION_PCT)
+      warnings.push('Driven range per % SoC has dropped compared to the first month');
+    if (summary.latestRangeDriftPct !== null && summary.latestRangeDriftPct >= BATTERY_HEALTH_DEGRADATION_PCT)
+      warnings.push('Estimated range overstates the range actually driven');
+    if (summary.abnormalTempSessions > 0)
+      warnings.push(`Battery exceeded ${CHARGE_TEMP_LIMIT} °C while charging`);
+
+    res.json({ vehicleId: id, months, summary, warnings, trend });
+
+  } catch (e) {
+    console.error('Battery health error:', e.message);
+    res.status(500).json({ error: 'Failed to compute battery health' });
+  }
+});
+
+/* ---------------- RETENTION & DOWNSAMPLING ---------------- */
+// vehicle_rawdata keeps full resolution for RAWDATA_RETENTION_DAYS. Older days are
+// condensed into 5-minute and hourly buckets, then deleted per vehicle and day in one
+// transaction, so an interrupted run never loses data. The rollups are purged after
+// their own retention (0 keeps them forever). Purging by day through the DeviceDate
+// index is used instead of range partitioning, which would need DeviceDate in every
+// unique key of the base table.
+const RAWDATA_RETENTION_DAYS = Number(process.env.RAWDATA_RETENTION_DAYS ?? 180);
+const ROLLUP_5M_RETENTION_DAYS = Number(process.env.ROLLUP_5M_RETENTION_DAYS ?? 730);
+const ROLLUP_1H_RETENTION_DAYS = Number(process.env.ROLLUP_1H_RETENTION_DAYS ?? 0);
+
+// Trips, daily rollups and charging scans read recent raw data
+const RAWDATA_MIN_RETENTION_DAYS = 14;
+
+const RETENTION_INTERVAL_MS = 60 * 60000;
+const RETENTION_MAX_VEHICLE_DAYS = 2000;     // per run, to keep each run short
+const RETENTION_PURGE_BATCH = 10000;
+
+// How each field is condensed into a bucket
+const DOWNSAMPLE_FIELDS = {
+  ModelNumber: 'last',
+  Latitude: 'last',
+  Longitude: 'last',
+  StateofCharge: 'last',
+  TimetoCharge: 'last',
+  DistancetoEmpty1: 'last',
+  KeyOnSignal: 'max',
+  BattTemp: 'max',
+  BatteryVoltage: 'avg',
+  BatteryChargingIndication1: 'max',
+  Odometer: 'max',
+  Speed: 'avg',
+  RSSI: 'avg',
+  MachineStatus: 'last',
+  Immobilization_status: 'last',
+  ControllerTemperature: 'max'
+};
+
+const DOWNSAMPLE_TEXT_FIELDS = ['ModelNumber', 'MachineStatus', 'Immobilization_status'];
+
+const DOWNSAMPLE_RESOLUTIONS = {
+  '5m': { table: 'vehicle_rawdata_5m', minutes: 5, retentionDays: ROLLUP_5M_RETENTION_DAYS },
+  '1h': { table: 'vehicle_rawdata_1h', minutes: 60, retentionDays: ROLLUP_1H_RETENTION_DAYS }
+};
+
+for (const { table } of Object.values(DOWNSAMPLE_RESOLUTIONS)) {
+  defineTable(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      HWID VARCHAR(64) NOT NULL,
+      DeviceDate DATETIME NOT NULL,
+      samples INT NOT NULL,
+      lastAt DATETIME NOT NULL,
+      maxSpeed DOUBLE NULL,
+      ${Object.keys(DOWNSAMPLE_FIELDS)
+        .map(f => `${f} ${DOWNSAMPLE_TEXT_FIELDS.includes(f) ? 'VARCHAR(50)' : 'DOUBLE'} NULL`)
+        .join(',\n      ')},
+      PRIMARY KEY (HWID, DeviceDate),
+      INDEX idx_${table}_date (DeviceDate)
+    )
+  `);
+}
+
+defineIndex('vehicle_rawdata', 'idx_rawdata_devicedate', 'INDEX idx_rawdata_devicedate (DeviceDate)');
+
+// Buckets start on local clock boundaries (minutes must divide an hour)
+const bucketStart = (time, minutes) => new Date(
+  time.getFullYear(), time.getMonth(), time.getDate(),
+  time.getHours(), Math.floor(time.getMinutes() / minutes) * minutes
+);
+
+// Ascending raw rows -> one row per bucket
+const downsampleRows = (vehicleId, rows, minutes) => {
+  const buckets = new Map();
+
+  for (const r of rows) {
+    const time = new Date(r.DeviceDate);
+    if (isNaN(time.getTime())) continue;
+
+    const start = bucketStart(time, minutes);
+    let b = buckets.get(start.getTime());
+    if (!b) {
+      b = { start, samples: 0, lastAt: time, maxSpeed: null, values: {}, sums: {}, counts: {} };
+      buckets.set(start.getTime(), b);
+    }
+
+    b.samples++;
+    b.lastAt = time;
+
+    const lat = toNumberOrNull(r.Latitude);
+    const lng = toNumberOrNull(r.Longitude);
+    const validPosition = isValidCoordinate(lat, lng);
+
+    for (const [field, mode] of Object.entries(DOWNSAMPLE_FIELDS)) {
+      const raw = r[field];
+      if (raw === null || raw === undefined || raw === '') continue;
+
+      if (field === 'Latitude' || field === 'Longitude') {
+        if (validPosition) b.values[field] = field === 'Latitude' ? lat : lng;
+        continue;
+      }
+
+      if (mode === 'last') {
+        b.values[field] = DOWNSAMPLE_TEXT_FIELDS.includes(field) ? String(raw) : toNumberOrNull(raw);
+        continue;
+      }
+
+      const n = toNumberOrNull(raw);
+      if (n === null) continue;
+
+      if (mode === 'max') {
+        b.values[field] = b.values[field] === undefined ? n : Math.max(b.values[field], n);
+      } else {
+        b.sums[field] = (b.sums[field] || 0) + n;
+        b.counts[field] = (b.counts[field] || 0) + 1;
+      }
+    }
+
+    const speed = toNumberOrNull(r.Speed);
+    if (speed !== null) b.maxSpeed = b.maxSpeed === null ? speed : Math.max(b.maxSpeed, speed);
+  }
+
+  return [...buckets.values()].map(b => [
+    vehicleId,
+    b.start,
+    b.samples,
+    b.lastAt,
+    b.maxSpeed,
+    ...Object.entries(DOWNSAMPLE_FIELDS).map(([field, mode]) =>
+      mode === 'avg'
+        ? (b.counts[field] ? round(b.sums[field] / b.counts[field], 3) : null)
+        : (b.values[field] ?? null))
+  ]);
+};
+
+// Late (backfilled) packets merge into existing buckets instead of replacing them.
+// MySQL applies the assignments in order, so samples and lastAt are updated last.
+const downsampleUpsert = (table) => {
+  const fields = Object.keys(DOWNSAMPLE_FIELDS);
+
+  const merge = fields.map(f => {
+    switch (DOWNSAMPLE_FIELDS[f]) {
+      case 'avg':
+        return `${f} = CASE WHEN ${f} IS NULL THEN VALUES(${f}) WHEN VALUES(${f}) IS NULL THEN ${f}
+          ELSE (${f} * samples + VALUES(${f}) * VALUES(samples)) / (samples + VALUES(samples)) END`;
+      case 'max':
+        return `${f} = GREATEST(COALESCE(${f}, VALUES(${f})), COALESCE(VALUES(${f}), ${f}))`;
+      default:
+        return `${f} = IF(VALUES(${f}) IS NOT NULL AND (${f} IS NULL OR VALUES(lastAt) > lastAt), VALUES(${f}), ${f})`;
+    }
+  });
+
+  return `
+    INSERT INTO ${table} (HWID, DeviceDate, samples, lastAt, maxSpeed, ${fields.join(', ')})
+    VALUES ?
+    ON DUPLICATE KEY UPDATE
+      ${merge.join(',\n      ')},
+      maxSpeed = GREATEST(COALESCE(maxSpeed, VALUES(maxSpeed)), COALESCE(VALUES(maxSpeed), maxSpeed)),
+      samples = samples + VALUES(samples),
+      lastAt = GREATEST(lastAt, VALUES(lastAt))
+  `;
+};
+
+const retentionCutoff = (days, now = new Date()) =>
+  days > 0 ? startOfDay(toDayString(addDays(now, -days))) : null;
+
+// Rolls one vehicle-day into the rollups that still keep it, then deletes its raw rows
+const downsampleVehicleDay = async (vehicleId, dayStart, dayEnd, now) => {
+  const conn = await db.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT ${TELEMETRY_FIELDS.join(', ')}
+       FROM vehicle_rawdata
+       WHERE HWID = ? AND DeviceDate >= ? AND DeviceDate < ?
+       ORDER BY DeviceDate ASC
+       FOR UPDATE`,
+      [vehicleId, dayStart, dayEnd]
+    );
+
+    for (const { table, minutes, retentionDays } of Object.values(DOWNSAMPLE_RESOLUTIONS)) {
+      const cutoff = retentionCutoff(retentionDays, now);
+      if (cutoff && dayEnd <= cutoff) continue;
+
+      for (const batch of chunk(downsampleRows(vehicleId, rows, minutes), 1000))
+        await conn.query(downsampleUpsert(table), [batch]);
+    }
+
+    await conn.query(
+      'DELETE FROM vehicle_rawdata WHERE HWID = ? AND DeviceDate >= ? AND DeviceDate < ?',
+      [vehicleId, dayStart, dayEnd]
+    );
+
+    await conn.commit();
+    return rows.length;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+};
+
+const purgeBefore = async (table, cutoff) => {
+  let deleted = 0;
+
+  for (;;) {
+    const [result] = await db.query(
+      `DELETE FROM ${table} WHERE DeviceDate < ? LIMIT ${RETENTION_PURGE_BATCH}`,
+      [cutoff]
+    );
+    deleted += result.affectedRows;
+    if (result.affectedRows < RETENTION_PURGE_BATCH) return deleted;
+  }
+};
+
+let isRetentionRunning = false;
+let lastRetentionRun = null;
+
+const runRetention = async () => {
+  if (RAWDATA_RETENTION_DAYS <= 0 || isRetentionRunning) return null;
+
+  const run = { startedAt: new Date(), vehicleDays: 0, rawRows: 0, purged: {}, error: null };
+
+  try {
+    isRetentionRunning = true;
+
+    const now = new Date();
+    const rawCutoff = retentionCutoff(Math.max(RAWDATA_RETENTION_DAYS, RAWDATA_MIN_RETENTION_DAYS), now);
+
+    // Oldest day first; each pass removes that day's raw rows
+    let previousDay = null;
+
+    while (run.vehicleDays < RETENTION_MAX_VEHICLE_DAYS) {
+      const [[{ oldest }]] = await db.query('SELECT MIN(DeviceDate) AS oldest FROM vehicle_rawdata');
+      if (!oldest || new Date(oldest) >= rawCutoff) break;
+
+      const dayStart = startOfDay(toDayString(new Date(oldest)));
+      const dayEnd = addDays(dayStart, 1);
+
+      // Rows the day range doesn't match would otherwise be picked forever
+      if (previousDay === dayStart.getTime()) break;
+      previousDay = dayStart.getTime();
+
+      // Packets without a vehicle can't be attributed to any rollup
+      await db.query(
+        `DELETE FROM vehicle_rawdata
+         WHERE DeviceDate >= ? AND DeviceDate < ? AND (HWID IS NULL OR HWID = '')`,
+        [dayStart, dayEnd]
+      );
+
+      const [vehicles] = await db.query(
+        `SELECT DISTINCT HWID FROM vehicle_rawdata WHERE DeviceDate >= ? AND DeviceDate < ?`,
+        [dayStart, dayEnd]
+      );
+      if (!vehicles.length) continue;
+
+      for (const { HWID } of vehicles) {
+        run.rawRows += await downsampleVehicleDay(HWID, dayStart, dayEnd, now);
+        if (++run.vehicleDays >= RETENTION_MAX_VEHICLE_DAYS) break;
+      }
+
+      console.log(`🗜️ Downsampled raw telemetry of ${toDayString(dayStart)}: ${vehicles.length} vehicles`);
+    }
+
+    for (const [resolution, { table, retentionDays }] of Object.entries(DOWNSAMPLE_RESOLUTIONS)) {
+      const cutoff = retentionCutoff(retentionDays, now);
+      if (cutoff) run.purged[resolution] = await purgeBefore(table, cutoff);
+    }
+
+  } catch (e) {
+    run.error = e.message;
+    console.error('❌ Retention run failed:', e.message);
+  } finally {
+    run.finishedAt = new Date();
+    lastRetentionRun = run;
+    isRetentionRunning = false;
+  }
+
+  return run;
+};
+
+setInterval(runRetention, RETENTION_INTERVAL_MS);
+
+// Which tables hold a vehicle's packets for [from, to]: raw rows where they still
+// exist, the 5-minute rollup before that and the hourly rollup before that.
+// `resolution` (raw, 5m, 1h) forces a single table.
+const rawdataSegments = async (vehicleId, from, to, resolution = null) => {
+  if (resolution === 'raw') return [{ resolution: 'raw', table: 'vehicle_rawdata' }];
+  if (DOWNSAMPLE_RESOLUTIONS[resolution])
+    return [{ resolution, table: DOWNSAMPLE_RESOLUTIONS[resolution].table }];
+
+  const [[{ rawStart, fiveMinStart }]] = await db.query(
+    `SELECT (SELECT MIN(DeviceDate) FROM vehicle_rawdata WHERE HWID = ?) AS rawStart,
+            (SELECT MIN(DeviceDate) FROM vehicle_rawdata_5m WHERE HWID = ?) AS fiveMinStart`,
+    [vehicleId, vehicleId]
+  );
+
+  const segments = [];
+  if (rawStart) segments.push({ resolution: 'raw', table: 'vehicle_rawdata', lower: rawStart });
+  if (fiveMinStart)
+    segments.push({ resolution: '5m', table: 'vehicle_rawdata_5m', lower: fiveMinStart, upper: rawStart });
+  segments.push({ resolution: '1h', table: 'vehicle_rawdata_1h', upper: fiveMinStart || rawStart });
+
+  const overlapping = segments.filter(s =>
+    !(s.upper && from && new Date(from) >= new Date(s.upper)) &&
+    !(s.lower && to && new Date(to) < new Date(s.lower)));
+
+  return overlapping.length ? overlapping : [{ resolution: 'raw', table: 'vehicle_rawdata' }];
+};
+
+// One query over the segments; rollups lack some raw columns, which come back as NULL
+const rawdataQuery = (vehicleId, segments, { columns, from, to }) => {
+  const params = [];
+
+  const parts = segments.map(s => {
+    const select = columns.map(c =>
+      s.resolution === 'raw' || c === 'HWID' || c === 'DeviceDate' || DOWNSAMPLE_FIELDS[c] ? c : `NULL AS ${c}`);
+
+    let sql = `SELECT ${select.join(', ')}, '${s.resolution}' AS resolution FROM ${s.table} WHERE HWID = ?`;
+    params.push(vehicleId);
+
+    for (const [op, val] of [['>=', s.lower], ['<', s.upper], ['>=', from], ['<=', to]]) {
+      if (!val) continue;
+      sql += ` AND DeviceDate ${op} ?`;
+      params.push(val);
+    }
+
+    return `(${sql})`;
+  });
+
+  return { query: parts.join(' UNION ALL '), params };
+};
+
+// Trip detection needs every packet; where only rollup buckets remain for the
+// range this returns the error to show instead
+const rawOnlyRangeError = async (vehicleId, segments, from, to) => {
+  const rollups = segments.filter(s => s.resolution !== 'raw');
+  if (!rollups.length) return null;
+
+  const { query, params } = rawdataQuery(vehicleId, rollups, { columns: ['DeviceDate'], from, to });
+  const [found] = await db.query(`${query} LIMIT 1`, params);
+  if (!found.length) return null;
+
+  const days = Math.max(RAWDATA_RETENTION_DAYS, RAWDATA_MIN_RETENTION_DAYS);
+  return `Trips need raw telemetry, which is only kept for the last ${days} days`;
+};
+
+app.get('/api/retention', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const [[bounds]] = await db.query(
+      `SELECT (SELECT MIN(DeviceDate) FROM vehicle_rawdata) AS rawOldest,
+              (SELECT MIN(DeviceDate) FROM vehicle_rawdata_5m) AS fiveMinOldest,
+              (SELECT MIN(DeviceDate) FROM vehicle_rawdata_1h) AS hourOldest`
+    );
+
+    res.json({
+      enabled: RAWDATA_RETENTION_DAYS > 0,
+      retentionDays: {
+        raw: RAWDATA_RETENTION_DAYS > 0 ? Math.max(RAWDATA_RETENTION_DAYS, RAWDATA_MIN_RETENTION_DAYS) : 0,
+        '5m': ROLLUP_5M_RETENTION_DAYS,
+        '1h': ROLLUP_1H_RETENTION_DAYS
+      },
+      oldest: {
+        raw: bounds.rawOldest,
+        '5m': bounds.fiveMinOldest,
+        '1h': bounds.hourOldest
+      },
+      running: isRetentionRunning,
+      lastRun: lastRetentionRun
+    });
+
+  } catch (e) {
+    console.error('Retention status error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch retention status' });
+  }
+});
+
+app.post('/api/retention/run', requirePermission('retention:manage'), async (req, res) => {
+  if (RAWDATA_RETENTION_DAYS <= 0) return res.status(400).json({ error: 'Retention is disabled' });
+  if (isRetentionRunning) return res.status(409).json({ error: 'Retention already running' });
+
+  // Runs can take a while; the result shows up in GET /api/retention
+  runRetention();
+  res.status(202).json({ success: true });
+});
+
+// One-off cleanup of packets stored twice before vehicle_rawdata had its unique key.
+// Extra copies are deleted in place, batch by batch, while ingest keeps running;
+// the key is added once none are left.
+const RAWDATA_DEDUP_BATCH = 1000;
+
+let isRawdataDedupRunning = false;
+let lastRawdataDedup = null;
+
+const runRawdataDedup = async () => {
+  if (isRawdataDedupRunning) return null;
+
+  const run = { startedAt: new Date(), packets: 0, removed: 0, keyAdded: false, error: null };
+
+  try {
+    isRawdataDedupRunning = true;
+    console.log('🧹 Removing duplicate vehicle_rawdata packets...');
+
+    while (true) {
+      const [groups] = await db.query(
+        `SELECT HWID, DeviceDate, COUNT(*) AS copies FROM vehicle_rawdata
+         WHERE HWID IS NOT NULL AND DeviceDate IS NOT NULL
+         GROUP BY HWID, DeviceDate
+         HAVING COUNT(*) > 1
+         LIMIT ${RAWDATA_DEDUP_BATCH}`
+      );
+      if (!groups.length) break;
+
+      let removed = 0;
+      for (const g of groups) {
+        const [result] = await db.query(
+          `DELETE FROM vehicle_rawdata WHERE HWID = ? AND DeviceDate = ? LIMIT ${Number(g.copies) - 1}`,
+          [g.HWID, g.DeviceDate]
+        );
+        removed += result.affectedRows;
+      }
+
+      // Nothing matched: rerunning the same batch would loop forever
+      if (!removed) throw new Error('Duplicate packets could not be matched for deletion');
+
+      run.packets += groups.length;
+      run.removed += removed;
+    }
+
+    if (!(await hasRawdataUniqueKey())) {
+      await db.query(RAWDATA_UNIQUE_KEY);
+      run.keyAdded = true;
+    }
+
+    console.log(`✅ vehicle_rawdata deduplicated: ${run.removed} copies removed`);
+
+  } catch (e) {
+    run.error = e.message;
+    console.error('❌ Raw data deduplication failed:', e.message);
+  } finally {
+    run.finishedAt = new Date();
+    lastRawdataDedup = run;
+    isRawdataDedupRunning = false;
+  }
+
+  return run;
+};
+
+app.get('/api/rawdata/deduplicate', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    res.json({
+      uniqueKey: await hasRawdataUniqueKey(),
+      running: isRawdataDedupRunning,
+      lastRun: lastRawdataDedup
+    });
+
+  } catch (e) {
+    console.error('Deduplication status error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch deduplication status' });
+  }
+});
+
+app.post('/api/rawdata/deduplicate', requirePermission('retention:manage'), async (req, res) => {
+  if (isRawdataDedupRunning) return res.status(409).json({ error: 'Deduplication already running' });
+
+  // Can take a while on a large table; the result shows up in GET /api/rawdata/deduplicate
+  runRawdataDedup();
+  res.status(202).json({ success: true });
+});
+
+/* ---------------- REMOTE COMMANDS ---------------- */
+defineTable(`
+  CREATE TABLE IF NOT EXISTS vehicle_commands (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    vehicleId VARCHAR(64) NOT NULL,
+    command ENUM('immobilize', 'mobilize') NOT NULL,
+    status ENUM('pending', 'sent', 'confirmed', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
+    reason VARCHAR(255) NOT NULL,
+    requestedBy INT NULL,
+    requestedRole VARCHAR(20) NULL,
+    requestedAt DATETIME NOT NULL,
+    sentAt DATETIME NULL,
+    confirmedAt DATETIME NULL,
+    failedAt DATETIME NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    lastError VARCHAR(255) NULL,
+    providerRef VARCHAR(100) NULL,
+    INDEX idx_vehicle_commands_vehicle (vehicleId, requestedAt),
+    INDEX idx_vehicle_commands_status (status)
+  )
+`);
+
+defineTable(`
+  CREATE TABLE IF NOT EXISTS command_audit_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    commandId BIGINT NOT NULL,
+    vehicleId VARCHAR(64) NOT NULL,
+    action VARCHAR(30) NOT NULL,
+    actorId INT NULL,
+    actorRole VARCHAR(20) NULL,
+    detail JSON NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_command_audit_command (commandId),
+    INDEX idx_command_audit_vehicle (vehicleId, createdAt)
+  )
+`);
+
+// Failed sends wait before the next attempt (doubling each time)
+defineColumn('vehicle_commands', 'nextAttemptAt', 'DATETIME NULL');
+
+const COMMAND_TYPES = ['immobilize', 'mobilize'];
+const COMMAND_DISPATCH_INTERVAL_MS = 15000;
+const COMMAND_MAX_ATTEMPTS = 3;
+const COMMAND_RETRY_BASE_MS = 60000;
+const COMMAND_CONFIRM_TIMEOUT_MINUTES = Number(process.env.COMMAND_CONFIRM_TIMEOUT_MINUTES) || 30;
+
+// Immobilization_status the vehicle reports once the command took effect
+const COMMAND_EXPECTED_STATUS = { immobilize: '1', mobilize: '0' };
+
+const auditCommand = (command, action, actor = null, detail = null) => db.execute(
+  `INSERT INTO command_audit_log (commandId, vehicleId, action, actorId, actorRole, detail)
+   VALUES (?, ?, ?, ?, ?, ?)`,
+  [
+    command.id,
+    command.vehicleId,
+    action,
+    actor?.id || null,
+    actor?.role || 'system',
+    detail ? JSON.stringify(detail) : null
+  ]
+);
+
+let isDispatchingCommands = false;
+
+const dispatchPendingCommands = async () => {
+  if (isDispatchingCommands) return;
+
+  try {
+    isDispatchingCommands = true;
+
+    const [commands] = await db.query(
+      `SELECT * FROM vehicle_commands
+       WHERE status = 'pending' AND (nextAttemptAt IS NULL OR nextAttemptAt <= ?)
+       ORDER BY requestedAt ASC LIMIT 100`,
+      [new Date()]
+    );
+
+    for (const command of commands) {
+      const attempts = command.attempts + 1;
+
+      try {
+        // Commands go out through the provider the vehicle reports from
+        const provider = await providerForVehicle(command.vehicleId);
+        if (!provider?.sendCommand) throw new Error('Vehicle provider does not support commands');
+
+        const providerRef = await provider.sendCommand(command);
+
+        // Only a still-pending command moves on; one cancelled meanwhile stays cancelled
+        const [result] = await db.execute(
+          `UPDATE vehicle_commands
+           SET status = 'sent', sentAt = ?, attempts = ?, providerRef = ?, lastError = NULL, nextAttemptAt = NULL
+           WHERE id = ? AND status = 'pending'`,
+          [new Date(), attempts, providerRef ? String(providerRef) : null, command.id]
+        );
+
+        if (!result.affectedRows) {
+          await auditCommand(command, 'sent_after_cancel', null, { attempts, providerRef });
+          console.warn(`⚠️ Command ${command.id} was cancelled while being sent to ${command.vehicleId}`);
+          continue;
+        }
+
+        await auditCommand(command, 'sent', null, { attempts, providerRef });
+
+        console.log(`📡 Command ${command.command} sent to ${command.vehicleId}`);
+      } catch (e) {
+        const failed = attempts >= COMMAND_MAX_ATTEMPTS;
+
+        const [result] = await db.execute(
+          `UPDATE vehicle_commands
+           SET status = ?, attempts = ?, lastError = ?, failedAt = ?, nextAttemptAt = ?
+           WHERE id = ? AND status = 'pending'`,
+          [
+            failed ? 'failed' : 'pending',
+            attempts,
+            e.message.slice(0, 255),
+            failed ? new Date() : null,
+            failed ? null : new Date(Date.now() + COMMAND_RETRY_BASE_MS * 2 ** (attempts - 1)),
+            command.id
+          ]
+        );
+        if (!result.affectedRows) continue;
+
+        await auditCommand(command, failed ? 'failed' : 'send_error', null, { attempts, error: e.message });
+
+        console.error(`❌ Command ${command.id} send failed:`, e.message);
+      }
+    }
+  } catch (e) {
+    console.error('❌ Command dispatch failed:', e.message);
+  } finally {
+    isDispatchingCommands = false;
+  }
+};
+
+setInterval(dispatchPendingCommands, COMMAND_DISPATCH_INTERVAL_MS);
+
+// Called from the sync with the fresh packets: a sent command is confirmed once the
+// vehicle reports the expected Immobilization_status, and fails if it never does
+const confirmCommands = async (packets) => {
+  const [sent] = await db.query(`SELECT * FROM vehicle_commands WHERE status = 'sent'`);
+  if (!sent.length) return;
+
+  const latest = new Map(packets.map(p => [p.vehicleId, p.packet]));
+  const now = new Date();
+
+  for (const command of sent) {
+    const packet = latest.get(command.vehicleId);
+    const reported = packet?.Immobilization_status;
+    const packetTime = packet ? new Date(packet.DeviceDate) : null;
+
+    if (
+      reported !== undefined && reported !== null &&
+      String(reported) === COMMAND_EXPECTED_STATUS[command.command] &&
+      packetTime >= new Date(command.sentAt)
+    ) {
+      await db.execute(
+        `UPDATE vehicle_commands SET status = 'confirmed', confirmedAt = ? WHERE id = ?`,
+        [now, command.id]
+      );
+      await auditCommand(command, 'confirmed', null, { Immobilization_status: String(reported), deviceDate: packetTime });
+
+      console.log(`✅ Command ${command.command} confirmed for ${command.vehicleId}`);
+      continue;
+    }
+
+    if (minutesSince(command.sentAt, now.getTime()) > COMMAND_CONFIRM_TIMEOUT_MINUTES) {
+      const error = 'Not confirmed by telemetry in time';
+
+      await db.execute(
+        `UPDATE vehicle_commands SET status = 'failed', failedAt = ?, lastError = ? WHERE id = ?`,
+        [now, error, command.id]
+      );
+      await auditCommand(command, 'failed', null, { error, lastReported: reported ?? null });
+    }
+  }
+};
+
+const findCommand = async (id) => {
+  const [rows] = await db.query('SELECT * FROM vehicle_commands WHERE id = ?', [id]);
+  return rows[0] || null;
+};
+
+// Only admins and the dealer the vehicle is assigned to may command it
+const canCommandVehicle = async (user, vehicleId) =>
+  (user.role === 'admin' || user.role === 'dealer') && canAccessVehicle(user, vehicleId);
+
+app.post('/api/vehicles/:id/commands', requirePermission('commands:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { command, reason } = req.body;
+
+    if (!COMMAND_TYPES.includes(command))
+      return res.status(400).json({ error: `command must be one of: ${COMMAND_TYPES.join(', ')}` });
+
+    if (!reason || !String(reason).trim())
+      return res.status(400).json({ error: 'A reason is required' });
+
+    if (!(await canCommandVehicle(req.user, id)))
+      return res.status(403).json({ error: 'Access denied' });
+
+    const [vehicle] = await db.query('SELECT vehicleId FROM vehicles WHERE vehicleId = ?', [id]);
+    if (!vehicle.length) return res.status(404).json({ error: 'Vehicle not found' });
+
+    const [inFlight] = await db.query(
+      `SELECT id FROM vehicle_commands WHERE vehicleId = ? AND status IN ('pending', 'sent')`,
+      [id]
+    );
+    if (inFlight.length)
+      return res.status(409).json({ error: 'Another command is still in progress', commandId: inFlight[0].id });
+
+    const requestedAt = new Date();
+    const [result] = await db.execute(
+      `INSERT INTO vehicle_commands (vehicleId, command, reason, requestedBy, requestedRole, requestedAt)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, command, String(reason).trim().slice(0, 255), req.user.id || null, req.user.role, requestedAt]
+    );
+
+    const created = { id: result.insertId, vehicleId: id };
+    await auditCommand(created, 'requested', req.user, { command, reason: String(reason).trim() });
+
+    // Send right away instead of waiting for the next dispatch tick
+    dispatchPendingCommands();
+
+    res.status(202).json({ success: true, id: result.insertId, status: 'pending' });
+
+  } catch (e) {
+    console.error('Command create error:', e.message);
+    res.status(500).json({ error: 'Failed to create command' });
+  }
+});
+
+app.get('/api/vehicles/:id/commands', requirePermission('commands:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await canCommandVehicle(req.user, id)))
+      return res.status(403).json({ error: 'Access denied' });
+
+    const [rows] = await db.query(
+      `SELECT * FROM vehicle_commands WHERE vehicleId = ? ORDER BY requestedAt DESC LIMIT 500`,
+      [id]
+    );
+
+    res.json(rows);
+
+  } catch (e) {
+    console.error('Fetch commands error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch commands' });
+  }
+});
+
+app.get('/api/commands/audit', requirePermission('commands:read'), async (req, res) => {
+  try {
+    const { vehicleId, from, to } = req.query;
+
+    let query = `
+      SELECT a.id, a.commandId, a.vehicleId, c.command, a.action, a.actorId, a.actorRole,
+             u.username AS actorName, a.detail, a.createdAt
+      FROM command_audit_log a
+      JOIN vehicle_commands c ON c.id = a.commandId
+      JOIN vehicles v ON v.vehicleId = a.vehicleId
+      LEFT JOIN users u ON u.id = a.actorId
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    const scope = ownerFilter(req.user, 'v');
+    if (scope) {
+      query += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
+    if (vehicleId) {
+      query += ' AND a.vehicleId = ?';
+      params.push(vehicleId);
+    }
+
+    if (from && to) {
+      query += ' AND a.createdAt BETWEEN ? AND ?';
+      params.push(from, to);
+    }
+
+    query += ' ORDER BY a.id DESC LIMIT 5000';
+
+    const [rows] = await db.query(query, params);
+    res.json(rows.map(a => ({ ...a, detail: parseJsonColumn(a.detail) })));
+
+  } catch (e) {
+    console.error('Command audit error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch command audit log' });
+  }
+});
+
+app.get('/api/commands/:id', requirePermission('commands:read'), async (req, res) => {
+  try {
+    const command = await findCommand(req.params.id);
+
+    if (!command || !(await canCommandVehicle(req.user, command.vehicleId)))
+      return res.status(404).json({ error: 'Command not found' });
+
+    const [audit] = await db.query(
+      `SELECT action, actorId, actorRole, detail, createdAt
+       FROM command_audit_log WHERE commandId = ? ORDER BY id ASC`,
+      [command.id]
+    );
+
+    res.json({ ...command, audit: audit.map(a => ({ ...a, detail: parseJsonColumn(a.detail) })) });
+
+  } catch (e) {
+    console.error('Fetch command error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch command' });
+  }
+});
+
+app.post('/api/commands/:id/cancel', requirePermission('commands:write'), async (req, res) => {
+  try {
+    const command = await findCommand(req.params.id);
+
+    if (!command || !(await canCommandVehicle(req.user, command.vehicleId)))
+      return res.status(404).json({ error: 'Command not found' });
 
-    const token = jwt.sign(
-      {
-        id: user.id,
-        role: user.role,
-        customerId: user.customerId,
-        dealerId: user.dealerId
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
+    // Once sent the platform may already have acted on it
+    const [result] = await db.execute(
+      `UPDATE vehicle_commands SET status = 'cancelled' WHERE id = ? AND status = 'pending'`,
+      [command.id]
     );
 
-    res.json({
-      success: true,
-      token,
-      user:{
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        customerId: user.customerId,
-        dealerId: user.dealerId
-      }
-    });
+    if (!result.affectedRows)
+      return res.status(409).json({ error: `Command is already ${command.status}` });
+
+    await auditCommand(command, 'cancelled', req.user, { reason: req.body?.reason || null });
+
+    res.json({ success: true });
 
   } catch (e) {
-    console.error("Login error:", e.message);
-    res.status(500).json({ error: "Login failed" });
+    console.error('Command cancel error:', e.message);
+    res.status(500).json({ error: 'Failed to cancel command' });
   }
 });
 
-app.get('/api/customers', async (req, res) => {
+/* ---------------- SYNC STATUS ---------------- */
+const SYNC_STALE_MINUTES = 5;
+const SYNC_RECENT_RUNS = 10;
+
+const formatSyncRun = (r) => r && ({
+  id: r.id,
+  status: r.status,
+  startedAt: r.startedAt,
+  finishedAt: r.finishedAt,
+  metaCount: r.metaCount,
+  telemetryCount: r.telemetryCount,
+  storedCount: r.storedCount,
+  unchangedCount: r.unchangedCount,
+  skippedCount: r.skippedCount,
+  errors: parseJsonColumn(r.errors) || []
+});
+
+app.get('/api/sync/status', requirePermission('sync:read'), async (req, res) => {
   try {
-    const [rows] = await db.query(`
-      SELECT 
-        id,
-        customerName,
-        phoneNo,
-        emailId,
-        address,
-        city,
-        state
-      FROM customers
-      ORDER BY id DESC
-    `);
+    const now = Date.now();
+    const providers = [];
 
-    res.json(rows);
+    for (const p of Object.values(telemetryProviders)) {
+      if (!p.fetchLatest) continue;
+
+      const [runs] = await db.execute(
+        `SELECT * FROM sync_runs WHERE provider = ?
+         ORDER BY startedAt DESC, id DESC LIMIT ${SYNC_RECENT_RUNS}`,
+        [p.name]
+      );
+      const [[success]] = await db.execute(
+        `SELECT MAX(finishedAt) AS lastSuccessAt FROM sync_runs
+         WHERE provider = ? AND status = 'success'`,
+        [p.name]
+      );
+
+      const lastSuccessAt = success.lastSuccessAt || null;
+
+      providers.push({
+        name: p.name,
+        lastRun: formatSyncRun(runs[0]) || null,
+        lastSuccessAt,
+        stale: !lastSuccessAt || minutesSince(lastSuccessAt, now) > SYNC_STALE_MINUTES,
+        recentRuns: runs.map(formatSyncRun)
+      });
+    }
+
+    const [[latest]] = await db.query(
+      'SELECT MAX(lastUpdate) AS lastTelemetryAt FROM vehicle_current'
+    );
+
+    res.json({
+      syncing: isSyncing,
+      staleAfterMinutes: SYNC_STALE_MINUTES,
+      lastTelemetryAt: latest.lastTelemetryAt || null,
+      providers
+    });
 
   } catch (e) {
-    console.error('Fetch customers error:', e);
-    res.status(500).json({ error: 'Failed to fetch customers' });
+    console.error('Sync status error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch sync status' });
   }
 });
 
-app.post('/api/customers', async (req, res) => {
-  try {
-    const {
-      customerName,
-      phoneNo,
-      emailId,
-      address,
-      city,
-      state,
-      isUser,
-      username,
-      password
-    } = req.body;
+/* ---------------- BACKFILL JOBS ---------------- */
+// A job is split into one task per vehicle and day, so a large backfill is fetched
+// in small requests, survives restarts (tasks are rows) and can be retried in part
+defineTable(`
+  CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    status ENUM('queued', 'running', 'completed', 'partial', 'failed', 'cancelled') NOT NULL DEFAULT 'queued',
+    fromDate DATETIME NOT NULL,
+    toDate DATETIME NOT NULL,
+    scope JSON NULL,
+    totalTasks INT NOT NULL DEFAULT 0,
+    createdBy INT NULL,
+    createdAt DATETIME NOT NULL,
+    startedAt DATETIME NULL,
+    finishedAt DATETIME NULL,
+    INDEX idx_backfill_jobs_status (status)
+  )
+`);
+
+defineTable(`
+  CREATE TABLE IF NOT EXISTS backfill_job_tasks (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    jobId BIGINT NOT NULL,
+    vehicleId VARCHAR(64) NOT NULL,
+    fromDate DATETIME NOT NULL,
+    toDate DATETIME NOT NULL,
+    status ENUM('pending', 'running', 'done', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    fetched INT NULL,
+    inserted INT NULL,
+    lastError VARCHAR(255) NULL,
+    updatedAt DATETIME NULL,
+    INDEX idx_backfill_tasks_job (jobId, status),
+    INDEX idx_backfill_tasks_status (status, jobId)
+  )
+`);
+
+// Tasks a previous process was working on are picked up again
+schemaSteps.push(() => db.query(
+  `UPDATE backfill_job_tasks SET status = 'pending' WHERE status = 'running'`
+));
+
+const BACKFILL_CONCURRENCY = Number(process.env.BACKFILL_CONCURRENCY) || 3;
+const BACKFILL_INTERVAL_MS = 5000;
+const BACKFILL_MAX_ATTEMPTS = 3;
+const BACKFILL_MAX_RANGE_DAYS = 366;
+const BACKFILL_MAX_TASKS = 100000;
+
+// Day-sized windows covering [from, to]
+const splitByDay = (from, to) => {
+  const windows = [];
+  let start = new Date(from);
+
+  while (start <= to) {
+    const nextDay = startOfDay(toDayString(addDays(start, 1)));
+    const end = new Date(Math.min(nextDay.getTime() - 1000, to.getTime()));
+    windows.push([start, end]);
+    start = nextDay;
+  }
 
-    if (!customerName || !phoneNo) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+  return windows;
+};
 
-    // 1️⃣ Insert into customers table
-    const [result] = await db.execute(
-      `INSERT INTO customers
-        (customerName, phoneNo, emailId, address, city, state)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [customerName, phoneNo, emailId, address, city, state]
+// Resolves { vehicleId | vehicleIds | dealerId } to existing vehicle ids
+const resolveBackfillVehicles = async (body) => {
+  if (body.dealerId) {
+    const [rows] = await db.query(
+      'SELECT vehicleId FROM vehicles WHERE dealerId = ? ORDER BY vehicleId',
+      [body.dealerId]
     );
+    return rows.map(r => r.vehicleId);
+  }
 
-    const customerId = result.insertId;
+  const requested = [...new Set(
+    (Array.isArray(body.vehicleIds) ? body.vehicleIds : [body.vehicleId])
+      .filter(Boolean)
+      .map(id => String(id).trim())
+  )];
+  if (!requested.length) return [];
+
+  const found = new Set();
+  for (const batch of chunk(requested, 1000)) {
+    const [rows] = await db.query('SELECT vehicleId FROM vehicles WHERE vehicleId IN (?)', [batch]);
+    rows.forEach(r => found.add(r.vehicleId));
+  }
 
-    if (isUser && username && password) {
-      const hashedPassword = await bcrypt.hash(password, 10);
+  return requested.filter(id => found.has(id));
+};
 
-      await db.execute(
-        `INSERT INTO users
-          (username, password, role, customerId)
-         VALUES (?, ?, 'customer', ?)`,
-        [username, hashedPassword, customerId]
+const createBackfillJob = async ({ vehicleIds, from, to, scope, user }) => {
+  const windows = splitByDay(from, to);
+  const tasks = vehicleIds.flatMap(id => windows.map(([start, end]) => [id, start, end]));
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [job] = await conn.execute(
+      `INSERT INTO backfill_jobs (fromDate, toDate, scope, totalTasks, createdBy, createdAt)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [from, to, JSON.stringify(scope), tasks.length, user?.id || null, new Date()]
+    );
+
+    for (const batch of chunk(tasks, 1000)) {
+      await conn.query(
+        'INSERT INTO backfill_job_tasks (jobId, vehicleId, fromDate, toDate) VALUES ?',
+        [batch.map(t => [job.insertId, ...t])]
       );
     }
 
-    res.json({ success: true });
+    await conn.commit();
 
+    console.log(`📚 Backfill job ${job.insertId} queued: ${vehicleIds.length} vehicles, ${windows.length} days`);
+
+    return { id: job.insertId, totalTasks: tasks.length };
   } catch (e) {
-    console.error('Customer save error:', e);
-    res.status(500).json({ error: 'Failed to save customer' });
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
   }
-});
+};
 
+const runBackfillTask = async (task) => {
+  const attempts = task.attempts + 1;
+
+  await db.execute(
+    `UPDATE backfill_job_tasks SET status = 'running', attempts = ?, updatedAt = ? WHERE id = ?`,
+    [attempts, new Date(), task.id]
+  );
+
+  let fetched = [];
+  let failure = null;
 
-/* ---------------- DEALERS API ---------------- */
-app.get('/api/dealers', async (req, res) => {
   try {
-    const [rows] = await db.query(`
-      SELECT 
-        id,
-        dealerName,
-        dealerCode,
-        contactPerson,
-        contactNumber,
-        email,
-        address,
-        city,
-        state,
-        createdAt
-      FROM dealers
-      ORDER BY id DESC
-    `);
+    const provider = await providerForVehicle(task.vehicleId);
+    if (!provider?.fetchHistory) throw new Error('Vehicle provider does not support history');
 
-    res.json(rows);
+    await provider.authenticate();
 
+    try {
+      fetched = await provider.fetchHistory(
+        task.vehicleId,
+        formatDateTime(task.fromDate),
+        formatDateTime(task.toDate)
+      );
+    } catch (e) {
+      fetched = e.partial || [];
+      throw e;
+    } finally {
+      fetched = fetched.map(provider.normalize);
+    }
   } catch (e) {
-    console.error('Fetch dealers error:', e);
-    res.status(500).json({ error: 'Failed to fetch dealers' });
+    failure = e;
   }
-});
 
-app.post('/api/dealers', async (req, res) => {
+  // Whatever was read is kept even when the day has to be retried
+  let inserted = 0;
   try {
-    const {
-      dealerName,
-      dealerCode,
-      contactPerson,
-      contactNumber,
-      email,
-      address,
-      city,
-      state,
-      createLogin,
-      username,
-      password
-    } = req.body;
+    const rows = fetched.filter(isStorablePacket).map(toRawRow);
+    if (rows.length) inserted = await insertRawRows(rows);
+  } catch (e) {
+    failure = failure || e;
+  }
 
-    if (!dealerName) {
-      return res.status(400).json({ error: "Dealer name is required" });
-    }
+  const status = !failure ? 'done' : attempts >= BACKFILL_MAX_ATTEMPTS ? 'failed' : 'pending';
 
-    // 1️⃣ Insert dealer business data
-    const [result] = await db.execute(
-      `INSERT INTO dealers
-       (dealerName, dealerCode, contactPerson, contactNumber, email, address, city, state)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        dealerName,
-        dealerCode,
-        contactPerson,
-        contactNumber,
-        email,
-        address,
-        city,
-        state
-      ]
+  await db.execute(
+    `UPDATE backfill_job_tasks
+     SET status = ?, fetched = ?, inserted = COALESCE(inserted, 0) + ?, lastError = ?, updatedAt = ?
+     WHERE id = ?`,
+    [status, fetched.length, inserted, failure ? failure.message.slice(0, 255) : null, new Date(), task.id]
+  );
+
+  if (failure) console.error(`❌ Backfill task ${task.id} (${task.vehicleId}) failed:`, failure.message);
+};
+
+// Closes jobs that have no tasks left to run
+const finishBackfillJobs = async (jobIds) => {
+  for (const jobId of jobIds) {
+    const [[counts]] = await db.query(
+      `SELECT SUM(status IN ('pending', 'running')) AS open, SUM(status = 'failed') AS failed,
+              SUM(status = 'done') AS done
+       FROM backfill_job_tasks WHERE jobId = ?`,
+      [jobId]
     );
 
-    const dealerId = result.insertId;
+    if (Number(counts.open) > 0) continue;
 
-    // 2️⃣ Create login in users table (if required)
-    if (createLogin && username && password) {
+    const status = !Number(counts.failed) ? 'completed' : Number(counts.done) ? 'partial' : 'failed';
 
-      // Check duplicate username
-      const [existing] = await db.query(
-        "SELECT id FROM users WHERE username = ?",
-        [username]
-      );
+    await db.execute(
+      `UPDATE backfill_jobs SET status = ?, finishedAt = ? WHERE id = ? AND status = 'running'`,
+      [status, new Date(), jobId]
+    );
 
-      if (existing.length > 0) {
-        return res.status(400).json({ error: "Username already exists" });
-      }
+    console.log(`📚 Backfill job ${jobId} ${status}`);
+  }
+};
 
-      const hashedPassword = await bcrypt.hash(password, 10);
+let isRunningBackfill = false;
 
-      await db.execute(
-        `INSERT INTO users
-         (username, password, role, dealerId)
-         VALUES (?, ?, 'dealer', ?)`,
-        [username, hashedPassword, dealerId]
+const runBackfillJobs = async () => {
+  if (isRunningBackfill) return;
+
+  try {
+    isRunningBackfill = true;
+
+    for (;;) {
+      const [tasks] = await db.query(
+        `SELECT t.* FROM backfill_job_tasks t
+         JOIN backfill_jobs j ON j.id = t.jobId
+         WHERE t.status = 'pending' AND j.status IN ('queued', 'running')
+         ORDER BY t.jobId ASC, t.id ASC
+         LIMIT ?`,
+        [BACKFILL_CONCURRENCY]
+      );
+      if (!tasks.length) break;
+
+      const jobIds = [...new Set(tasks.map(t => t.jobId))];
+
+      await db.query(
+        `UPDATE backfill_jobs SET status = 'running', startedAt = COALESCE(startedAt, ?)
+         WHERE id IN (?) AND status = 'queued'`,
+        [new Date(), jobIds]
       );
+
+      await Promise.all(tasks.map(runBackfillTask));
+      await finishBackfillJobs(jobIds);
     }
+  } catch (e) {
+    console.error('❌ Backfill run failed:', e.message);
+  } finally {
+    isRunningBackfill = false;
+  }
+};
 
-    res.json({ success: true });
+setInterval(runBackfillJobs, BACKFILL_INTERVAL_MS);
+
+const formatBackfillJob = (job, counts = {}) => ({
+  id: job.id,
+  status: job.status,
+  from: job.fromDate,
+  to: job.toDate,
+  scope: parseJsonColumn(job.scope),
+  createdBy: job.createdBy,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  progress: {
+    totalTasks: job.totalTasks,
+    doneTasks: Number(counts.done) || 0,
+    failedTasks: Number(counts.failed) || 0,
+    pendingTasks: Number(counts.pending) || 0,
+    percent: job.totalTasks
+      ? round(((Number(counts.done) || 0) + (Number(counts.failed) || 0)) / job.totalTasks * 100, 1)
+      : 100
+  },
+  fetched: Number(counts.fetched) || 0,
+  inserted: Number(counts.inserted) || 0
+});
+
+const BACKFILL_TASK_COUNTS = `
+  SELECT jobId,
+         SUM(status = 'done') AS done,
+         SUM(status = 'failed') AS failed,
+         SUM(status IN ('pending', 'running')) AS pending,
+         SUM(COALESCE(fetched, 0)) AS fetched,
+         SUM(COALESCE(inserted, 0)) AS inserted
+  FROM backfill_job_tasks
+  WHERE jobId IN (?)
+  GROUP BY jobId
+`;
+
+app.post('/api/jobs/backfill', requirePermission('telemetry:sync'), async (req, res) => {
+  try {
+    const from = new Date(req.body.from);
+    const to = new Date(req.body.to);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to)
+      return res.status(400).json({ error: 'Invalid date range' });
+
+    if (to - from > BACKFILL_MAX_RANGE_DAYS * 86400000)
+      return res.status(400).json({ error: `Date range cannot exceed ${BACKFILL_MAX_RANGE_DAYS} days` });
+
+    if (!req.body.vehicleId && !Array.isArray(req.body.vehicleIds) && !req.body.dealerId)
+      return res.status(400).json({ error: 'vehicleId, vehicleIds or dealerId is required' });
+
+    const vehicleIds = await resolveBackfillVehicles(req.body);
+    if (!vehicleIds.length) return res.status(404).json({ error: 'No matching vehicles' });
+
+    if (vehicleIds.length * splitByDay(from, to).length > BACKFILL_MAX_TASKS)
+      return res.status(400).json({ error: 'Backfill too large, split it into smaller ranges' });
+
+    const scope = req.body.dealerId
+      ? { dealerId: req.body.dealerId }
+      : { vehicleIds };
+
+    const job = await createBackfillJob({ vehicleIds, from, to, scope, user: req.user });
+
+    runBackfillJobs();
+
+    res.status(202).json({ success: true, ...job, status: 'queued' });
 
   } catch (e) {
-    console.error("Dealer save error:", e);
-    res.status(500).json({ error: e.message });
+    console.error('Backfill job create error:', e.message);
+    res.status(500).json({ error: 'Failed to create backfill job' });
   }
 });
 
-app.put('/api/vehicles/:id', async (req, res) => {
-  const { id } = req.params;
+app.get('/api/jobs', requirePermission('telemetry:sync'), async (req, res) => {
+  try {
+    const [jobs] = await db.query('SELECT * FROM backfill_jobs ORDER BY id DESC LIMIT 100');
+    if (!jobs.length) return res.json([]);
 
-  const {
-    displayDeviceId,
-    chassisNumber,
-    registrationNo,
-    customerId,
-    dealerId,
-    invoiceDate
-  } = req.body;
+    const [counts] = await db.query(BACKFILL_TASK_COUNTS, [jobs.map(j => j.id)]);
+    const byJob = new Map(counts.map(c => [c.jobId, c]));
 
+    res.json(jobs.map(j => formatBackfillJob(j, byJob.get(j.id))));
+
+  } catch (e) {
+    console.error('Fetch jobs error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+app.get('/api/jobs/:id', requirePermission('telemetry:sync'), async (req, res) => {
   try {
-    await db.execute(
-      `UPDATE vehicles
-       SET displayDeviceId = ?,
-           registrationNo = ?,
-           chassis_no = ?,
-           customerId = ?,
-           dealerId = ?,
-           invoiceDate = ?
-       WHERE vehicleId = ?`,
-      [
-        displayDeviceId || null,
-        registrationNo || null,
-        chassisNumber || null,
-        customerId || null,
-        dealerId || null,
-        invoiceDate || null,
-        id
-      ]
+    const [[job]] = await db.query('SELECT * FROM backfill_jobs WHERE id = ?', [req.params.id]);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const [[counts]] = await db.query(BACKFILL_TASK_COUNTS, [[job.id]]);
+
+    const [errors] = await db.query(
+      `SELECT vehicleId, fromDate, toDate, status, attempts, lastError, updatedAt
+       FROM backfill_job_tasks
+       WHERE jobId = ? AND lastError IS NOT NULL
+       ORDER BY updatedAt DESC LIMIT 100`,
+      [job.id]
     );
 
-    res.json({ success: true });
+    res.json({ ...formatBackfillJob(job, counts), errors });
 
-  } catch (err) {
-    console.error('Vehicle update error:', err);
-    res.status(500).json({ error: 'Update failed' });
+  } catch (e) {
+    console.error('Fetch job error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch job' });
   }
 });
 
-/* ---------------- TEST TOR AUTH ---------------- */
-app.get('/test-tor-auth', async (req, res) => {
+app.post('/api/jobs/:id/cancel', requirePermission('telemetry:sync'), async (req, res) => {
   try {
-    const token = await getTorToken();
-    res.json({ success: !!token, token });
-  } catch (err) {
-    res.json({ success: false, error: err.message });
+    const [result] = await db.execute(
+      `UPDATE backfill_jobs SET status = 'cancelled', finishedAt = ?
+       WHERE id = ? AND status IN ('queued', 'running')`,
+      [new Date(), req.params.id]
+    );
+
+    if (!result.affectedRows) return res.status(409).json({ error: 'Job is not running' });
+
+    res.json({ success: true });
+
+  } catch (e) {
+    console.error('Cancel job error:', e.message);
+    res.status(500).json({ error: 'Failed to cancel job' });
   }
 });
 
-/* ---------------- DEBUG ROUTE ---------------- */
-app.get('/debug-tor', async (req, res) => {
-  if (!authToken && !(await getTorToken())) return res.status(500).json({ error: 'TOR token missing' });
-
+// Re-queues the failed days, e.g. once the provider is reachable again
+app.post('/api/jobs/:id/retry', requirePermission('telemetry:sync'), async (req, res) => {
   try {
-    const meta = await axios.post(
-      `${TOR_BASE_URL}/EquipDetails/GetVehicleDetails`,
-      {},
-      { headers: { Authorization: `Bearer ${authToken}` } }
+    const [[job]] = await db.query('SELECT id, status FROM backfill_jobs WHERE id = ?', [req.params.id]);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const [result] = await db.execute(
+      `UPDATE backfill_job_tasks SET status = 'pending', attempts = 0
+       WHERE jobId = ? AND status = 'failed'`,
+      [job.id]
+    );
+
+    if (!result.affectedRows) return res.status(409).json({ error: 'Job has no failed tasks' });
+
+    await db.execute(
+      `UPDATE backfill_jobs SET status = 'queued', finishedAt = NULL WHERE id = ?`,
+      [job.id]
     );
 
-    const telemetry = await axios.post(
-      `${TOR_BASE_URL}/MachineData/GetLatestMachineData`,
-      {},
-      { headers: { Authorization: `Bearer ${authToken}` } }
+    runBackfillJobs();
+
+    res.json({ success: true, requeued: result.affectedRows });
+
+  } catch (e) {
+    console.error('Retry job error:', e.message);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+/* ---------------- PROVIDER ASSIGNMENT ---------------- */
+app.get('/api/providers', requirePermission('providers:manage'), async (req, res) => {
+  try {
+    const [counts] = await db.query(
+      `SELECT COALESCE(provider, ?) AS provider, COUNT(*) AS vehicles
+       FROM vehicles GROUP BY COALESCE(provider, ?)`,
+      [DEFAULT_PROVIDER, DEFAULT_PROVIDER]
     );
+    const vehicles = new Map(counts.map(c => [c.provider, Number(c.vehicles)]));
 
-    res.json({
-      metaRaw: meta.data,
-      telemetryRaw: telemetry.data
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.json(Object.values(telemetryProviders).map(p => ({
+      name: p.name,
+      isDefault: p.name === DEFAULT_PROVIDER,
+      polled: !!p.fetchLatest,
+      history: !!p.fetchHistory,
+      commands: !!p.sendCommand,
+      vehicles: vehicles.get(p.name) || 0
+    })));
+
+  } catch (e) {
+    console.error('Fetch providers error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch providers' });
   }
 });
 
-app.get('/api/report', async (req, res) => {
+app.put('/api/vehicles/:id/provider', requirePermission('providers:manage'), async (req, res) => {
   try {
-    const { vehicleId, from, to } = req.query;
+    const { provider } = req.body;
 
-    let query = `
-      SELECT *
-      FROM vehicle_rawdata
-      WHERE HWID = ?
-    `;
-    const params = [vehicleId];
+    if (!telemetryProviders[provider])
+      return res.status(400).json({ error: `provider must be one of: ${Object.keys(telemetryProviders).join(', ')}` });
 
-    if (from && to) {
-      query += ` AND DeviceDate BETWEEN ? AND ?`;
-      params.push(from,to);
-    }
+    const [result] = await db.execute(
+      'UPDATE vehicles SET provider = ? WHERE vehicleId = ?',
+      [provider, req.params.id]
+    );
 
-    query += ` ORDER BY DeviceDate DESC LIMIT 5000`;
+    if (!result.affectedRows) return res.status(404).json({ error: 'Vehicle not found' });
 
-    const [rows] = await db.query(query, params);
-    res.json(rows);
+    res.json({ success: true });
 
   } catch (e) {
-    console.error("Report API error:", e.message);
-    res.status(500).json({ error: 'Failed to fetch report' });
+    console.error('Provider assignment error:', e.message);
+    res.status(500).json({ error: 'Failed to assign provider' });
   }
 });
 
-
 /* ---------------- START ---------------- */
+try {
+  await ensureSchema();
+  console.log('🗄️ Schema ready');
+} catch (e) {
+  console.error('❌ Schema setup failed:', e.message);
+}
+
+// The rollup runs on a long interval; catch up on missed days right away
+runDailyRollup();
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Backend running on ${PORT}`);
 });